@@ -0,0 +1,254 @@
+/**
+ * Agent Chat
+ * Tool-calling loop for the LifeMaster coach, shared by /agent/chat and
+ * conversation threads, plus summarisation of older thread turns
+ */
+
+const truthState = require('./truthState');
+const agentProposals = require('./agentProposals');
+const agentThreads = require('./agentThreads');
+const agentTools = require('./agentTools');
+const guardrails = require('./guardrails');
+
+// Tool-calling rounds per turn (prevents infinite loops)
+const MAX_ITERATIONS = 5;
+// Approximate token budget for replayed thread history before older turns are summarised
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CHAT_CONTEXT_TOKEN_BUDGET || 8000);
+// Characters kept per tool result when building a summary transcript
+const SUMMARY_TOOL_RESULT_CHARS = 500;
+
+/**
+ * Build the system prompt with the open proposals and the LifeMaster documents
+ * @returns {Promise<string>}
+ */
+async function buildSystemPrompt() {
+  // Open proposals: pending ones await the user, approved ones may be committed
+  const openProposals = [
+    ...await agentProposals.listProposals("approved"),
+    ...await agentProposals.listProposals("pending")
+  ].map(p => ({ id: p.id, status: p.status, scope: p.scope, title: p.title, expires_at: p.expires_at }));
+
+  const truth = await truthState.getTruthState();
+
+  return `You are a professional health and fitness coach assistant for the LifeMaster system.
+
+Your role:
+- Analyze user health data (sleep, weight, HRV, training adherence)
+- Provide evidence-based guidance focused on sustainability
+- Prioritize sleep, recovery, and adherence over aggressive optimization
+- Never suggest extreme interventions
+
+CRITICAL RULES:
+1. Follow the LifeMaster documents below: no extreme diets, prioritize adherence and recovery
+2. Every decision starts as a proposal (propose_agent_decision / propose_status_change). Explain the plan and tell the user to approve or reject it
+3. Call commit_agent_decision ONLY for proposals listed below with status "approved". Words in the chat are never approval
+4. Always call get_agent_state first to understand current context
+5. Log observations using create_agent_event when appropriate
+6. Use propose_status_change when training, sleep or nutrition has moved to a new phase
+7. Use get_labs for blood work (triglycerides are a primary target); never quote lab values from memory
+8. Use get_daily_health, get_trends and get_training_adherence for measurements instead of guessing
+9. When caffeine, nicotine or alcohol comes up, call get_stimulant_sleep_effects and cite its statements; say so when data is insufficient
+10. Before suggesting a workout, check today's readiness (get_daily_health or get_readiness) and follow its training recommendation: on low readiness suggest mobility instead of strength
+
+Open proposals: ${openProposals.length > 0 ? JSON.stringify(openProposals) : "none"}
+
+Respond in Hebrew (עברית) with professional, clear language.
+
+${truthState.renderPromptContext(truth)}`;
+}
+
+/**
+ * Run one user turn: call the model, execute tool calls, repeat until it answers
+ * @param {object} options
+ * @param {object} options.llm - LLM provider (llmProvider.getProvider())
+ * @param {string} options.message - User message
+ * @param {Array<object>} [options.history] - Earlier messages to replay (OpenAI format)
+ * @param {string} [options.summary] - Summary of turns older than the history
+ * @param {string|number} [options.threadId] - Thread id, recorded with guardrail violations
+ * @param {Array<object>} [options.captured] - Records extracted from the message, confirmed back in the reply
+ * @param {Function} [options.onEvent] - Streaming callback: (type, data) for
+ *   'token' { content }, 'tool_call' { function, arguments }, 'tool_result' { function, result }
+ *   Tokens pass the guardrails sentence by sentence before they are emitted
+ * @returns {Promise<object>} { reply, messages, tool_trace, committed, proposals, guardrail }
+ *   messages holds the new user/assistant/tool messages of this turn (reply already guarded)
+ */
+async function runTurn({ llm, message, history = [], summary = null, threadId = null, captured = [], onEvent = null }) {
+  const systemPrompt = await buildSystemPrompt();
+  const toolTrace = [];
+  const turn = { committed: false, proposals: [] };
+
+  const context = [{ role: "system", content: systemPrompt }];
+  if (summary) {
+    context.push({ role: "system", content: `Summary of the earlier conversation:\n${summary}` });
+  }
+  context.push(...history);
+  if (captured.length > 0) {
+    context.push({
+      role: "system",
+      content: `Structured records saved from the user's next message: ${JSON.stringify(captured)}
+Start the reply by briefly confirming what was recorded (times, foods, durations) and invite a correction if anything is wrong.`
+    });
+  }
+
+  const turnMessages = [{ role: "user", content: message }];
+  const streamFilter = onEvent
+    ? guardrails.createStreamFilter(await guardrails.loadRules(), content => onEvent("token", { content }))
+    : null;
+  const request = async ({ withTools = true } = {}) => {
+    const next = await llm.complete({
+      messages: [...context, ...turnMessages],
+      tools: withTools ? agentTools.listToolDefinitions() : undefined,
+      onToken: streamFilter ? token => streamFilter.push(token) : null
+    });
+    if (streamFilter) streamFilter.flush();
+    return next;
+  };
+
+  let responseMessage = await request();
+  turnMessages.push(responseMessage);
+
+  let iteration = 0;
+
+  while (responseMessage.tool_calls && iteration < MAX_ITERATIONS) {
+    iteration++;
+
+    for (const toolCall of responseMessage.tool_calls) {
+      const functionName = toolCall.function.name;
+      // Malformed arguments (common with local models) go back to the model as a tool error
+      let functionArgs;
+      let parseError = null;
+      try {
+        functionArgs = JSON.parse(toolCall.function.arguments || "{}");
+      } catch (error) {
+        functionArgs = toolCall.function.arguments;
+        parseError = error.message;
+      }
+
+      const traceEntry = {
+        function: functionName,
+        arguments: functionArgs
+      };
+      toolTrace.push(traceEntry);
+      if (onEvent) onEvent("tool_call", traceEntry);
+
+      const functionResult = parseError
+        ? { error: "invalid_arguments", details: [`arguments are not valid JSON: ${parseError}`] }
+        : await agentTools.executeTool(functionName, functionArgs, turn);
+      if (onEvent) onEvent("tool_result", { function: functionName, result: functionResult });
+
+      // Add tool result to messages
+      turnMessages.push({
+        role: "tool",
+        tool_call_id: toolCall.id,
+        content: JSON.stringify(functionResult)
+      });
+    }
+
+    // Get next response from the model
+    responseMessage = await request();
+    turnMessages.push(responseMessage);
+  }
+
+  // Out of rounds with tool calls still pending: drop them (a saved tool_calls message
+  // without results breaks the thread) and ask once more without tools for a plain reply
+  if (responseMessage.tool_calls) {
+    turnMessages.pop();
+    responseMessage = await request({ withTools: false });
+    delete responseMessage.tool_calls;
+    turnMessages.push(responseMessage);
+  }
+
+  // Check the final reply before it reaches the user (or the thread history)
+  const guarded = await guardrails.guardReply(responseMessage.content, threadId);
+  responseMessage.content = guarded.text;
+
+  return {
+    reply: responseMessage.content || "No response generated",
+    messages: turnMessages,
+    tool_trace: toolTrace,
+    committed: turn.committed,
+    proposals: turn.proposals,
+    guardrail: {
+      blocked: guarded.blocked,
+      rewritten: guarded.rewritten,
+      violations: guarded.violations.map(violation => violation.rule_id)
+    }
+  };
+}
+
+/**
+ * Rough token estimate (about 4 characters per token)
+ */
+function estimateTokens(messages) {
+  return Math.ceil(messages.reduce((sum, m) => sum + JSON.stringify(m).length, 0) / 4);
+}
+
+/**
+ * Render stored messages as plain text for the summariser
+ */
+function toTranscript(rows) {
+  return rows.map(row => {
+    if (row.role === "tool") {
+      return `[tool result] ${String(row.content).slice(0, SUMMARY_TOOL_RESULT_CHARS)}`;
+    }
+    const calls = (row.tool_calls || [])
+      .map(call => `[tool call] ${call.function.name}(${call.function.arguments})`)
+      .join("\n");
+    return [row.content ? `${row.role}: ${row.content}` : null, calls || null].filter(Boolean).join("\n");
+  }).join("\n");
+}
+
+/**
+ * Load a thread's replayable context, summarising the oldest turns when the
+ * unsummarised history exceeds CONTEXT_TOKEN_BUDGET
+ * @param {object} options
+ * @param {object} options.llm - LLM provider (llmProvider.getProvider())
+ * @param {object} options.thread - agent_threads row
+ * @returns {Promise<object>} { summary, history } with history in OpenAI message format
+ */
+async function loadThreadContext({ llm, thread }) {
+  const rows = await agentThreads.listMessages(thread.id, thread.summarized_through_seq || 0);
+  let summary = thread.summary || null;
+  let kept = rows;
+
+  if (estimateTokens(rows.map(agentThreads.toChatMessage)) > CONTEXT_TOKEN_BUDGET) {
+    // Turns start at user messages so tool calls stay with their results
+    const turnStarts = rows
+      .map((row, index) => (row.role === "user" ? index : null))
+      .filter(index => index !== null);
+
+    // Drop whole turns from the front until the rest fits in half the budget (keep the last turn)
+    let cut = 0;
+    for (const start of turnStarts.slice(1)) {
+      cut = start;
+      if (estimateTokens(rows.slice(cut).map(agentThreads.toChatMessage)) <= CONTEXT_TOKEN_BUDGET / 2) break;
+    }
+
+    if (cut > 0) {
+      const older = rows.slice(0, cut);
+      const summaryMessage = await llm.complete({
+        messages: [
+          {
+            role: "system",
+            content: "Summarise this conversation between a user and the LifeMaster health coach for the coach's own memory. Keep facts the user stated, advice given, proposals (with ids and status) and open questions. Max 200 words, same language as the conversation."
+          },
+          {
+            role: "user",
+            content: `${summary ? `Existing summary:\n${summary}\n\n` : ""}New turns:\n${toTranscript(older)}`
+          }
+        ]
+      });
+
+      summary = summaryMessage.content;
+      kept = rows.slice(cut);
+      await agentThreads.saveSummary(thread.id, summary, older[older.length - 1].seq);
+    }
+  }
+
+  return { summary, history: kept.map(agentThreads.toChatMessage) };
+}
+
+module.exports = {
+  runTurn,
+  loadThreadContext
+};
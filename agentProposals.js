@@ -0,0 +1,283 @@
+/**
+ * Agent Proposals
+ * Pending decisions proposed by the agent. A decision can only be committed
+ * after its proposal was explicitly approved (replaces keyword-based consent)
+ *
+ * Table agent_proposals: id, status ('pending' | 'approved' | 'rejected' | 'expired' | 'committed'),
+ * scope, entry_date, title, notes, analysis jsonb, metrics jsonb, expires_at,
+ * decided_at, decision_note, committed_entry_id, created_at
+ */
+
+const { supabase } = require('./supabaseClient');
+const guardrails = require('./guardrails');
+
+// How long a proposal stays open for approval
+const PROPOSAL_TTL_HOURS = Number(process.env.PROPOSAL_TTL_HOURS || 72);
+
+/**
+ * Mark pending and approved-but-uncommitted proposals past their expiry as expired
+ */
+async function expireStale() {
+  const { error } = await supabase
+    .from('agent_proposals')
+    .update({ status: 'expired' })
+    .in('status', ['pending', 'approved'])
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to expire proposals: ${error.message}`);
+  }
+}
+
+/**
+ * Store a new pending proposal
+ * @param {object} proposal - { scope, entry_date, title, notes, analysis, metrics }
+ * @returns {Promise<object>} Saved proposal
+ */
+async function createProposal({ scope, entry_date, title, notes, analysis, metrics }) {
+  const now = new Date();
+
+  const { data, error } = await supabase
+    .from('agent_proposals')
+    .insert({
+      status: 'pending',
+      scope,
+      entry_date,
+      title,
+      notes: notes || null,
+      analysis: analysis || {},
+      metrics: metrics || {},
+      expires_at: new Date(now.getTime() + PROPOSAL_TTL_HOURS * 3600 * 1000).toISOString(),
+      created_at: now.toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save proposal: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List proposals, newest first
+ * @param {string} [status] - Optional status filter
+ * @returns {Promise<Array<object>>}
+ */
+async function listProposals(status) {
+  await expireStale();
+
+  let query = supabase
+    .from('agent_proposals')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to read proposals: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Read one proposal
+ * @param {string|number} id - Proposal id
+ * @returns {Promise<object|null>}
+ */
+async function getProposal(id) {
+  await expireStale();
+
+  const { data, error } = await supabase
+    .from('agent_proposals')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read proposal: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Approve or reject a pending proposal
+ * @param {string|number} id - Proposal id
+ * @param {string} status - 'approved' | 'rejected'
+ * @param {string} [note] - Optional user note
+ * @returns {Promise<object>} { ok, proposal } or { ok: false, reason }
+ */
+async function decide(id, status, note) {
+  const proposal = await getProposal(id);
+
+  if (!proposal) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (proposal.status !== 'pending') {
+    return { ok: false, reason: `proposal_${proposal.status}`, proposal };
+  }
+
+  const { data, error } = await supabase
+    .from('agent_proposals')
+    .update({
+      status,
+      decided_at: new Date().toISOString(),
+      decision_note: note || null
+    })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update proposal: ${error.message}`);
+  }
+
+  // A concurrent approve/reject changed it first
+  if (data.length === 0) {
+    const current = await getProposal(id);
+    return current
+      ? { ok: false, reason: `proposal_${current.status}`, proposal: current }
+      : { ok: false, reason: 'not_found' };
+  }
+
+  return { ok: true, proposal: data[0] };
+}
+
+/**
+ * Approve a pending proposal
+ */
+async function approve(id, note) {
+  return decide(id, 'approved', note);
+}
+
+/**
+ * Reject a pending proposal
+ */
+async function reject(id, note) {
+  return decide(id, 'rejected', note);
+}
+
+/**
+ * Claim an approved, unexpired proposal for commit so it can only be committed once
+ * @param {string|number} id - Proposal id
+ * @returns {Promise<object|null>} Claimed proposal, or null if it was not approved
+ */
+async function claimForCommit(id) {
+  const { data, error } = await supabase
+    .from('agent_proposals')
+    .update({ status: 'committed' })
+    .eq('id', id)
+    .eq('status', 'approved')
+    .gte('expires_at', new Date().toISOString())
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim proposal: ${error.message}`);
+  }
+
+  return data[0] || null;
+}
+
+/**
+ * Record the decision entry that committed a claimed proposal,
+ * or return the proposal to approved when the commit failed
+ * @param {string|number} id - Proposal id
+ * @param {number|null} entryId - lifemaster_progress id, null to release the claim
+ */
+async function finishCommit(id, entryId) {
+  const update = entryId !== null
+    ? { committed_entry_id: entryId }
+    : { status: 'approved' };
+
+  const { error } = await supabase
+    .from('agent_proposals')
+    .update(update)
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Failed to update committed proposal: ${error.message}`);
+  }
+}
+
+/**
+ * Commit an approved proposal as a consented decision in lifemaster_progress
+ * Shared by POST /agent/commit and the commit_agent_decision tool
+ * @param {string|number} id - Proposal id
+ * Proposals that violate a guardrail rule are refused (and audited)
+ * @returns {Promise<object>} { ok: true, proposal, entry } or
+ *   { ok: false, reason: 'not_found' | 'already_committed' | 'not_approved' | 'guardrail_blocked', proposal, violations? }
+ */
+async function commitProposal(id) {
+  const proposal = await getProposal(id);
+
+  if (!proposal) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (proposal.status === 'committed') {
+    return { ok: false, reason: 'already_committed', proposal };
+  }
+  if (proposal.status !== 'approved') {
+    return { ok: false, reason: 'not_approved', proposal };
+  }
+
+  const violations = await guardrails.checkDecision(proposal);
+  if (violations.length > 0) {
+    return { ok: false, reason: 'guardrail_blocked', proposal, violations };
+  }
+
+  const claimed = await claimForCommit(id);
+  if (!claimed) {
+    // Committed or expired since it was read
+    const current = await getProposal(id);
+    return { ok: false, reason: current?.status === 'committed' ? 'already_committed' : 'not_approved', proposal: current || proposal };
+  }
+
+  const { data, error } = await supabase
+    .from('lifemaster_progress')
+    .insert({
+      entry_type: 'decision',
+      entry_date: proposal.entry_date,
+      source: 'agent',
+      title: proposal.title,
+      notes: proposal.notes,
+      analysis: proposal.analysis,
+      metrics: proposal.metrics,
+      consent: {
+        status: 'granted',
+        granted_at: proposal.decided_at,
+        scope: proposal.scope,
+        proposal_id: proposal.id,
+        note: proposal.decision_note
+      },
+      entry_ts: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await finishCommit(id, null);
+    throw new Error(`Failed to commit proposal: ${error.message}`);
+  }
+
+  await finishCommit(id, data.id);
+
+  return { ok: true, proposal: { ...claimed, committed_entry_id: data.id }, entry: data };
+}
+
+module.exports = {
+  PROPOSAL_TTL_HOURS,
+  createProposal,
+  listProposals,
+  getProposal,
+  approve,
+  reject,
+  commitProposal
+};
@@ -0,0 +1,181 @@
+/**
+ * Agent Threads
+ * Persistent multi-turn conversations for the chat agent
+ *
+ * Table agent_threads: id, title, summary, summarized_through_seq (int), created_at, updated_at
+ * Table agent_thread_messages: id, thread_id, seq (int, unique per thread), role
+ * ('user' | 'assistant' | 'tool'), content, tool_calls jsonb, tool_call_id, created_at
+ */
+
+const { supabase } = require('./supabaseClient');
+
+/**
+ * Create a thread
+ * @param {string} [title] - Optional title
+ * @returns {Promise<object>} Saved thread
+ */
+async function createThread(title) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('agent_threads')
+    .insert({
+      title: title || null,
+      summary: null,
+      summarized_through_seq: 0,
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create thread: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Read one thread
+ * @param {string|number} id - Thread id
+ * @returns {Promise<object|null>}
+ */
+async function getThread(id) {
+  const { data, error } = await supabase
+    .from('agent_threads')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read thread: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List threads, most recently active first
+ * @returns {Promise<Array<object>>}
+ */
+async function listThreads() {
+  const { data, error } = await supabase
+    .from('agent_threads')
+    .select('*')
+    .order('updated_at', { ascending: false })
+    .limit(50);
+
+  if (error) {
+    throw new Error(`Failed to read threads: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List a thread's messages in order
+ * @param {string|number} threadId - Thread id
+ * @param {number} [afterSeq] - Only messages after this sequence number
+ * @returns {Promise<Array<object>>}
+ */
+async function listMessages(threadId, afterSeq = 0) {
+  const { data, error } = await supabase
+    .from('agent_thread_messages')
+    .select('*')
+    .eq('thread_id', threadId)
+    .gt('seq', afterSeq)
+    .order('seq', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read thread messages: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Append messages (OpenAI format) to a thread
+ * @param {string|number} threadId - Thread id
+ * @param {Array<object>} messages - user / assistant / tool messages
+ * @returns {Promise<Array<object>>} Saved rows
+ */
+async function appendMessages(threadId, messages) {
+  const { data: last, error: readError } = await supabase
+    .from('agent_thread_messages')
+    .select('seq')
+    .eq('thread_id', threadId)
+    .order('seq', { ascending: false })
+    .limit(1);
+
+  if (readError) {
+    throw new Error(`Failed to read thread messages: ${readError.message}`);
+  }
+
+  const startSeq = last.length > 0 ? last[0].seq : 0;
+  const now = new Date().toISOString();
+  const rows = messages.map((message, index) => ({
+    thread_id: threadId,
+    seq: startSeq + index + 1,
+    role: message.role,
+    content: message.content ?? null,
+    tool_calls: message.tool_calls || null,
+    tool_call_id: message.tool_call_id || null,
+    created_at: now
+  }));
+
+  const { data, error } = await supabase
+    .from('agent_thread_messages')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to save thread messages: ${error.message}`);
+  }
+
+  await supabase
+    .from('agent_threads')
+    .update({ updated_at: now })
+    .eq('id', threadId);
+
+  return data;
+}
+
+/**
+ * Store the rolling summary of older turns
+ * @param {string|number} threadId - Thread id
+ * @param {string} summary - Summary text
+ * @param {number} throughSeq - Last message sequence number covered by the summary
+ */
+async function saveSummary(threadId, summary, throughSeq) {
+  const { error } = await supabase
+    .from('agent_threads')
+    .update({ summary, summarized_through_seq: throughSeq })
+    .eq('id', threadId);
+
+  if (error) {
+    throw new Error(`Failed to save thread summary: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a stored row back to an OpenAI chat message
+ * @param {object} row - agent_thread_messages row
+ * @returns {object}
+ */
+function toChatMessage(row) {
+  const message = { role: row.role, content: row.content };
+  if (row.tool_calls) message.tool_calls = row.tool_calls;
+  if (row.tool_call_id) message.tool_call_id = row.tool_call_id;
+  return message;
+}
+
+module.exports = {
+  createThread,
+  getThread,
+  listThreads,
+  listMessages,
+  appendMessages,
+  saveSummary,
+  toChatMessage
+};
@@ -0,0 +1,537 @@
+/**
+ * Agent Tools
+ * In-process registry of the tools the chat agent can call. Each tool declares
+ * a JSON schema for its arguments and a handler; arguments are validated
+ * against the schema before the handler runs
+ *
+ * Handlers call the service modules directly, so a local or staging instance
+ * only ever reads and writes its own Supabase project
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const tokenStore = require('./tokenStore');
+const dailyHealth = require('./dailyHealth');
+const healthRange = require('./healthRange');
+const withingsMetrics = require('./withingsMetrics');
+const trainingAdherence = require('./trainingAdherence');
+const readiness = require('./readiness');
+const labs = require('./labs');
+const stimulants = require('./stimulants');
+const dynamicState = require('./dynamicState');
+const agentProposals = require('./agentProposals');
+
+const TIMEZONE = 'Asia/Jerusalem';
+// Longest window get_trends may read (same limit as /health/range)
+const MAX_TREND_DAYS = 92;
+
+const registry = new Map();
+
+/**
+ * Register a tool
+ * @param {object} tool
+ * @param {string} tool.name - Function name exposed to the model
+ * @param {string} tool.description - Description shown to the model
+ * @param {object} tool.parameters - JSON schema of the arguments (type: object)
+ * @param {Function} tool.handler - async (args, turn) => result
+ */
+function registerTool({ name, description, parameters, handler }) {
+  if (registry.has(name)) {
+    throw new Error(`Tool already registered: ${name}`);
+  }
+  registry.set(name, { name, description, parameters, handler });
+}
+
+/**
+ * Tool definitions in OpenAI function-calling format
+ * @returns {Array<object>}
+ */
+function listToolDefinitions() {
+  return [...registry.values()].map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Validate a value against the JSON schema subset used by the tools
+ * (type, enum, required, properties, additionalProperties, minimum, maximum, format: date)
+ * @param {object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} [path] - Location used in error messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateArgs(schema, value, path = 'arguments') {
+  const errors = [];
+
+  if (schema.type === 'object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${path} must be an object`];
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateArgs(propertySchema, child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+    return errors;
+  }
+
+  if (schema.type === 'integer' && !Number.isInteger(value)) {
+    return [`${path} must be an integer`];
+  }
+  if (schema.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    return [`${path} must be a number`];
+  }
+  if (schema.type === 'string' && typeof value !== 'string') {
+    return [`${path} must be a string`];
+  }
+  if (schema.type === 'boolean' && typeof value !== 'boolean') {
+    return [`${path} must be a boolean`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (schema.format === 'date' && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && DateTime.fromISO(value).isValid)) {
+    errors.push(`${path} must be a date in YYYY-MM-DD format`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and run one tool call
+ * @param {string} name - Tool name
+ * @param {object} args - Parsed arguments
+ * @param {object} turn - Per-turn state ({ committed, proposals })
+ * @returns {Promise<object>} Tool result, or { error } for unknown tools, invalid arguments and failures
+ */
+async function executeTool(name, args, turn) {
+  const tool = registry.get(name);
+
+  if (!tool) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  const errors = validateArgs(tool.parameters, args);
+  if (errors.length > 0) {
+    return { error: 'invalid_arguments', details: errors };
+  }
+
+  try {
+    return await tool.handler(args, turn);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// ===== TOOLS =====
+
+registerTool({
+  name: 'get_agent_state',
+  description: 'Retrieve recent progress entries from the lifemaster_progress table. Returns up to 100 recent entries ordered by timestamp descending.',
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: [],
+    additionalProperties: false
+  },
+  handler: async () => {
+    const { data, error } = await supabase
+      .from('lifemaster_progress')
+      .select('*')
+      .order('entry_ts', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      throw new Error(`Failed to read progress entries: ${error.message}`);
+    }
+
+    return { count: data.length, entries: data };
+  }
+});
+
+registerTool({
+  name: 'get_daily_health',
+  description: 'Withings snapshot for one day (weight, body composition, heart rate, HRV, sleep, activity), the raw data points behind it, sedentary streaks and the readiness score for that day. Defaults to today.',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: {
+        type: 'string',
+        format: 'date',
+        description: 'Date in YYYY-MM-DD format (default: today)'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  },
+  handler: async ({ date }) => {
+    const targetDate = date
+      ? DateTime.fromISO(date, { zone: TIMEZONE })
+      : DateTime.now().setZone(TIMEZONE);
+
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return { error: 'withings_not_connected', message: error.message };
+    }
+
+    const daily = await dailyHealth.buildDailyHealth({ targetDate, accessToken });
+    if (!daily.ok) {
+      return { error: daily.error, details: daily.details };
+    }
+
+    return daily.response;
+  }
+});
+
+registerTool({
+  name: 'get_trends',
+  description: 'Daily values of one Withings metric over the last N days (ending today) with min/max/mean and a 7-day rolling average.',
+  parameters: {
+    type: 'object',
+    properties: {
+      metric: {
+        type: 'string',
+        enum: Object.keys(withingsMetrics.createEmptySnapshot()),
+        description: 'Snapshot metric (e.g. weight_kg, fat_mass_kg, hrv, sleep_score, steps)'
+      },
+      days: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_TREND_DAYS,
+        description: 'Number of days including today'
+      }
+    },
+    required: ['metric', 'days'],
+    additionalProperties: false
+  },
+  handler: async ({ metric, days }) => {
+    const to = DateTime.now().setZone(TIMEZONE).startOf('day');
+    const from = to.minus({ days: days - 1 });
+
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return { error: 'withings_not_connected', message: error.message };
+    }
+
+    const range = await healthRange.fetchDailySnapshots({ accessToken, from, to });
+    if (!range.ok) {
+      return { error: range.error, details: range.details };
+    }
+
+    const { count, min, max, mean, rolling_7d_avg } = healthRange.aggregateSnapshots(range.days)[metric];
+
+    return {
+      metric,
+      from: from.toISODate(),
+      to: to.toISODate(),
+      points: range.days.map(day => ({ date: day.date, value: day.snapshot[metric] })),
+      count,
+      min,
+      max,
+      mean,
+      rolling_7d_avg
+    };
+  }
+});
+
+registerTool({
+  name: 'get_labs',
+  description: 'Retrieve lab results with reference-range flags. Without an analyte returns the latest value per analyte; with an analyte (e.g. triglycerides, hdl, hba1c) returns its trend history.',
+  parameters: {
+    type: 'object',
+    properties: {
+      analyte: {
+        type: 'string',
+        description: 'Optional analyte key for trend history'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  },
+  handler: async ({ analyte }) => (analyte ? labs.getTrend(analyte) : labs.getLatestPanel())
+});
+
+registerTool({
+  name: 'get_training_adherence',
+  description: 'Weekly training adherence against the TRUTH_STATE training constraints (sessions per week, minimum duration, preferred time) for the last N weeks including the current one.',
+  parameters: {
+    type: 'object',
+    properties: {
+      weeks: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 52,
+        description: 'Number of weeks (default 4)'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  },
+  handler: async ({ weeks }) => trainingAdherence.computeAdherence(weeks || 4)
+});
+
+registerTool({
+  name: 'get_readiness',
+  description: 'Daily readiness score (0-100) over the last N days from HRV z-score, resting HR deviation, sleep debt and sleep score against rolling 14/30-day baselines, with the training suggestion for each day (strength, strength_reduced or mobility).',
+  parameters: {
+    type: 'object',
+    properties: {
+      days: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 60,
+        description: 'Number of days including today (default 7)'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  },
+  handler: async ({ days }) => {
+    const to = DateTime.now().setZone(TIMEZONE).startOf('day');
+    const from = to.minus({ days: (days || 7) - 1 });
+
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return { error: 'withings_not_connected', message: error.message };
+    }
+
+    const series = await readiness.getReadinessSeries({ accessToken, from, to });
+    if (!series.ok) {
+      return { error: series.error, details: series.details };
+    }
+
+    return { from: from.toISODate(), to: to.toISODate(), days: series.days };
+  }
+});
+
+registerTool({
+  name: 'get_stimulant_sleep_effects',
+  description: 'Effect of logged caffeine, nicotine and alcohol exposures on that night\'s sleep (sleep score, duration, HRV, wake-ups) over the last N nights. Each factor compares nights with and without it; cite the statement fields.',
+  parameters: {
+    type: 'object',
+    properties: {
+      days: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_TREND_DAYS - 1,
+        description: 'Number of nights ending last night (default 30)'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  },
+  handler: async ({ days }) => {
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return { error: 'withings_not_connected', message: error.message };
+    }
+
+    const { ok, error, details, ...effects } = await stimulants.analyzeSleepEffects({ accessToken, days: days || 30 });
+    return ok ? effects : { error, details };
+  }
+});
+
+registerTool({
+  name: 'create_agent_event',
+  description: 'Record a manual event (nutrition, sleep, training observation, or user note) to the progress log.',
+  parameters: {
+    type: 'object',
+    properties: {
+      entry_date: {
+        type: 'string',
+        format: 'date',
+        description: 'Date in YYYY-MM-DD format'
+      },
+      title: {
+        type: 'string',
+        description: 'Brief title of the event'
+      },
+      notes: {
+        type: 'string',
+        description: 'Detailed notes or observations'
+      },
+      metrics: {
+        type: 'object',
+        description: 'Optional structured metrics (e.g., sleep_hours, calories, etc.)'
+      }
+    },
+    required: ['entry_date', 'title'],
+    additionalProperties: false
+  },
+  handler: async ({ entry_date, title, notes, metrics }) => {
+    const { data, error } = await supabase
+      .from('lifemaster_progress')
+      .insert({
+        entry_type: 'event',
+        entry_date,
+        source: 'agent',
+        title,
+        notes: notes || null,
+        metrics: metrics || {},
+        entry_ts: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save event: ${error.message}`);
+    }
+
+    return { status: 'saved', entry: data };
+  }
+});
+
+registerTool({
+  name: 'propose_status_change',
+  description: 'Propose a change to the dynamic state phase of training, sleep or nutrition. Stored as a pending proposal; it is applied only after the user approves it and it is committed.',
+  parameters: {
+    type: 'object',
+    properties: {
+      domain: {
+        type: 'string',
+        enum: Object.keys(dynamicState.PHASES),
+        description: 'Which status to change'
+      },
+      phase: {
+        type: 'string',
+        description: `New phase. training: ${dynamicState.PHASES.training.join('/')}; sleep: ${dynamicState.PHASES.sleep.join('/')}; nutrition: ${dynamicState.PHASES.nutrition.join('/')}`
+      },
+      reason: {
+        type: 'string',
+        description: 'Why the phase should change'
+      }
+    },
+    required: ['domain', 'phase', 'reason'],
+    additionalProperties: false
+  },
+  handler: async ({ domain, phase, reason }, turn) => {
+    const validationError = dynamicState.validateStatusChange(domain, phase);
+    if (validationError) {
+      return { error: validationError };
+    }
+
+    const proposal = await agentProposals.createProposal({
+      entry_date: DateTime.now().setZone(TIMEZONE).toISODate(),
+      scope: 'dynamic_state',
+      title: `${domain} phase set to ${phase}`,
+      notes: reason,
+      metrics: { status_change: { domain, phase } }
+    });
+    turn.proposals.push(proposal);
+
+    return { status: 'pending', proposal };
+  }
+});
+
+registerTool({
+  name: 'propose_agent_decision',
+  description: 'Store a decision or intervention as a pending proposal. The user approves or rejects it explicitly; nothing is committed until then.',
+  parameters: {
+    type: 'object',
+    properties: {
+      entry_date: {
+        type: 'string',
+        format: 'date',
+        description: 'Date in YYYY-MM-DD format'
+      },
+      title: {
+        type: 'string',
+        description: 'Decision title'
+      },
+      scope: {
+        type: 'string',
+        description: 'What the decision covers (e.g. training, sleep, nutrition)'
+      },
+      notes: {
+        type: 'string',
+        description: 'The plan, as it should be shown to the user for approval'
+      },
+      analysis: {
+        type: 'object',
+        description: 'Analysis object with worked, didnt_work, and next fields'
+      }
+    },
+    required: ['entry_date', 'title', 'scope'],
+    additionalProperties: false
+  },
+  handler: async ({ entry_date, title, scope, notes, analysis }, turn) => {
+    const proposal = await agentProposals.createProposal({ entry_date, scope, title, notes, analysis });
+    turn.proposals.push(proposal);
+
+    return { status: 'pending', proposal };
+  }
+});
+
+registerTool({
+  name: 'commit_agent_decision',
+  description: "Commit a proposal the user has already approved. Only proposals with status 'approved' can be committed.",
+  parameters: {
+    type: 'object',
+    properties: {
+      proposal_id: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Id of the approved proposal'
+      }
+    },
+    required: ['proposal_id'],
+    additionalProperties: false
+  },
+  handler: async ({ proposal_id }, turn) => {
+    const result = await agentProposals.commitProposal(proposal_id);
+
+    if (!result.ok) {
+      return {
+        error: result.reason,
+        proposal_status: result.proposal?.status || null,
+        violations: result.violations ? result.violations.map(violation => violation.rule_id) : undefined
+      };
+    }
+
+    turn.committed = true;
+
+    // The decision is saved; a failed re-derivation must not turn the commit into an error
+    try {
+      await dynamicState.refresh();
+    } catch (error) {
+      console.error('Dynamic state refresh failed:', error.message);
+    }
+
+    return { status: 'committed', proposal_id: result.proposal.id, entry: result.entry };
+  }
+});
+
+module.exports = {
+  registerTool,
+  listToolDefinitions,
+  validateArgs,
+  executeTool
+};
@@ -0,0 +1,288 @@
+/**
+ * Analysis Jobs
+ * Queue that decouples progress analysis from the /health/daily read path.
+ * Each distinct snapshot of a day is enqueued once, keyed by (snapshot_date,
+ * snapshot_hash), and processed exactly once by the in-process worker
+ * (single server instance; jobs left running by a restart are re-queued)
+ * The hash leaves out the daily activity fields (steps, calories, active minutes,
+ * HR zones): they change on every sync during the day and the analysis does not use them
+ *
+ * Table analysis_jobs: id, snapshot_date (date), snapshot_hash, status
+ * ('pending' | 'running' | 'done' | 'skipped' | 'failed'), source ('health_daily' |
+ * 'withings_notify'), snapshot jsonb, readiness jsonb, trigger jsonb, entry_id,
+ * attempts, error, created_at, started_at, finished_at
+ * Unique on (snapshot_date, snapshot_hash)
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('./supabaseClient');
+const { ACTIVITY_FIELDS } = require('./withingsMetrics');
+
+const STATUSES = ['pending', 'running', 'done', 'skipped', 'failed'];
+// A job that throws this many times is marked failed
+const MAX_ATTEMPTS = 3;
+const WORKER_INTERVAL_MS = Number(process.env.ANALYSIS_JOB_INTERVAL_MS) || 60000;
+// Snapshot fields left out of the hash
+const UNHASHED_FIELDS = new Set(Object.values(ACTIVITY_FIELDS).map(field => field.key));
+
+let jobHandler = null;
+let draining = null;
+let rerun = false;
+
+/**
+ * JSON with sorted keys so equal snapshots always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of the analysed fields of a snapshot (activity fields excluded)
+ * @param {object} snapshot - Daily snapshot
+ * @returns {string} Hex digest
+ */
+function hashSnapshot(snapshot) {
+  const analysed = Object.fromEntries(
+    Object.entries(snapshot || {}).filter(([key]) => !UNHASHED_FIELDS.has(key))
+  );
+  return crypto.createHash('sha256').update(stableStringify(analysed)).digest('hex');
+}
+
+/**
+ * Queue the analysis of a snapshot (no-op when the same snapshot was already queued)
+ * @param {object} options
+ * @param {string} options.date - Snapshot date (YYYY-MM-DD)
+ * @param {object} options.snapshot - Daily snapshot
+ * @param {object} [options.readiness] - readiness.computeReadiness() result
+ * @param {string} options.source - 'health_daily' | 'withings_notify'
+ * @returns {Promise<object>} { job, created }
+ */
+async function enqueue({ date, snapshot, readiness, source }) {
+  const snapshotHash = hashSnapshot(snapshot);
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('analysis_jobs')
+    .upsert({
+      snapshot_date: date,
+      snapshot_hash: snapshotHash,
+      status: 'pending',
+      source,
+      snapshot,
+      readiness: readiness || null,
+      attempts: 0,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'snapshot_date,snapshot_hash', ignoreDuplicates: true })
+    .select();
+
+  if (insertError) {
+    throw new Error(`Failed to queue analysis job: ${insertError.message}`);
+  }
+
+  if (inserted.length > 0) {
+    if (jobHandler) {
+      setImmediate(processPending);
+    }
+    return { job: inserted[0], created: true };
+  }
+
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('snapshot_date', date)
+    .eq('snapshot_hash', snapshotHash)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to read analysis job: ${error.message}`);
+  }
+
+  return { job: data, created: false };
+}
+
+/**
+ * Get one job
+ * @param {string|number} id - Job id
+ * @returns {Promise<object|null>}
+ */
+async function getJob(id) {
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read analysis job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List jobs, newest first (without the stored snapshot)
+ * @param {object} options - { status, limit }
+ * @returns {Promise<Array<object>>}
+ */
+async function listJobs({ status, limit }) {
+  let query = supabase
+    .from('analysis_jobs')
+    .select('id, snapshot_date, snapshot_hash, status, source, trigger, entry_id, attempts, error, created_at, started_at, finished_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to read analysis jobs: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Move a pending job to running
+ * Conditional update: only one worker pass can claim the job
+ * @param {number} id - Job id
+ * @returns {Promise<object|null>} Claimed job, null when no longer pending
+ */
+async function claim(id) {
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .update({ status: 'running', started_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim analysis job: ${error.message}`);
+  }
+
+  return data[0] || null;
+}
+
+async function finishJob(id, fields) {
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update({ ...fields, finished_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Failed to update analysis job: ${error.message}`);
+  }
+}
+
+/**
+ * Run one claimed job through the handler
+ * Handler result: { status: 'done' | 'skipped', trigger, entry_id }
+ */
+async function runJob(job) {
+  try {
+    const result = await jobHandler(job);
+    await finishJob(job.id, {
+      status: result.status,
+      trigger: result.trigger || null,
+      entry_id: result.entry_id || null,
+      attempts: job.attempts + 1,
+      error: null
+    });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    console.error(`Analysis job ${job.id} failed (attempt ${attempts}):`, error.message);
+    await finishJob(job.id, {
+      status: attempts < MAX_ATTEMPTS ? 'pending' : 'failed',
+      attempts,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * One pass over the jobs pending when it starts, oldest first
+ * (jobs re-queued by a failure wait for the next pass)
+ */
+async function drainOnce() {
+  const { data: pending, error } = await supabase
+    .from('analysis_jobs')
+    .select('id')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    throw new Error(`Failed to read analysis jobs: ${error.message}`);
+  }
+
+  for (const { id } of pending) {
+    const job = await claim(id);
+    if (job) {
+      await runJob(job);
+    }
+  }
+}
+
+/**
+ * Process pending jobs one at a time
+ * A call during a running pass schedules one more pass after it
+ * @returns {Promise<void>}
+ */
+function processPending() {
+  if (draining) {
+    rerun = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    try {
+      do {
+        rerun = false;
+        await drainOnce();
+      } while (rerun);
+    } catch (error) {
+      console.error('Analysis job worker error:', error.message);
+    } finally {
+      draining = null;
+    }
+  })();
+  return draining;
+}
+
+/**
+ * Start the in-process worker
+ * Jobs left running by a previous process are re-queued first
+ * @param {Function} handler - async job => { status, trigger, entry_id }
+ */
+async function startWorker(handler) {
+  jobHandler = handler;
+
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update({ status: 'pending' })
+    .eq('status', 'running');
+
+  if (error) {
+    console.error('Failed to re-queue running analysis jobs:', error.message);
+  }
+
+  setInterval(processPending, WORKER_INTERVAL_MS).unref();
+  await processPending();
+}
+
+module.exports = {
+  STATUSES,
+  hashSnapshot,
+  enqueue,
+  getJob,
+  listJobs,
+  processPending,
+  startWorker
+};
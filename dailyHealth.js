@@ -0,0 +1,259 @@
+/**
+ * Daily Health
+ * Builds the /health/daily snapshot for one date from cached or live Withings data
+ */
+
+const withingsSync = require('./withingsSync');
+const withingsMetrics = require('./withingsMetrics');
+const withingsActivity = require('./withingsActivity');
+const truthState = require('./truthState');
+const readiness = require('./readiness');
+
+/**
+ * Build the daily health response for a date
+ * Side-effect free: progress analysis is triggered by the caller
+ * @param {object} options
+ * @param {DateTime} options.targetDate - Target date (luxon, in the response timezone)
+ * @param {string} options.accessToken - Withings access token
+ * @param {boolean} [options.debug] - Include Withings debug info
+ * @returns {Promise<object>} { ok: true, response } or { ok: false, error, details, debug }
+ */
+async function buildDailyHealth({ targetDate, accessToken, debug = false }) {
+  const timezone = targetDate.zoneName;
+  const dateStr = targetDate.toISODate();
+  const startOfDay = targetDate.startOf('day');
+  const endOfDay = startOfDay.plus({ days: 1 });
+  
+  // Wider window for measurements (3 days back to handle timezone/sync issues)
+  const measureStartTs = Math.floor(startOfDay.minus({ days: 3 }).toSeconds());
+  const measureEndTs = Math.floor(endOfDay.toSeconds());
+  
+  // Original window for sleep (using same day)
+  const startTs = Math.floor(startOfDay.toSeconds());
+  const endTs = Math.floor(endOfDay.toSeconds());
+  
+  const dataPoints = [];
+  const snapshot = withingsMetrics.createEmptySnapshot();
+  
+  const debugInfo = debug ? { measure: {}, sleep: {}, activity: {} } : null;
+  
+  // Fetch measurements (weight, HR, SpO2, HRV, BP, body composition)
+  let measureRes;
+  const measureUrl = withingsSync.MEASURE_URL;
+  const measureParams = {
+    action: 'getmeas',
+    startdate: measureStartTs,
+    enddate: measureEndTs,
+    category: 1,
+    meastypes: withingsMetrics.MEASTYPES
+  };
+  
+  try {
+    if (debug) {
+      debugInfo.measure.url = measureUrl;
+      debugInfo.measure.action = measureParams.action;
+      debugInfo.measure.startdate = measureParams.startdate;
+      debugInfo.measure.enddate = measureParams.enddate;
+      debugInfo.measure.window_days = Math.ceil((measureEndTs - measureStartTs) / 86400);
+    }
+    
+    // Read from the local cache first (falls back to live Withings)
+    measureRes = await withingsSync.readMeasureGroups({
+      accessToken,
+      startTs: measureStartTs,
+      endTs: measureEndTs
+    });
+    
+    if (debug) {
+      debugInfo.measure.source = measureRes.source;
+      debugInfo.measure.status = measureRes.status;
+      debugInfo.measure.raw_measuregrps_count = measureRes.body?.measuregrps?.length || 0;
+      
+      if (measureRes.error || measureRes.body?.error) {
+        debugInfo.measure.error = measureRes.error || measureRes.body?.error;
+      }
+      if (measureRes.message || measureRes.body?.message) {
+        debugInfo.measure.message = measureRes.message || measureRes.body?.message;
+      }
+      
+      if (measureRes.body?.measuregrps && measureRes.body.measuregrps.length > 0) {
+        debugInfo.measure.first_two_groups = measureRes.body.measuregrps.slice(0, 2).map(grp => ({
+          date: grp.date,
+          category: grp.category,
+          deviceid: grp.deviceid,
+          measures: grp.measures.map(m => ({
+            type: m.type || m.meastype,
+            value: m.value,
+            unit: m.unit,
+            measure_keys: Object.keys(m)
+          }))
+        }));
+      }
+    }
+    
+    if (measureRes.status !== 0) {
+      console.error('Withings measure API error:', measureRes);
+      return {
+        ok: false,
+        error: 'withings_api_error',
+        details: debug ? undefined : measureRes,
+        debug: debugInfo
+      };
+    }
+    
+    // Parse measurements
+    if (measureRes.body && measureRes.body.measuregrps) {
+      const latestValues = withingsMetrics.latestValuesByMeastype(measureRes.body.measuregrps);
+      withingsMetrics.applyMeasureValues(latestValues, snapshot, dataPoints);
+    }
+  } catch (error) {
+    console.error('⚠️ Error fetching measurements from Withings:', error.message);
+    console.error('Continuing with empty snapshot - Withings is data source, not blocker');
+    // Don't fail the request - continue with empty measurements
+    measureRes = { status: -1, body: { measuregrps: [] }, error: error.message };
+  }
+  
+  // Fetch sleep data
+  let sleepRes;
+  const sleepUrl = withingsSync.SLEEP_URL;
+  const sleepParams = {
+    action: 'getsummary',
+    startdateymd: dateStr,
+    enddateymd: dateStr
+  };
+  
+  try {
+    if (debug) {
+      debugInfo.sleep.url = sleepUrl;
+      debugInfo.sleep.action = sleepParams.action;
+      debugInfo.sleep.startdateymd = sleepParams.startdateymd;
+      debugInfo.sleep.enddateymd = sleepParams.enddateymd;
+    }
+    
+    // Read from the local cache first (falls back to live Withings)
+    sleepRes = await withingsSync.readSleepSummaries({
+      accessToken,
+      startYmd: sleepParams.startdateymd,
+      endYmd: sleepParams.enddateymd,
+      startTs
+    });
+    
+    if (debug) {
+      debugInfo.sleep.source = sleepRes.source;
+      debugInfo.sleep.status = sleepRes.status;
+      debugInfo.sleep.raw_series_count = sleepRes.body?.series?.length || 0;
+      
+      if (sleepRes.error || sleepRes.body?.error) {
+        debugInfo.sleep.error = sleepRes.error || sleepRes.body?.error;
+      }
+      if (sleepRes.message || sleepRes.body?.message) {
+        debugInfo.sleep.message = sleepRes.message || sleepRes.body?.message;
+      }
+      
+      if (sleepRes.body?.series && sleepRes.body.series.length > 0) {
+        const firstItem = sleepRes.body.series[0];
+        debugInfo.sleep.first_item_keys = Object.keys(firstItem);
+        debugInfo.sleep.first_item_data_keys = firstItem.data ? Object.keys(firstItem.data) : [];
+        debugInfo.sleep.first_item_sample = {
+          startdate: firstItem.startdate,
+          enddate: firstItem.enddate,
+          sleep_score: firstItem.data?.sleep_score,
+          total_sleep_time: firstItem.data?.total_sleep_time,
+          total_timeinbed: firstItem.data?.total_timeinbed
+        };
+      }
+    }
+    
+    if (sleepRes.status !== 0) {
+      console.warn('Withings sleep API error:', sleepRes);
+      if (debug) {
+        debugInfo.sleep.error_detected = true;
+      }
+    } else if (sleepRes.body && sleepRes.body.series && sleepRes.body.series.length > 0) {
+      // Find best overlapping sleep session
+      const bestSleep = withingsMetrics.selectBestSleepSession(sleepRes.body.series, startTs, endTs);
+      
+      if (bestSleep) {
+        withingsMetrics.applySleepSession(bestSleep, snapshot, dataPoints);
+      }
+    }
+  } catch (error) {
+    console.error('⚠️ Error fetching sleep from Withings:', error.message);
+    console.error('Continuing with empty sleep data - Withings is data source, not blocker');
+    // Don't fail the entire request for sleep data
+  }
+  
+  // Fetch activity (steps, active minutes, calories, HR zones) and work-hour sedentary streaks
+  let sedentary = null;
+  try {
+    const activityRes = await withingsActivity.fetchActivities(accessToken, dateStr, dateStr);
+    
+    if (debug) {
+      debugInfo.activity.status = activityRes.status;
+      debugInfo.activity.raw_activities_count = activityRes.body?.activities?.length || 0;
+    }
+    
+    if (activityRes.status !== 0) {
+      console.warn('Withings activity API error:', activityRes);
+    } else {
+      const activity = (activityRes.body.activities || []).find(a => a.date === dateStr);
+      if (activity) {
+        withingsMetrics.applyActivityDay(activity, startTs, snapshot, dataPoints);
+      }
+    }
+    
+    const intradayRes = await withingsActivity.fetchIntradayActivity(accessToken, startTs, endTs);
+    
+    if (debug) {
+      debugInfo.activity.intraday_status = intradayRes.status;
+    }
+    
+    if (intradayRes.status === 0) {
+      const truth = await truthState.getTruthState();
+      sedentary = withingsActivity.detectSedentaryStreaks(intradayRes.body?.series, startOfDay, truth.derived.work_hours);
+    } else {
+      console.warn('Withings intraday activity API error:', intradayRes);
+    }
+  } catch (error) {
+    console.error('⚠️ Error fetching activity from Withings:', error.message);
+    // Don't fail the entire request for activity data
+  }
+  
+  // Readiness against the rolling baselines (gates today's training suggestion)
+  let readinessScore = null;
+  try {
+    readinessScore = await readiness.getReadinessForSnapshot({ accessToken, targetDate, snapshot });
+  } catch (error) {
+    console.error('⚠️ Error computing readiness:', error.message);
+    // Don't fail the entire request for readiness
+  }
+  
+  // Return structured response
+  const response = {
+    date: dateStr,
+    window: {
+      start_ts: startTs,
+      end_ts: endTs,
+      timezone,
+      measure_window: {
+        start_ts: measureStartTs,
+        end_ts: measureEndTs,
+        days_back: 3
+      }
+    },
+    data_points: dataPoints,
+    snapshot,
+    sedentary,
+    readiness: readinessScore
+  };
+  
+  if (debug) {
+    response.debug = debugInfo;
+  }
+  
+  return { ok: true, response };
+}
+
+module.exports = {
+  buildDailyHealth
+};
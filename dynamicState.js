@@ -0,0 +1,343 @@
+/**
+ * Dynamic State
+ * Derives the current operational status (training, sleep and nutrition phases)
+ * from committed decisions and recent lifemaster_progress entries, keeps a
+ * versioned history and renders it back to DYNAMIC_STATE.md
+ *
+ * Table dynamic_state_versions: id, version (int, unique), status jsonb,
+ * recent_updates jsonb, source ('derived' | 'manual'), notes, created_at
+ *
+ * status: { training: { phase, detail, since }, sleep: {...}, nutrition: {...} }
+ * Decisions change a phase through metrics.status_change: { domain, phase }
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const truthState = require('./truthState');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const DYNAMIC_STATE_FILE = path.join(process.env.LIFEMASTER_DOCS_DIR || __dirname, 'DYNAMIC_STATE.md');
+
+// Allowed phases per domain (first one is the starting phase)
+const PHASES = {
+  training: ['not_started', 'starting', 'consistent', 'lapsed'],
+  sleep: ['baseline', 'intervention', 'improving'],
+  nutrition: ['baseline', 'intervention', 'optimized']
+};
+
+// How far back adherence and measurement entries are read for derivation
+// (status-change decisions are always read in full)
+const LOOKBACK_DAYS = 90;
+// Closed training weeks considered for the training phase
+const TRAINING_WEEKS = 4;
+// Sleep score gain over the TRUTH_STATE baseline that counts as improving
+const SLEEP_IMPROVEMENT_POINTS = 5;
+const SLEEP_WINDOW_DAYS = 14;
+const RECENT_UPDATES_LIMIT = 5;
+
+/**
+ * Check a { domain, phase } pair against PHASES
+ * @returns {string|null} Error message or null when valid
+ */
+function validateStatusChange(domain, phase) {
+  if (!PHASES[domain]) {
+    return `domain must be one of: ${Object.keys(PHASES).join(', ')}`;
+  }
+  if (!PHASES[domain].includes(phase)) {
+    return `phase for ${domain} must be one of: ${PHASES[domain].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Latest saved version
+ * @returns {Promise<object|null>}
+ */
+async function getCurrentVersion() {
+  const { data, error } = await supabase
+    .from('dynamic_state_versions')
+    .select('*')
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read dynamic state: ${error.message}`);
+  }
+
+  return data[0] || null;
+}
+
+/**
+ * Version history, newest first
+ * @param {number} limit - Max versions
+ * @returns {Promise<Array<object>>}
+ */
+async function listVersions(limit) {
+  const { data, error } = await supabase
+    .from('dynamic_state_versions')
+    .select('*')
+    .order('version', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to read dynamic state history: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Save a new version
+ * @param {object} fields - { status, recent_updates, source, notes }
+ * @returns {Promise<object>} Saved row
+ */
+async function saveVersion({ status, recent_updates, source, notes }) {
+  const current = await getCurrentVersion();
+
+  const { data, error } = await supabase
+    .from('dynamic_state_versions')
+    .insert({
+      version: current ? current.version + 1 : 1,
+      status,
+      recent_updates,
+      source,
+      notes: notes || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save dynamic state: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Training phase from closed-week adherence entries (oldest first)
+ */
+function deriveTrainingPhase(adherenceEntries) {
+  const weeks = adherenceEntries.slice(-TRAINING_WEEKS);
+  if (weeks.length === 0 || weeks.every(entry => !entry.metrics?.sessions)) {
+    return null;
+  }
+
+  const met = weeks.filter(entry => entry.metrics.met).length;
+  const lastTwo = weeks.slice(-2);
+  const detail = `${met}/${weeks.length} recent weeks met`;
+  const since = weeks[weeks.length - 1].metrics.week_end || weeks[weeks.length - 1].entry_date;
+
+  if (lastTwo.length === 2 && lastTwo.every(entry => entry.metrics.met)) {
+    return { phase: 'consistent', detail, since };
+  }
+  if (lastTwo.every(entry => !entry.metrics.sessions)) {
+    return { phase: 'lapsed', detail, since };
+  }
+  return { phase: 'starting', detail, since };
+}
+
+/**
+ * Derive the current status from lifemaster_progress
+ * @returns {Promise<object>} { status, recent_updates }
+ */
+async function deriveStatus() {
+  const since = DateTime.now().setZone(TIMEZONE).minus({ days: LOOKBACK_DAYS }).toISODate();
+
+  const { data: entries, error } = await supabase
+    .from('lifemaster_progress')
+    .select('*')
+    .gte('entry_date', since)
+    .order('entry_ts', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read progress entries: ${error.message}`);
+  }
+
+  // Every status-change decision, however old: a phase holds until a later decision changes it
+  const { data: statusDecisions, error: decisionsError } = await supabase
+    .from('lifemaster_progress')
+    .select('*')
+    .eq('entry_type', 'decision')
+    .not('metrics->status_change', 'is', null)
+    .order('entry_ts', { ascending: true });
+
+  if (decisionsError) {
+    throw new Error(`Failed to read status decisions: ${decisionsError.message}`);
+  }
+
+  const status = Object.fromEntries(
+    Object.entries(PHASES).map(([domain, phases]) => [domain, { phase: phases[0], detail: null, since: null }])
+  );
+
+  // Committed decisions set phases explicitly
+  const decided = new Set();
+  for (const decision of statusDecisions.filter(entry => entry.consent?.status === 'granted')) {
+    const change = decision.metrics?.status_change;
+    if (change && !validateStatusChange(change.domain, change.phase)) {
+      status[change.domain] = { phase: change.phase, detail: decision.notes || decision.title, since: decision.entry_date };
+      decided.add(change.domain);
+    }
+  }
+
+  // Measured training adherence sets the training phase unless a decision already did
+  const adherence = entries.filter(entry => entry.entry_type === 'adherence' && entry.source === 'training');
+  const trainingPhase = deriveTrainingPhase(adherence);
+  if (trainingPhase && !decided.has('training')) {
+    status.training = trainingPhase;
+  }
+
+  // An active sleep intervention becomes "improving" once scores clear the baseline
+  if (status.sleep.phase === 'intervention') {
+    const { baseline } = (await truthState.getTruthState()).derived;
+    const windowStart = DateTime.now().setZone(TIMEZONE).minus({ days: SLEEP_WINDOW_DAYS }).toISODate();
+    // Withings measurement entries only, latest per day, so a day analysed twice counts once
+    const scoresByDate = new Map();
+    for (const entry of entries) {
+      if (entry.entry_type !== 'measurement' || entry.source !== 'withings') continue;
+      if (entry.entry_date >= windowStart && typeof entry.metrics?.sleep_score === 'number') {
+        scoresByDate.set(entry.entry_date, entry.metrics.sleep_score);
+      }
+    }
+    const scores = [...scoresByDate.values()];
+
+    if (scores.length > 0) {
+      const mean = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+      if (mean >= baseline.sleep_score + SLEEP_IMPROVEMENT_POINTS) {
+        status.sleep = {
+          phase: 'improving',
+          detail: `Sleep score ${Math.round(mean)} vs baseline ${baseline.sleep_score}`,
+          since: status.sleep.since
+        };
+      }
+    }
+  }
+
+  const decisions = entries.filter(entry => entry.entry_type === 'decision' && entry.consent?.status === 'granted');
+  const updates = [...decisions, ...adherence]
+    .sort((a, b) => (a.entry_ts < b.entry_ts ? 1 : -1))
+    .slice(0, RECENT_UPDATES_LIMIT)
+    .map(entry => ({ date: entry.entry_date, title: entry.title, entry_id: entry.id }));
+
+  return { status, recent_updates: updates };
+}
+
+/**
+ * Compare two status objects by phase
+ */
+function phasesChanged(a, b) {
+  return Object.keys(PHASES).some(domain => a?.[domain]?.phase !== b?.[domain]?.phase);
+}
+
+/**
+ * Derive the status and save a new version when any phase changed
+ * @param {string} [source] - Recorded on the new version ('derived' | 'manual')
+ * @param {string} [notes] - Optional note for the new version
+ * @returns {Promise<object>} { changed, version }
+ */
+async function refresh(source = 'derived', notes = null) {
+  const current = await getCurrentVersion();
+  const derived = await deriveStatus();
+
+  if (current && !phasesChanged(current.status, derived.status)) {
+    return { changed: false, version: current };
+  }
+
+  const version = await saveVersion({ ...derived, source, notes });
+  return { changed: true, version };
+}
+
+/**
+ * Manually set one or more phases
+ * Each change is written as a consented decision so later derivations keep it
+ * @param {object} update - { status: { domain: phase }, notes }
+ * @returns {Promise<object>} { changed, version }
+ */
+async function setStatus({ status, notes }) {
+  const today = DateTime.now().setZone(TIMEZONE).toISODate();
+
+  const decisions = Object.entries(status).map(([domain, phase]) => {
+    const validationError = validateStatusChange(domain, phase);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    return {
+      entry_type: 'decision',
+      entry_date: today,
+      source: 'manual',
+      title: `${domain} phase set to ${phase}`,
+      notes: notes || null,
+      metrics: { status_change: { domain, phase } },
+      consent: { status: 'granted', granted_at: new Date().toISOString(), scope: 'dynamic_state' },
+      entry_ts: new Date().toISOString()
+    };
+  });
+
+  const { error } = await supabase
+    .from('lifemaster_progress')
+    .insert(decisions);
+
+  if (error) {
+    throw new Error(`Failed to save status decisions: ${error.message}`);
+  }
+
+  return refresh('manual', notes);
+}
+
+/**
+ * Render a version as DYNAMIC_STATE.md content
+ * @param {object} version - dynamic_state_versions row
+ * @returns {string} Markdown
+ */
+function renderMarkdown(version) {
+  const label = text => text.charAt(0).toUpperCase() + text.slice(1);
+  const statusLines = Object.keys(PHASES).map(domain => {
+    const entry = version.status[domain] || {};
+    const phase = (entry.phase || 'unknown').replace(/_/g, ' ');
+    return `- ${label(domain)}: ${phase}${entry.detail ? ` (${entry.detail})` : ''}`;
+  });
+
+  const updateLines = (version.recent_updates || []).length > 0
+    ? version.recent_updates.map(update => `- ${update.date}: ${update.title}`)
+    : ['- None'];
+
+  return `# Dynamic State – LifeMaster
+
+## Current Status
+${statusLines.join('\n')}
+
+## Recent Updates
+${updateLines.join('\n')}
+
+## Notes
+- This file is generated from dynamic_state_versions (version ${version.version}, ${version.source}, ${version.created_at})
+- Change it through PUT /state/dynamic or committed agent decisions, not by editing this file
+`;
+}
+
+/**
+ * Write the current version to DYNAMIC_STATE.md
+ * @returns {Promise<object|null>} Rendered version, or null when none exists
+ */
+async function renderToFile() {
+  const current = await getCurrentVersion();
+  if (!current) return null;
+
+  await fs.writeFile(DYNAMIC_STATE_FILE, renderMarkdown(current), 'utf8');
+  return current;
+}
+
+module.exports = {
+  PHASES,
+  validateStatusChange,
+  getCurrentVersion,
+  listVersions,
+  deriveStatus,
+  refresh,
+  setStatus,
+  renderMarkdown,
+  renderToFile
+};
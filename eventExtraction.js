@@ -0,0 +1,303 @@
+/**
+ * Event Extraction
+ * Turns a chat message into typed records saved as metrics.events on the chat
+ * event entry: meal, training, caffeine, nicotine and subjective sleep
+ *
+ * The LLM (JSON mode) extracts first; when it is unavailable or returns an
+ * invalid shape, a rule-based extractor (Hebrew + English keywords) takes over.
+ * EVENT_EXTRACTOR=rules skips the LLM
+ *
+ * Event shapes (time is local HH:MM or null):
+ * - meal: { type, time, foods: [string], macros: { kcal, protein_g, carbs_g, fat_g } | null }
+ * - training: { type, workout_type, duration_minutes, time }
+ * - caffeine / nicotine: { type, item, amount, time }
+ * - sleep: { type, duration_minutes, quality (1-5), bedtime, wake_time }
+ */
+
+const EVENT_TYPES = ['meal', 'training', 'caffeine', 'nicotine', 'sleep'];
+
+// Rough macros per typical serving, used by the rule-based extractor
+const FOODS = [
+  { name: 'sandwich', terms: ['sandwich', 'סנדוויץ', 'כריך'], macros: { kcal: 400, protein_g: 18, carbs_g: 45, fat_g: 15 } },
+  { name: 'pasta', terms: ['pasta', 'פסטה', 'ספגטי'], macros: { kcal: 550, protein_g: 18, carbs_g: 90, fat_g: 12 } },
+  { name: 'rice', terms: ['rice', 'אורז'], macros: { kcal: 300, protein_g: 6, carbs_g: 65, fat_g: 2 } },
+  { name: 'mashed_potatoes', terms: ['mashed potato', 'פירה'], macros: { kcal: 250, protein_g: 4, carbs_g: 35, fat_g: 10 } },
+  { name: 'bread', terms: ['bread', 'לחם', 'פיתה'], macros: { kcal: 200, protein_g: 7, carbs_g: 38, fat_g: 2 } },
+  { name: 'chicken', terms: ['chicken', 'עוף', 'שניצל', 'חזה עוף'], macros: { kcal: 280, protein_g: 40, carbs_g: 0, fat_g: 12 } },
+  { name: 'beef', terms: ['beef', 'steak', 'בקר', 'סטייק', 'המבורגר'], macros: { kcal: 350, protein_g: 35, carbs_g: 0, fat_g: 22 } },
+  { name: 'fish', terms: ['fish', 'salmon', 'tuna', 'דג', 'סלמון', 'טונה'], macros: { kcal: 250, protein_g: 32, carbs_g: 0, fat_g: 12 } },
+  { name: 'eggs', terms: ['egg', 'omelet', 'ביצ', 'חביתה'], macros: { kcal: 180, protein_g: 13, carbs_g: 1, fat_g: 13 } },
+  { name: 'cottage_cheese', terms: ['cottage', 'קוטג'], macros: { kcal: 160, protein_g: 20, carbs_g: 6, fat_g: 5 } },
+  { name: 'yellow_cheese', terms: ['yellow cheese', 'גבינה צהובה'], macros: { kcal: 110, protein_g: 8, carbs_g: 0, fat_g: 9 } },
+  { name: 'feta', terms: ['feta', 'פטה', 'בולגרית'], macros: { kcal: 100, protein_g: 6, carbs_g: 1, fat_g: 8 } },
+  { name: 'salad', terms: ['salad', 'סלט', 'ירקות'], macros: { kcal: 100, protein_g: 2, carbs_g: 10, fat_g: 6 } },
+  { name: 'fruit', terms: ['fruit', 'apple', 'banana', 'פרי', 'תפוח', 'בננה'], macros: { kcal: 100, protein_g: 1, carbs_g: 25, fat_g: 0 } },
+  { name: 'snack', terms: ['snack', 'חטיף', 'עוגה', 'עוגיות', 'cake', 'cookies'], macros: { kcal: 250, protein_g: 3, carbs_g: 30, fat_g: 13 } }
+];
+
+const TRAINING_TYPES = [
+  { name: 'strength', terms: ['strength', 'weights', 'gym', 'כוח', 'משקולות', 'חדר כושר'] },
+  { name: 'running', terms: ['run', 'ran', 'jog', 'ריצה', 'רצתי'] },
+  { name: 'walking', terms: ['walk', 'הליכה', 'הלכתי ברגל'] },
+  { name: 'cycling', terms: ['bike', 'cycling', 'אופניים'] },
+  { name: 'swimming', terms: ['swim', 'שחייה', 'שחיתי'] },
+  { name: 'mobility', terms: ['yoga', 'stretch', 'pilates', 'יוגה', 'מתיחות', 'פילאטיס'] },
+  { name: 'workout', terms: ['workout', 'trained', 'training', 'אימון', 'התאמנתי'] }
+];
+
+const CAFFEINE_TERMS = ['coffee', 'espresso', 'energy drink', 'קפה', 'אספרסו', 'משקה אנרגיה'];
+const NICOTINE_TERMS = ['iqos', 'vape', 'cigarette', 'nicotine', 'אייקוס', 'וייפ', 'סיגריה', 'ניקוטין'];
+const SLEEP_TERMS = ['slept', 'sleep', 'ישנתי', 'שינה', 'נרדמתי', 'התעוררתי'];
+const SLEEP_QUALITY = [
+  { quality: 1, terms: ['terrible', 'awful', 'נוראי', 'זוועה'] },
+  { quality: 2, terms: ['bad', 'poor', 'שינה רעה', 'לילה רע', 'גרוע', 'לא טוב'] },
+  { quality: 3, terms: ['ok', 'okay', 'בסדר', 'סביר'] },
+  { quality: 5, terms: ['great', 'excellent', 'מצוין', 'מעולה'] },
+  { quality: 4, terms: ['good', 'well', 'טוב'] }
+];
+
+// "at 10", "בשעה 14:30", "ב-10", "ב10"
+const TIME_PATTERN = /(?:\bat\s+|בשעה\s+|ב-?)(\d{1,2})(?::(\d{2}))?(?!\d)/gi;
+
+/**
+ * First term found in the text: English terms must start a word ("run" does not
+ * match "brunch"), Hebrew terms may follow attached prefixes (ו, ה, ב...)
+ */
+function findTerm(text, terms) {
+  const lower = text.toLowerCase();
+  return terms.find(term => (/^[a-z]/.test(term)
+    ? new RegExp(`\\b${term}`).test(lower)
+    : lower.includes(term))) || null;
+}
+
+function includesAny(text, terms) {
+  return findTerm(text, terms) !== null;
+}
+
+function formatTime(hours, minutes) {
+  const h = Number(hours);
+  const m = Number(minutes || 0);
+  if (!Number.isInteger(h) || h > 23 || m > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Minutes from "45 דקות", "1.5 hours", "שעה" or "שעתיים" (null when absent)
+ */
+function parseDuration(text) {
+  const minutes = text.match(/(\d+)\s*(?:דקות|דק'|min(?:utes)?\b)/i);
+  if (minutes) return Number(minutes[1]);
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:שעות|שעה|hours?\b|h\b)/i);
+  if (hours) return Math.round(Number(hours[1]) * 60);
+
+  if (/שעתיים/.test(text)) return 120;
+  if (/(?:^|\s)שעה(?:\s|$)|\ban hour\b/i.test(text)) return 60;
+  return null;
+}
+
+/**
+ * Split a message into chunks that each end at a time mention
+ * "sandwich at 10 and pasta at 14" -> [{ text: 'sandwich at 10', time: '10:00' }, { text: ' and pasta at 14', time: '14:00' }]
+ */
+function splitByTime(message) {
+  const chunks = [];
+  let start = 0;
+
+  for (const match of message.matchAll(TIME_PATTERN)) {
+    const end = match.index + match[0].length;
+    chunks.push({ text: message.slice(start, end), time: formatTime(match[1], match[2]) });
+    start = end;
+  }
+  if (start < message.length && message.slice(start).trim()) {
+    chunks.push({ text: message.slice(start), time: null });
+  }
+
+  return chunks;
+}
+
+/**
+ * Rule-based extraction
+ * @param {string} message - Chat message
+ * @returns {Array<object>} Events
+ */
+function extractWithRules(message) {
+  const events = [];
+
+  for (const { text, time } of splitByTime(message)) {
+    const foods = FOODS.filter(food => includesAny(text, food.terms));
+    if (foods.length > 0) {
+      const macros = foods.reduce((sum, food) => ({
+        kcal: sum.kcal + food.macros.kcal,
+        protein_g: sum.protein_g + food.macros.protein_g,
+        carbs_g: sum.carbs_g + food.macros.carbs_g,
+        fat_g: sum.fat_g + food.macros.fat_g
+      }), { kcal: 0, protein_g: 0, carbs_g: 0, fat_g: 0 });
+      events.push({ type: 'meal', time, foods: foods.map(food => food.name), macros });
+    }
+
+    const training = TRAINING_TYPES.find(candidate => includesAny(text, candidate.terms));
+    if (training && !includesAny(text, SLEEP_TERMS)) {
+      events.push({ type: 'training', workout_type: training.name, duration_minutes: parseDuration(text), time });
+    }
+
+    for (const [type, terms] of [['caffeine', CAFFEINE_TERMS], ['nicotine', NICOTINE_TERMS]]) {
+      const item = findTerm(text, terms);
+      if (item) {
+        const amount = text.match(/(\d+)\s*(?:cups?|כוסות|כוס|שאכטות|sticks?|סיגריות)/i);
+        events.push({ type, item, amount: amount ? Number(amount[1]) : null, time });
+      }
+    }
+
+    if (includesAny(text, SLEEP_TERMS)) {
+      const quality = SLEEP_QUALITY.find(candidate => includesAny(text, candidate.terms));
+      events.push({
+        type: 'sleep',
+        duration_minutes: parseDuration(text),
+        quality: quality ? quality.quality : null,
+        bedtime: null,
+        wake_time: null
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Validate and normalise extracted events; unknown types and malformed fields are dropped
+ * @param {*} raw - { events: [...] } from the extractor
+ * @returns {Array<object>|null} Events, or null when the shape is invalid
+ */
+function normalizeEvents(raw) {
+  if (!raw || !Array.isArray(raw.events)) return null;
+
+  const time = value => (typeof value === 'string' && /^\d{1,2}:\d{2}$/.test(value)
+    ? formatTime(...value.split(':'))
+    : null);
+  const number = value => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null);
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return raw.events
+    .filter(event => event && EVENT_TYPES.includes(event.type))
+    .map(event => {
+      if (event.type === 'meal') {
+        const macros = event.macros && typeof event.macros === 'object'
+          ? {
+            kcal: number(event.macros.kcal),
+            protein_g: number(event.macros.protein_g),
+            carbs_g: number(event.macros.carbs_g),
+            fat_g: number(event.macros.fat_g)
+          }
+          : null;
+        return {
+          type: 'meal',
+          time: time(event.time),
+          foods: Array.isArray(event.foods) ? event.foods.map(text).filter(Boolean) : [],
+          macros
+        };
+      }
+      if (event.type === 'training') {
+        return {
+          type: 'training',
+          workout_type: text(event.workout_type) || 'workout',
+          duration_minutes: number(event.duration_minutes),
+          time: time(event.time)
+        };
+      }
+      if (event.type === 'sleep') {
+        const quality = number(event.quality);
+        return {
+          type: 'sleep',
+          duration_minutes: number(event.duration_minutes),
+          quality: quality !== null && quality >= 1 && quality <= 5 ? Math.round(quality) : null,
+          bedtime: time(event.bedtime),
+          wake_time: time(event.wake_time)
+        };
+      }
+      return {
+        type: event.type,
+        item: text(event.item),
+        amount: number(event.amount),
+        time: time(event.time)
+      };
+    });
+}
+
+/**
+ * Extract events with the LLM, falling back to rules
+ * @param {object} options
+ * @param {string} options.message - Chat message
+ * @param {object|null} options.llm - LLM provider, or null to use the rules only
+ * @returns {Promise<object>} { events, extractor: 'llm' | 'rule_based' }
+ */
+async function extractEvents({ message, llm }) {
+  if (llm && process.env.EVENT_EXTRACTOR !== 'rules') {
+    try {
+      const completion = await llm.complete({
+        messages: [
+          {
+            role: 'system',
+            content: `Extract health log records from the user's message (often Hebrew). Output ONLY JSON: {"events": [...]}.
+Record types (times are local 24h "HH:MM" or null; unknown values null):
+- {"type":"meal","time","foods":[English food names],"macros":{"kcal","protein_g","carbs_g","fat_g"}} - rough macro estimates for typical portions
+- {"type":"training","workout_type","duration_minutes","time"}
+- {"type":"caffeine","item","amount","time"} and {"type":"nicotine","item","amount","time"}
+- {"type":"sleep","duration_minutes","quality" (1-5),"bedtime","wake_time"}
+Only record what the user says happened. Return {"events": []} when there is nothing to record.`
+          },
+          { role: 'user', content: message }
+        ],
+        json: true
+      });
+
+      const events = normalizeEvents(JSON.parse(completion.content));
+      if (events) {
+        return { events, extractor: 'llm' };
+      }
+      console.error('Event extraction: LLM returned an invalid shape, using rules');
+    } catch (error) {
+      console.error('Event extraction: LLM failed, using rules:', error.message);
+    }
+  }
+
+  return { events: extractWithRules(message), extractor: 'rule_based' };
+}
+
+/**
+ * Short Hebrew description of captured events (used as the entry title and confirmation)
+ * @param {Array<object>} events - Extracted events
+ * @returns {string|null} null when nothing was captured
+ */
+function describeEvents(events) {
+  if (events.length === 0) return null;
+
+  const at = time => (time ? ` ב-${time}` : '');
+  const parts = events.map(event => {
+    if (event.type === 'meal') {
+      const kcal = event.macros?.kcal ? `, כ-${event.macros.kcal} קק"ל` : '';
+      return `ארוחה${at(event.time)} (${event.foods.join(', ') || 'לא צוין'}${kcal})`;
+    }
+    if (event.type === 'training') {
+      return `אימון ${event.workout_type}${event.duration_minutes ? ` ${event.duration_minutes} דקות` : ''}${at(event.time)}`;
+    }
+    if (event.type === 'caffeine') {
+      return `קפאין${event.amount ? ` ×${event.amount}` : ''}${at(event.time)}`;
+    }
+    if (event.type === 'nicotine') {
+      return `ניקוטין${event.amount ? ` ×${event.amount}` : ''}${at(event.time)}`;
+    }
+    const duration = event.duration_minutes ? ` ${Math.round(event.duration_minutes / 6) / 10} שעות` : '';
+    return `שינה${duration}${event.quality ? ` (איכות ${event.quality}/5)` : ''}`;
+  });
+
+  return `נרשם: ${parts.join('; ')}`;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  extractEvents,
+  extractWithRules,
+  normalizeEvents,
+  describeEvents
+};
@@ -0,0 +1,162 @@
+/**
+ * Fallback Analyzer
+ * Deterministic, rule-based progress analysis used when the LLM path fails
+ * (provider not configured, API error or invalid JSON). Compares the snapshot
+ * with recent Withings history (falling back to the TRUTH_STATE baseline) and
+ * writes a Hebrew summary from fixed templates
+ */
+
+const { DateTime } = require('luxon');
+
+const TIMEZONE = 'Asia/Jerusalem';
+// Days of Withings history used as the reference
+const REFERENCE_DAYS = 7;
+// Nightly sleep target for the sleep-debt rule
+const SLEEP_TARGET_MINUTES = 420;
+// Accumulated debt that is worth reporting
+const SLEEP_DEBT_MIN_MINUTES = 60;
+// Same magnitudes as the default progressTrigger rules
+const RHR_DRIFT_BPM = 5;
+const HRV_CHANGE_PCT = 10;
+const WEIGHT_CHANGE_KG = 0.5;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Latest Withings snapshot per day for the reference window (the analyzed day excluded)
+ * @param {Array<object>} recentHistory - lifemaster_progress rows, newest first
+ * @param {string} date - Analyzed day (YYYY-MM-DD)
+ * @returns {Array<object>} metrics objects
+ */
+function referenceSnapshots(recentHistory, date) {
+  const windowStart = DateTime.fromISO(date, { zone: TIMEZONE }).minus({ days: REFERENCE_DAYS }).toISODate();
+  const byDate = new Map();
+
+  for (const entry of recentHistory || []) {
+    if (entry.source !== 'withings' || !entry.metrics) continue;
+    if (entry.entry_date < windowStart || entry.entry_date >= date) continue;
+    if (!byDate.has(entry.entry_date)) {
+      byDate.set(entry.entry_date, entry.metrics);
+    }
+  }
+
+  return [...byDate.values()];
+}
+
+/**
+ * Reference value for a metric: recent history mean, else the TRUTH_STATE baseline
+ * @returns {object|null} { value, basis: 'history' | 'baseline' }
+ */
+function referenceValue(references, metric, baselineValue) {
+  const values = references
+    .map(metrics => metrics[metric])
+    .filter(value => typeof value === 'number');
+
+  if (values.length > 0) {
+    return { value: round1(mean(values)), basis: 'history' };
+  }
+  if (typeof baselineValue === 'number') {
+    return { value: baselineValue, basis: 'baseline' };
+  }
+  return null;
+}
+
+function basisLabel(reference) {
+  return reference.basis === 'history' ? `ממוצע ${REFERENCE_DAYS} הימים האחרונים` : 'ערך הבסיס';
+}
+
+/**
+ * Analyze a snapshot without an LLM
+ * @param {object} options
+ * @param {object} options.snapshot - Current snapshot
+ * @param {object} options.baseline - truthState derived baseline
+ * @param {Array<object>} options.recentHistory - lifemaster_progress rows, newest first
+ * @param {object} [options.readiness] - readiness.computeReadiness() result for the snapshot's day
+ * @param {string} [options.date] - Snapshot date (YYYY-MM-DD), defaults to today
+ * @returns {object} { summary, findings, analyzer: 'rule_based' }
+ */
+function analyze({ snapshot, baseline, recentHistory, readiness, date }) {
+  const current = snapshot || {};
+  const references = referenceSnapshots(recentHistory, date || DateTime.now().setZone(TIMEZONE).toISODate());
+  const findings = [];
+  const sentences = [];
+
+  // Sleep debt over the reference window plus last night
+  const nights = [...references.map(metrics => metrics.sleep_duration_minutes), current.sleep_duration_minutes]
+    .filter(value => typeof value === 'number');
+  const debtMinutes = nights.reduce((sum, minutes) => sum + Math.max(0, SLEEP_TARGET_MINUTES - minutes), 0);
+  if (nights.length > 0 && debtMinutes >= SLEEP_DEBT_MIN_MINUTES) {
+    findings.push({ type: 'sleep_debt', debt_minutes: debtMinutes, nights: nights.length, target_minutes: SLEEP_TARGET_MINUTES });
+    const period = nights.length === 1 ? 'בלילה האחרון' : `ב-${nights.length} הלילות האחרונים`;
+    sentences.push(`חוב שינה של כ-${round1(debtMinutes / 60)} שעות ${period} (יעד ${SLEEP_TARGET_MINUTES / 60} שעות בלילה).`);
+  }
+
+  // Resting heart rate drift
+  const rhrRef = referenceValue(references, 'heart_pulse_bpm', baseline?.resting_hr);
+  if (rhrRef && typeof current.heart_pulse_bpm === 'number') {
+    const delta = round1(current.heart_pulse_bpm - rhrRef.value);
+    if (Math.abs(delta) >= RHR_DRIFT_BPM) {
+      findings.push({ type: 'rhr_drift', value: current.heart_pulse_bpm, reference: rhrRef.value, basis: rhrRef.basis, delta });
+      sentences.push(delta > 0
+        ? `דופק המנוחה עלה ל-${current.heart_pulse_bpm} (לעומת ${rhrRef.value} ב${basisLabel(rhrRef)}) – סימן לעומס או להתאוששות חסרה.`
+        : `דופק המנוחה ירד ל-${current.heart_pulse_bpm} (לעומת ${rhrRef.value} ב${basisLabel(rhrRef)}) – סימן חיובי להתאוששות.`);
+    }
+  }
+
+  // HRV change
+  const hrvRef = referenceValue(references, 'hrv', baseline?.hrv_ms);
+  if (hrvRef && hrvRef.value > 0 && typeof current.hrv === 'number') {
+    const changePct = round1((current.hrv - hrvRef.value) / hrvRef.value * 100);
+    if (Math.abs(changePct) >= HRV_CHANGE_PCT) {
+      findings.push({ type: changePct < 0 ? 'hrv_drop' : 'hrv_rise', value: current.hrv, reference: hrvRef.value, basis: hrvRef.basis, change_pct: changePct });
+      sentences.push(changePct < 0
+        ? `ה-HRV ירד ב-${Math.abs(changePct)}% (${current.hrv} לעומת ${hrvRef.value} ms ב${basisLabel(hrvRef)}) – מומלץ להפחית עומס היום.`
+        : `ה-HRV עלה ב-${changePct}% (${current.hrv} לעומת ${hrvRef.value} ms ב${basisLabel(hrvRef)}).`);
+    }
+  }
+
+  // Weight change (secondary to body composition)
+  const weightRef = referenceValue(references, 'weight_kg', baseline?.weight_kg);
+  if (weightRef && typeof current.weight_kg === 'number') {
+    const delta = round1(current.weight_kg - weightRef.value);
+    if (Math.abs(delta) >= WEIGHT_CHANGE_KG) {
+      findings.push({ type: 'weight_change', value: current.weight_kg, reference: weightRef.value, basis: weightRef.basis, delta });
+      sentences.push(`המשקל ${delta > 0 ? 'עלה' : 'ירד'} ב-${Math.abs(delta)} ק"ג (${current.weight_kg} לעומת ${weightRef.value} ב${basisLabel(weightRef)}); אין יעד משקל – הרכב הגוף הוא העיקר.`);
+    }
+  }
+
+  if (sentences.length === 0) {
+    sentences.push('המדדים יציבים ביחס לבסיס ולהיסטוריה האחרונה: אין שינוי מהותי בשינה, בדופק המנוחה, ב-HRV או במשקל.');
+  }
+
+  // Readiness decides the training suggestion
+  if (readiness) {
+    findings.push({ type: 'readiness', score: readiness.score, level: readiness.level, training: readiness.training.recommendation });
+    sentences.push(`מוכנות להיום: ${readiness.score}/100. ${readiness.training.message}`);
+  }
+
+  const recoveryStrain = findings.some(finding =>
+    finding.type === 'sleep_debt' ||
+    finding.type === 'hrv_drop' ||
+    (finding.type === 'rhr_drift' && finding.delta > 0)
+  );
+  if (recoveryStrain) {
+    sentences.push('המלצה: לתעדף שינה והתאוששות ולהימנע מהעמסה נוספת.');
+  }
+
+  return {
+    summary: sentences.join(' '),
+    findings,
+    analyzer: 'rule_based'
+  };
+}
+
+module.exports = {
+  analyze
+};
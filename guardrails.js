@@ -0,0 +1,371 @@
+/**
+ * Guardrails
+ * Post-generation safety checks on agent replies and on decisions before commit,
+ * driven by a rule set derived from the TRUTH_STATE medical limitations and
+ * SYSTEM_RULES (no axial loading, no neck compression, no extreme diets or
+ * fasting, preferred foods are managed not removed)
+ *
+ * Rules: { id, description, source, action ('rewrite' | 'block'), patterns, replacement }
+ * - rewrite: the offending sentence is replaced with rule.replacement
+ * - block: the whole reply is replaced with BLOCKED_REPLY
+ * Decisions are never rewritten: any violation blocks the commit
+ * Patterns are case-insensitive regexes; {preferred_food} expands to the foods
+ * listed under TRUTH_STATE nutrition_preferences.likes
+ * GUARDRAIL_RULES_FILE (YAML or JSON list) replaces the default rules
+ *
+ * Table guardrail_audit: id, target ('reply' | 'decision'), target_ref, rule_id,
+ * action, matched_text, excerpt, created_at
+ */
+
+const fs = require('fs/promises');
+const YAML = require('yaml');
+const { supabase } = require('./supabaseClient');
+const truthState = require('./truthState');
+
+const BLOCKED_REPLY = 'התשובה נחסמה על ידי שכבת הבטיחות כי כללה המלצה שסותרת את המגבלות הרפואיות או את כללי המערכת (דיאטה קיצונית או צום). אפשר לנסח את הבקשה מחדש, וכל שינוי תזונתי משמעותי כדאי לתאם עם איש מקצוע.';
+// Characters kept around a match in the audit log
+const EXCERPT_CHARS = 200;
+
+// Exercise patterns skip mentions governed by a negation or replacement word
+// ("avoid deadlifts", "instead of a back squat", "בלי דדליפט"): the cue must come
+// right before the exercise, with at most a determiner in between, so "No excuses,
+// do deadlifts" is still caught
+const NOT_AVOIDED_EN = "(?<!\\b(instead of|rather than|replace|replacing|avoid(ing)?|skip(ping)?|without|no|not|never|don't do|do not do)\\s+((a|an|the|any|your)\\s+)?)";
+const NOT_AVOIDED_HE = '(?<!(^|\\s)(במקום|בלי|ללא|לא|להימנע|הימנעות|אסור|לוותר על|אין)\\s+[מה]{0,2})';
+
+const DEFAULT_RULES = [
+  {
+    id: 'axial_heavy_loading',
+    description: 'Heavy axial loading (squats with a bar, deadlifts, good mornings)',
+    source: 'TRUTH_STATE medical.limitations: avoid_axial_heavy_loading',
+    action: 'rewrite',
+    patterns: [
+      `${NOT_AVOIDED_EN}\\b(heavy|barbell|back|front)\\s+squats?\\b`,
+      `${NOT_AVOIDED_EN}\\bdead\\s?lifts?\\b`,
+      `${NOT_AVOIDED_EN}\\bgood\\s?mornings?\\b`,
+      `${NOT_AVOIDED_HE}דדליפט`,
+      `${NOT_AVOIDED_HE}הרמת מתים`,
+      `${NOT_AVOIDED_HE}סקוואט(ים)?\\s+(כבד|כבדים|עם מוט)`,
+      `${NOT_AVOIDED_HE}כפיפות ברכיים עם מוט`
+    ],
+    replacement: '(הוסרה המלצה על תרגיל עם עומס צירי כבד – אסור בגלל פריצות הדיסק. חלופה בטוחה: גובלט סקוואט קל, גשר ישבן או מכונות עם תמיכת גב.)'
+  },
+  {
+    id: 'neck_compression',
+    description: 'Overhead pressing and loads that compress the neck',
+    source: 'TRUTH_STATE medical.limitations: avoid_neck_compression',
+    action: 'rewrite',
+    patterns: [
+      `${NOT_AVOIDED_EN}\\b(overhead|military|shoulder)\\s+press(es)?\\b`,
+      `${NOT_AVOIDED_EN}\\bpush\\s?press\\b`,
+      `${NOT_AVOIDED_EN}\\bheadstands?\\b`,
+      `${NOT_AVOIDED_HE}לחיצ(ת|ות) כתפיים`,
+      `${NOT_AVOIDED_HE}לחיצה מעל הראש`,
+      `${NOT_AVOIDED_HE}עמידת ראש`
+    ],
+    replacement: '(הוסרה המלצה על תרגיל שמעמיס על הצוואר – אסור בגלל פריצת הדיסק הצווארית. חלופה בטוחה: הרחקות צד עם משקל קל או לחיצת חזה במכונה.)'
+  },
+  {
+    id: 'very_low_calorie_diet',
+    description: 'Very-low-calorie diets and aggressive deficits',
+    source: 'SYSTEM_RULES: no extreme diets or aggressive caloric deficits',
+    action: 'block',
+    patterns: [
+      '\\bvlcd\\b',
+      '\\bvery[-\\s]low[-\\s]calorie\\b',
+      '\\bcrash\\s+diet\\b',
+      '\\baggressive\\s+(caloric\\s+|calorie\\s+)?deficit\\b',
+      '\\b([5-9]\\d{2}|1[01]\\d{2})\\s*(kcal|calories)\\s*(per day|a day|daily)\\b',
+      '([5-9]\\d{2}|1[01]\\d{2})\\s*קלוריות\\s*(ביום|ליום)',
+      'דיאטה קיצונית',
+      'גירעון (קלורי )?(אגרסיבי|קיצוני|גדול)'
+    ]
+  },
+  {
+    id: 'fasting_protocols',
+    description: 'Fasting protocols (intermittent fasting, OMAD, extended fasts)',
+    source: 'SYSTEM_RULES: no extreme diets or unsustainable routines',
+    action: 'block',
+    patterns: [
+      '\\bintermittent\\s+fasting\\b',
+      // 16/8-style ratios only next to fasting words (a bare 16/8 is usually a date)
+      '\\b(16|18|20)[:/](8|6|4)\\b[^.!?\\n]{0,15}?(\\bfast|\\bprotocol\\b|צום)',
+      '(\\bfast(ing)?\\b|צום)[^.!?\\n]{0,15}?\\b(16|18|20)[:/](8|6|4)\\b',
+      '\\bomad\\b',
+      '\\bone meal a day\\b',
+      '\\b(water|juice|extended)\\s+fast(ing)?\\b',
+      'צום לסירוגין',
+      'צום מים',
+      'ארוחה אחת ביום'
+    ]
+  },
+  {
+    id: 'remove_preferred_foods',
+    description: 'Removing foods the user prefers',
+    source: 'TRUTH_STATE guiding_principles: preferred_foods_are_managed_not_removed',
+    action: 'rewrite',
+    patterns: [
+      '(?<!\\b(not|never|don\'t)\\s)\\b(stop eating|cut out|eliminate|give up|remove)\\b[^.!?\\n]{0,20}?\\b({preferred_food})',
+      '(?<!(לא|אל|אין)\\s)(להפסיק לאכול|להוציא|לוותר|לבטל|להימנע לגמרי)[^.!?\\n]{0,20}?({preferred_food})'
+    ],
+    replacement: '(הוסרה המלצה להוציא מזון מועדף – מזונות מועדפים מנוהלים ולא מוסרים: כמות, תזמון ושילוב נכון.)'
+  }
+];
+
+// Search terms for TRUTH_STATE nutrition_preferences.likes values
+const FOOD_TERMS = {
+  proteins: ['protein', 'חלבון'],
+  beef: ['beef', 'בקר'],
+  chicken: ['chicken', 'עוף'],
+  fish: ['fish', 'דג(ים)?(?![א-ת])'],
+  eggs: ['eggs?', 'ביצ'],
+  dairy: ['dairy', 'מוצרי חלב'],
+  milk: ['milk', 'חלב'],
+  cottage_cheese: ['cottage', 'קוטג'],
+  feta: ['feta', 'פטה', 'בולגרית'],
+  yellow_cheese: ['yellow cheese', 'גבינה צהובה'],
+  carbs: ['carbs', 'carbohydrates', 'פחמימות'],
+  rice: ['rice', 'אורז'],
+  pasta: ['pasta', 'פסטה'],
+  mashed_potatoes: ['mashed potato(es)?', 'פירה']
+};
+
+/**
+ * Regex alternation of the preferred foods in the truth state
+ */
+function preferredFoodPattern(state) {
+  const likes = state?.nutrition_preferences?.likes || {};
+  const keys = [];
+
+  for (const [category, value] of Object.entries(likes)) {
+    if (Array.isArray(value)) {
+      keys.push(category, ...value);
+    }
+  }
+
+  const terms = keys.flatMap(key => FOOD_TERMS[key] || [String(key).replace(/_/g, ' ')]);
+  return terms.length > 0 ? terms.join('|') : '(?!)';
+}
+
+/**
+ * Load the active rules with compiled patterns
+ * @returns {Promise<Array<object>>} Rules with a regexes array
+ */
+async function loadRules() {
+  let rules = DEFAULT_RULES;
+
+  if (process.env.GUARDRAIL_RULES_FILE) {
+    try {
+      rules = YAML.parse(await fs.readFile(process.env.GUARDRAIL_RULES_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load guardrail rules: ${error.message}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Failed to load guardrail rules: file must contain a list of rules');
+    }
+  }
+
+  const truth = await truthState.getTruthState();
+  const foods = preferredFoodPattern(truth.state);
+
+  return rules.map(rule => {
+    if (!rule.id || !['rewrite', 'block'].includes(rule.action) || !Array.isArray(rule.patterns)) {
+      throw new Error(`Invalid guardrail rule ${rule.id || '(no id)'}: id, action (rewrite | block) and patterns are required`);
+    }
+    return {
+      ...rule,
+      regexes: rule.patterns.map(pattern => new RegExp(pattern.replace(/\{preferred_food\}/g, foods), 'iu'))
+    };
+  });
+}
+
+/**
+ * Split text into sentences, keeping terminators (concatenation gives the input back)
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?\n]*(?:[.!?\n]+|$)/g).filter(Boolean);
+}
+
+/**
+ * Find rule violations in a text
+ * @param {string} text - Text to scan
+ * @param {Array<object>} rules - loadRules() output
+ * @returns {Array<object>} [{ rule_id, action, matched_text, excerpt }]
+ */
+function scan(text, rules) {
+  const violations = [];
+
+  for (const rule of rules) {
+    for (const regex of rule.regexes) {
+      const match = regex.exec(text);
+      if (match) {
+        const start = Math.max(0, match.index - EXCERPT_CHARS / 2);
+        violations.push({
+          rule_id: rule.id,
+          action: rule.action,
+          matched_text: match[0],
+          excerpt: text.slice(start, start + EXCERPT_CHARS)
+        });
+        break;
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Apply the rules sentence by sentence
+ * @param {string} text - Reply text
+ * @param {Array<object>} rules - loadRules() output
+ * @returns {object} { text, violations, blocked }
+ */
+function applyRules(text, rules) {
+  const violations = [];
+  let blocked = false;
+
+  const sentences = splitSentences(text).map(sentence => {
+    const found = scan(sentence, rules);
+    if (found.length === 0) return sentence;
+
+    violations.push(...found);
+    if (found.some(violation => violation.action === 'block')) {
+      blocked = true;
+      return sentence;
+    }
+
+    // Keep the surrounding whitespace so the text around the sentence stays intact
+    const rule = rules.find(candidate => candidate.id === found[0].rule_id);
+    const leading = sentence.match(/^\s*/)[0];
+    const trailing = sentence.match(/\n*$/)[0];
+    return `${leading}${rule.replacement || ''}${trailing}`;
+  });
+
+  return { text: blocked ? BLOCKED_REPLY : sentences.join(''), violations, blocked };
+}
+
+/**
+ * Write violations to guardrail_audit
+ * @param {string} target - 'reply' | 'decision'
+ * @param {string|number|null} targetRef - Proposal id for decisions, thread id for replies
+ * @param {Array<object>} violations - scan() output
+ */
+async function audit(target, targetRef, violations) {
+  if (violations.length === 0) return;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('guardrail_audit')
+    .insert(violations.map(violation => ({
+      target,
+      target_ref: targetRef === null || targetRef === undefined ? null : String(targetRef),
+      rule_id: violation.rule_id,
+      action: target === 'decision' ? 'block' : violation.action,
+      matched_text: violation.matched_text,
+      excerpt: violation.excerpt,
+      created_at: now
+    })));
+
+  if (error) {
+    throw new Error(`Failed to write guardrail audit: ${error.message}`);
+  }
+}
+
+/**
+ * Check a reply before it reaches the user, audit and return the safe text
+ * @param {string} text - Model reply
+ * @param {string|number} [targetRef] - Thread id, when the reply belongs to a thread
+ * @returns {Promise<object>} { text, violations, blocked, rewritten }
+ */
+async function guardReply(text, targetRef = null) {
+  if (!text) {
+    return { text, violations: [], blocked: false, rewritten: false };
+  }
+
+  const result = applyRules(text, await loadRules());
+  await audit('reply', targetRef, result.violations);
+
+  return { ...result, rewritten: !result.blocked && result.violations.length > 0 };
+}
+
+/**
+ * Check a proposal before it is committed as a decision
+ * @param {object} proposal - agent_proposals row
+ * @returns {Promise<Array<object>>} Violations (empty when it may be committed)
+ */
+async function checkDecision(proposal) {
+  const text = [proposal.title, proposal.notes, proposal.analysis ? JSON.stringify(proposal.analysis) : null]
+    .filter(Boolean)
+    .join('\n');
+
+  const violations = scan(text, await loadRules());
+  await audit('decision', proposal.id, violations);
+
+  return violations;
+}
+
+/**
+ * Sentence-buffered token filter for streaming: complete sentences are checked
+ * before they are emitted; after a block-rule hit nothing more is emitted
+ * @param {Array<object>} rules - loadRules() output
+ * @param {Function} emit - Receives safe text chunks
+ * @returns {object} { push(token), flush() }
+ */
+function createStreamFilter(rules, emit) {
+  let buffer = '';
+  let blocked = false;
+
+  function release(text) {
+    if (blocked || !text) return;
+    const result = applyRules(text, rules);
+    if (result.blocked) {
+      blocked = true;
+      return;
+    }
+    emit(result.text);
+  }
+
+  return {
+    push(token) {
+      buffer += token;
+      const match = buffer.match(/^[\s\S]*[.!?\n]+/);
+      if (match && match[0].length < buffer.length) {
+        buffer = buffer.slice(match[0].length);
+        release(match[0]);
+      }
+    },
+    flush() {
+      release(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Read the audit log, newest first
+ * @param {number} limit - Max rows
+ * @returns {Promise<Array<object>>}
+ */
+async function listAudit(limit) {
+  const { data, error } = await supabase
+    .from('guardrail_audit')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to read guardrail audit: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  BLOCKED_REPLY,
+  DEFAULT_RULES,
+  loadRules,
+  guardReply,
+  checkDecision,
+  createStreamFilter,
+  listAudit
+};
@@ -0,0 +1,184 @@
+/**
+ * Health Range
+ * Builds per-day snapshots and aggregates over a date range
+ */
+
+const { DateTime } = require('luxon');
+const withingsMetrics = require('./withingsMetrics');
+const withingsSync = require('./withingsSync');
+const withingsActivity = require('./withingsActivity');
+
+const ROLLING_WINDOW_DAYS = 7;
+
+/**
+ * Round a number to 2 decimal places
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * List every date between from and to (inclusive)
+ * @param {DateTime} from - First day
+ * @param {DateTime} to - Last day
+ * @returns {Array<DateTime>} Start of each day
+ */
+function listDays(from, to) {
+  const days = [];
+  let cursor = from.startOf('day');
+
+  while (cursor <= to) {
+    days.push(cursor);
+    cursor = cursor.plus({ days: 1 });
+  }
+
+  return days;
+}
+
+/**
+ * Build one snapshot per day from Withings measure groups, sleep sessions and activity days
+ * Uses the same meastype mapping and sleep overlap selection as /health/daily
+ * @param {object} options
+ * @param {DateTime} options.from - First day (in target timezone)
+ * @param {DateTime} options.to - Last day (in target timezone)
+ * @param {Array<object>} options.measuregrps - Measure groups covering the range
+ * @param {Array<object>} options.sleepSeries - Sleep summary series covering the range
+ * @param {Array<object>} [options.activities] - getactivity days covering the range
+ * @returns {Array<object>} [{ date, snapshot }] in ascending date order
+ */
+function buildDailySnapshots({ from, to, measuregrps, sleepSeries, activities = [] }) {
+  const groupsByDate = {};
+  for (const grp of measuregrps) {
+    const date = DateTime.fromSeconds(grp.date, { zone: from.zone }).toISODate();
+    (groupsByDate[date] = groupsByDate[date] || []).push(grp);
+  }
+
+  return listDays(from, to).map(day => {
+    const date = day.toISODate();
+    const startTs = Math.floor(day.toSeconds());
+    const endTs = Math.floor(day.plus({ days: 1 }).toSeconds());
+    const snapshot = withingsMetrics.createEmptySnapshot();
+    const dataPoints = [];
+
+    const latestValues = withingsMetrics.latestValuesByMeastype(groupsByDate[date] || []);
+    withingsMetrics.applyMeasureValues(latestValues, snapshot, dataPoints);
+
+    const bestSleep = withingsMetrics.selectBestSleepSession(sleepSeries, startTs, endTs);
+    if (bestSleep) {
+      withingsMetrics.applySleepSession(bestSleep, snapshot, dataPoints);
+    }
+
+    const activity = activities.find(a => a.date === date);
+    if (activity) {
+      withingsMetrics.applyActivityDay(activity, startTs, snapshot, dataPoints);
+    }
+
+    return { date, snapshot };
+  });
+}
+
+/**
+ * Compute min/max/mean and a trailing 7-day rolling average per metric
+ * @param {Array<object>} days - Output of buildDailySnapshots
+ * @returns {object} Aggregates keyed by snapshot metric
+ */
+function aggregateSnapshots(days) {
+  const metrics = Object.keys(withingsMetrics.createEmptySnapshot());
+  const aggregates = {};
+
+  for (const metric of metrics) {
+    const values = days
+      .map(day => day.snapshot[metric])
+      .filter(value => value !== null && value !== undefined);
+
+    const rolling = days.map((day, index) => {
+      const window = days
+        .slice(Math.max(0, index - ROLLING_WINDOW_DAYS + 1), index + 1)
+        .map(d => d.snapshot[metric])
+        .filter(value => value !== null && value !== undefined);
+
+      return {
+        date: day.date,
+        value: window.length > 0
+          ? round2(window.reduce((sum, value) => sum + value, 0) / window.length)
+          : null
+      };
+    });
+
+    aggregates[metric] = {
+      count: values.length,
+      min: values.length > 0 ? round2(Math.min(...values)) : null,
+      max: values.length > 0 ? round2(Math.max(...values)) : null,
+      mean: values.length > 0
+        ? round2(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null,
+      rolling_7d_avg: rolling
+    };
+  }
+
+  return aggregates;
+}
+
+/**
+ * Read measures, sleep and activity for a range and build daily snapshots
+ * One read per source for the whole range (cache first, live fallback)
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {DateTime} options.from - First day (in target timezone)
+ * @param {DateTime} options.to - Last day (in target timezone)
+ * @returns {Promise<object>} { ok: true, days } or { ok: false, error, details }
+ */
+async function fetchDailySnapshots({ accessToken, from, to }) {
+  const startTs = Math.floor(from.startOf('day').toSeconds());
+  const endTs = Math.floor(to.startOf('day').plus({ days: 1 }).toSeconds());
+
+  const measureRes = await withingsSync.readMeasureGroups({ accessToken, startTs, endTs });
+
+  if (measureRes.status !== 0) {
+    console.error('Withings measure API error:', measureRes);
+    return { ok: false, error: 'withings_api_error', details: measureRes };
+  }
+
+  const sleepRes = await withingsSync.readSleepSummaries({
+    accessToken,
+    startYmd: from.toISODate(),
+    endYmd: to.toISODate(),
+    startTs
+  });
+
+  if (sleepRes.status !== 0) {
+    console.error('Withings sleep API error:', sleepRes);
+    return { ok: false, error: 'withings_api_error', details: sleepRes };
+  }
+
+  // Activity is optional: the snapshots are built without it when Withings fails (as in /health/daily)
+  let activities = [];
+  try {
+    const activityRes = await withingsActivity.fetchActivities(accessToken, from.toISODate(), to.toISODate());
+
+    if (activityRes.status !== 0) {
+      console.warn('Withings activity API error:', activityRes);
+    } else {
+      activities = activityRes.body.activities || [];
+    }
+  } catch (error) {
+    console.error('⚠️ Error fetching activity from Withings:', error.message);
+  }
+
+  const days = buildDailySnapshots({
+    from: from.startOf('day'),
+    to: to.startOf('day'),
+    measuregrps: measureRes.body.measuregrps,
+    sleepSeries: sleepRes.body.series,
+    activities
+  });
+
+  return { ok: true, days };
+}
+
+module.exports = {
+  listDays,
+  buildDailySnapshots,
+  aggregateSnapshots,
+  fetchDailySnapshots
+};
@@ -2,43 +2,63 @@ const express = require('express');
 const app = express();
 const tokenStore = require('./tokenStore');
 const withingsClient = require('./withingsClient');
+const healthRange = require('./healthRange');
+const withingsSync = require('./withingsSync');
+const withingsBackfill = require('./withingsBackfill');
+const dailyHealth = require('./dailyHealth');
+const progressTrigger = require('./progressTrigger');
+const withingsNotify = require('./withingsNotify');
+const sleepTimeline = require('./sleepTimeline');
+const withingsActivity = require('./withingsActivity');
+const trainingAdherence = require('./trainingAdherence');
+const labs = require('./labs');
+const truthState = require('./truthState');
+const dynamicState = require('./dynamicState');
+const agentProposals = require('./agentProposals');
+const agentThreads = require('./agentThreads');
+const agentChat = require('./agentChat');
+const llmProvider = require('./llmProvider');
+const fallbackAnalyzer = require('./fallbackAnalyzer');
+const guardrails = require('./guardrails');
+const eventExtraction = require('./eventExtraction');
+const readiness = require('./readiness');
+const analysisJobs = require('./analysisJobs');
+const nutrition = require('./nutrition');
+const stimulants = require('./stimulants');
+const withingsMetrics = require('./withingsMetrics');
 const { DateTime } = require('luxon');
 const { supabase } = require('./supabaseClient');
-const OpenAI = require('openai');
 
 // Middleware to parse JSON request bodies
 app.use(express.json());
 
-// OpenAI configuration
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-const AGENT_API_BASE = process.env.AGENT_API_BASE || "https://lifemaster-health-api.onrender.com";
-
 // ===== PROGRESS AGENT CORE FUNCTION =====
 
 /**
  * Analyze current health data and persist progress assessment
- * Called by /health/daily (on significant change) and /agent/chat (always)
+ * Called by the analysis job worker (on significant change) and /agent/chat (always)
+ * Falls back to the rule-based analyzer when the LLM is unavailable;
+ * analysis.analyzer records which one produced the entry
+ * entry_date defaults to today; jobs pass the snapshot's own date, and history
+ * and the fallback reference window end on that date
+ * job_id (analysis job runs) is stored as analysis.job_id so a re-run job can find its entry
  */
 async function analyze_and_persist_progress(input) {
-  const { snapshot, source, entry_type, user_message } = input;
+  const { snapshot, readiness: readinessScore, trigger, source, entry_type, entry_date, user_message, job_id } = input;
   
   console.log('=== ANALYZE_AND_PERSIST_PROGRESS START ===');
   console.log('Input:', { source, entry_type, has_snapshot: !!snapshot, has_message: !!user_message });
   
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('CRITICAL: OPENAI_API_KEY not set');
-    throw new Error('OPENAI_API_KEY is required for progress analysis');
-  }
+  // The analyzed day: history and references end there, so a past snapshot is not compared with newer data
+  const analysisDate = entry_date || DateTime.now().setZone('Asia/Jerusalem').toISODate();
 
-  // Read last 30 days from lifemaster_progress
-  const thirtyDaysAgo = DateTime.now().setZone('Asia/Jerusalem').minus({ days: 30 }).toISODate();
+  // Read the 30 days up to the analyzed day from lifemaster_progress
+  const thirtyDaysAgo = DateTime.fromISO(analysisDate, { zone: 'Asia/Jerusalem' }).minus({ days: 30 }).toISODate();
   const { data: recentHistory, error: historyError } = await supabase
     .from('lifemaster_progress')
     .select('*')
     .gte('entry_date', thirtyDaysAgo)
+    .lte('entry_date', analysisDate)
     .order('entry_ts', { ascending: false })
     .limit(50);
 
@@ -49,77 +69,105 @@ async function analyze_and_persist_progress(input) {
   
   console.log(`Fetched ${recentHistory?.length || 0} history entries`);
 
-    // Read TRUTH_STATE for context (inline summary)
-    const truthContext = {
-      baseline: {
-        weight_kg: 63.1,
-        resting_hr: 85,
-        hrv_ms: 57,
-        sleep_score: 48,
-        sleep_duration_minutes: 345
-      },
-      goals: {
-        primary: "Body recomposition with visible abs, no weight loss target",
-        secondary: ["Reduce triglycerides", "Improve sleep", "Lower RHR", "Build training habit"]
-      },
-      constraints: {
-        medical: ["Cervical/lumbar disc herniation"],
-        training: "2x30min/week",
-        lifestyle: "Poor sleep 5h45m, evening stress"
-      }
-    };
+  // Latest lab panel (value + flag per analyte); a failed read counts as no labs
+  let latestLabs = { drawn_on: null, results: {} };
+  try {
+    latestLabs = await labs.getLatestPanel();
+  } catch (labsError) {
+    console.error('Failed to read labs, analyzing without them:', labsError.message);
+  }
+  const labSummary = Object.fromEntries(
+    Object.entries(latestLabs.results).map(([analyte, row]) => [
+      analyte,
+      { value: row.value, unit: row.unit, flag: row.flag, drawn_on: row.drawn_on }
+    ])
+  );
 
-    // Build prompt for OpenAI
+    // Load TRUTH_STATE and the other LifeMaster documents (hot-reloaded on change)
+    const truth = await truthState.getTruthState();
+
+    // Build prompt for the LLM
     const systemPrompt = `You are a clinical health analyst for LifeMaster.
 
-Context:
-- 48.9yo male, 172cm, baseline: 63.1kg, RHR 85bpm, HRV 57ms, Sleep 5h45m
-- Goals: Body recomposition, improve sleep, lower RHR, reduce triglycerides
-- Constraints: Disc herniation, 2x30min training/week, poor sleep
+${truthState.renderPromptContext(truth)}
+Baseline values derived from TRUTH_STATE (${truth.derived.baseline.date}): ${JSON.stringify(truth.derived.baseline)}
+
+Focus:
+- Body composition (fat mass, muscle mass, fat ratio) is the primary outcome, not weight
+- Triglycerides are a primary lab target (< 150 mg/dL); refer to the latest lab panel when relevant
 
 Rules:
 - Prioritize sleep and recovery over all else
 - Weight changes secondary to body composition
 - No extreme recommendations
 - Focus on sustainability
+- Training suggestions follow today's readiness (low readiness: mobility instead of strength)
 
 Output ONLY valid JSON:
 {
   "summary": "2-3 sentence assessment in Hebrew"
 }`;
 
+    const labsPrompt = `\n\nLatest labs: ${JSON.stringify(labSummary)}`
+      + (readinessScore ? `\n\nReadiness on ${analysisDate}: ${JSON.stringify({ score: readinessScore.score, level: readinessScore.level, training: readinessScore.training })}` : '');
     const userPrompt = source === 'user' && user_message
-      ? `User message: "${user_message}"\n\nCurrent snapshot: ${JSON.stringify(snapshot)}\n\nRecent history: ${JSON.stringify(recentHistory.slice(0, 5))}`
-      : `Current snapshot: ${JSON.stringify(snapshot)}\n\nRecent history: ${JSON.stringify(recentHistory.slice(0, 5))}`;
+      ? `User message: "${user_message}"\n\nCurrent snapshot: ${JSON.stringify(snapshot)}\n\nRecent history: ${JSON.stringify(recentHistory.slice(0, 5))}${labsPrompt}`
+      : `Current snapshot: ${JSON.stringify(snapshot)}\n\nRecent history: ${JSON.stringify(recentHistory.slice(0, 5))}${labsPrompt}`;
 
-    console.log('Calling OpenAI with model:', OPENAI_MODEL);
-    
-    // Call OpenAI (ONE call only)
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      response_format: { type: "json_object" }
-    });
+    let analysis;
+    try {
+      const llm = llmProvider.getProvider();
+      console.log(`Calling ${llm.name} with model:`, llm.model);
+      
+      // Call the LLM (ONE call only)
+      const completion = await llm.complete({
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        json: true
+      });
 
-    const analysis = JSON.parse(completion.choices[0].message.content);
-    console.log('OpenAI analysis received:', { 
-      summary_length: analysis.summary?.length || 0
-    });
+      analysis = JSON.parse(completion.content);
+      if (!analysis || typeof analysis.summary !== 'string') {
+        throw new Error('LLM response has no summary');
+      }
+      analysis.analyzer = 'llm';
+      analysis.llm_provider = llm.name;
+      console.log('LLM analysis received:', { 
+        summary_length: analysis.summary?.length || 0
+      });
+    } catch (llmError) {
+      // Deterministic fallback so the progress log never misses an entry
+      console.error('LLM analysis failed, using rule-based analyzer:', llmError.message);
+      analysis = fallbackAnalyzer.analyze({
+        snapshot,
+        baseline: truth.derived.baseline,
+        recentHistory,
+        readiness: readinessScore,
+        date: analysisDate
+      });
+      analysis.fallback_reason = llmError.message;
+    }
+
+    // Which trigger rules fired this analysis (/health/daily and Withings notify)
+    if (trigger) {
+      analysis.trigger = { reason: trigger.reason, rule_ids: trigger.rule_ids, rules_version: trigger.rules_version };
+    }
+    if (job_id) {
+      analysis.job_id = job_id;
+    }
 
     // Persist to lifemaster_progress
-    const today = DateTime.now().setZone('Asia/Jerusalem').toISODate();
     // Build entry matching actual Supabase schema
     const progressEntry = {
       entry_type: entry_type || 'measurement',
-      entry_date: today,
+      entry_date: analysisDate,
       source: source || 'withings',
       title: analysis.summary ? analysis.summary.substring(0, 100) : 'Analysis',
       notes: analysis.summary || '',
       metrics: snapshot || {},
-      analysis: analysis, // Full OpenAI analysis as jsonb
+      analysis: analysis, // Full analysis (LLM or rule-based) as jsonb
       entry_ts: new Date().toISOString()
     };
 
@@ -150,6 +198,85 @@ Output ONLY valid JSON:
     };
 }
 
+/**
+ * Analysis job handler: run analyze_and_persist_progress when the job's snapshot
+ * fires a trigger rule, stamping the entry with the snapshot date
+ * The job's readiness gates the training suggestion of the analysis
+ * Idempotent per job: a job re-queued after its entry was saved (e.g. the status
+ * update failed) finishes with that entry instead of writing a second one
+ * @param {object} job - Claimed analysis_jobs row
+ * @returns {Promise<object>} { status: 'done' | 'skipped', trigger, entry_id }
+ */
+async function runAnalysisJob(job) {
+  const { data: existing, error: existingError } = await supabase
+    .from('lifemaster_progress')
+    .select('id, analysis')
+    .eq('analysis->>job_id', String(job.id))
+    .limit(1);
+
+  if (existingError) {
+    throw new Error(`Failed to read progress entries: ${existingError.message}`);
+  }
+  if (existing.length > 0) {
+    return { status: 'done', trigger: existing[0].analysis.trigger || null, entry_id: existing[0].id };
+  }
+
+  const trigger = await progressTrigger.evaluateSignificantChange(job.snapshot, job.snapshot_date);
+  const { shouldTrigger, ...triggerSummary } = trigger;
+  
+  if (!shouldTrigger) {
+    return { status: 'skipped', trigger: triggerSummary };
+  }
+  
+  const result = await analyze_and_persist_progress({
+    snapshot: job.snapshot,
+    readiness: job.readiness,
+    trigger,
+    source: 'withings',
+    entry_type: 'measurement',
+    entry_date: job.snapshot_date,
+    job_id: job.id
+  });
+  
+  // Start the cooldown of the rules that fired (the entry is already saved)
+  try {
+    await progressTrigger.recordFirings(trigger.rule_ids, result.entry.id, job.snapshot_date);
+  } catch (error) {
+    console.error('Failed to record trigger firings:', error.message);
+  }
+  
+  return { status: 'done', trigger: triggerSummary, entry_id: result.entry.id };
+}
+
+/**
+ * Job status as returned by /health/daily
+ */
+function describeAnalysisJob(job, created) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    created,
+    snapshot_hash: job.snapshot_hash,
+    entry_id: job.entry_id || null,
+    trigger: job.trigger ? { reason: job.trigger.reason, rule_ids: job.trigger.rule_ids } : null
+  };
+}
+
+/**
+ * Re-derive the dynamic state after new decisions or adherence entries
+ * Failures are logged only - the triggering write already succeeded
+ */
+async function refreshDynamicState() {
+  try {
+    const { changed, version } = await dynamicState.refresh();
+    if (changed) {
+      console.log(`Dynamic state updated to version ${version.version}`);
+    }
+  } catch (error) {
+    console.error("Dynamic state refresh failed:", error.message);
+  }
+}
+
 // ===== ENDPOINTS =====
 
 // GET endpoint at /health/daily - Real Withings data
@@ -170,18 +297,6 @@ app.get('/health/daily', async (req, res) => {
       targetDate = DateTime.now().setZone(timezone);
     }
     
-    const dateStr = targetDate.toISODate();
-    const startOfDay = targetDate.startOf('day');
-    const endOfDay = startOfDay.plus({ days: 1 });
-    
-    // Wider window for measurements (3 days back to handle timezone/sync issues)
-    const measureStartTs = Math.floor(startOfDay.minus({ days: 3 }).toSeconds());
-    const measureEndTs = Math.floor(endOfDay.toSeconds());
-    
-    // Original window for sleep (using same day)
-    const startTs = Math.floor(startOfDay.toSeconds());
-    const endTs = Math.floor(endOfDay.toSeconds());
-    
     // Get valid access token (auto-refreshes if needed)
     let accessToken;
     try {
@@ -190,339 +305,212 @@ app.get('/health/daily', async (req, res) => {
       return res.status(401).json({ error: 'withings_not_connected', message: error.message });
     }
     
-    const dataPoints = [];
-    const snapshot = {
-      weight_kg: null,
-      heart_pulse_bpm: null,
-      spo2_pct: null,
-      hrv: null,
-      sleep_score: null,
-      sleep_duration_minutes: null
-    };
+    const daily = await dailyHealth.buildDailyHealth({ targetDate, accessToken, debug });
     
-    const debugInfo = debug ? { measure: {}, sleep: {} } : null;
+    if (!daily.ok) {
+      if (debug) {
+        return res.status(502).json({ error: daily.error, debug: daily.debug });
+      }
+      return res.status(502).json({ error: daily.error, details: daily.details });
+    }
     
-    // Fetch measurements (weight, HR, SpO2, HRV, BP)
-    let measureRes;
-    const measureUrl = 'https://wbsapi.withings.net/measure';
-    const measureParams = {
-      action: 'getmeas',
-      startdate: measureStartTs,
-      enddate: measureEndTs,
-      category: 1,
-      meastypes: '1,11,54,9,10,62'
-    };
+    const { response } = daily;
+    const { snapshot } = response;
     
+    // ===== QUEUE PROGRESS ANALYSIS (never inline) =====
+    // Each distinct snapshot of a date is queued once; repeated reads return its status
     try {
-      if (debug) {
-        debugInfo.measure.url = measureUrl;
-        debugInfo.measure.action = measureParams.action;
-        debugInfo.measure.startdate = measureParams.startdate;
-        debugInfo.measure.enddate = measureParams.enddate;
-        debugInfo.measure.window_days = Math.ceil((measureEndTs - measureStartTs) / 86400);
-      }
-      
-      measureRes = await withingsClient.formPost(measureUrl, measureParams, accessToken);
-      
-      if (debug) {
-        debugInfo.measure.status = measureRes.status;
-        debugInfo.measure.raw_measuregrps_count = measureRes.body?.measuregrps?.length || 0;
-        
-        if (measureRes.error || measureRes.body?.error) {
-          debugInfo.measure.error = measureRes.error || measureRes.body?.error;
-        }
-        if (measureRes.message || measureRes.body?.message) {
-          debugInfo.measure.message = measureRes.message || measureRes.body?.message;
-        }
-        
-        if (measureRes.body?.measuregrps && measureRes.body.measuregrps.length > 0) {
-          debugInfo.measure.first_two_groups = measureRes.body.measuregrps.slice(0, 2).map(grp => ({
-            date: grp.date,
-            category: grp.category,
-            deviceid: grp.deviceid,
-            measures: grp.measures.map(m => ({
-              type: m.type || m.meastype,
-              value: m.value,
-              unit: m.unit,
-              measure_keys: Object.keys(m)
-            }))
-          }));
-        }
-      }
-      
-      if (measureRes.status !== 0) {
-        console.error('Withings measure API error:', measureRes);
-        if (debug) {
-          return res.status(502).json({ 
-            error: 'withings_api_error', 
-            debug: debugInfo
-          });
-        }
-        return res.status(502).json({ error: 'withings_api_error', details: measureRes });
-      }
-      
-      // Parse measurements
-      if (measureRes.body && measureRes.body.measuregrps) {
-        const latestValues = {};
-        
-        for (const grp of measureRes.body.measuregrps) {
-          for (const measure of grp.measures) {
-            const meastype = measure.type;
-            const actualValue = measure.value * Math.pow(10, measure.unit);
-            
-            // Keep latest value per meastype
-            if (!latestValues[meastype] || grp.date > latestValues[meastype].date) {
-              latestValues[meastype] = {
-                value: actualValue,
-                ts: grp.date,
-                raw: {
-                  meastype,
-                  value: measure.value,
-                  unit: measure.unit,
-                  date: grp.date,
-                  deviceid: grp.deviceid,
-                  category: grp.category
-                }
-              };
-            }
-          }
-        }
-        
-        // Map meastypes to datapoints
-        const typeMapping = {
-          1: { key: 'weight_kg', snapshotKey: 'weight_kg', unit: 'kg' },
-          11: { key: 'heart_pulse_bpm', snapshotKey: 'heart_pulse_bpm', unit: 'bpm' },
-          54: { key: 'spo2_pct', snapshotKey: 'spo2_pct', unit: '%' },
-          62: { key: 'hrv_ms', snapshotKey: 'hrv', unit: 'ms' },
-          9: { key: 'diastolic_mmhg', snapshotKey: null, unit: 'mmHg' },
-          10: { key: 'systolic_mmhg', snapshotKey: null, unit: 'mmHg' }
-        };
-        
-        for (const [meastype, data] of Object.entries(latestValues)) {
-          const mapping = typeMapping[meastype];
-          if (mapping) {
-            dataPoints.push({
-              key: mapping.key,
-              value: data.value,
-              unit: mapping.unit,
-              ts: data.ts,
-              source: 'withings',
-              raw: data.raw
-            });
-            
-            if (mapping.snapshotKey) {
-              snapshot[mapping.snapshotKey] = data.value;
-            }
-          }
-        }
+      const { job, created } = await analysisJobs.enqueue({
+        date: response.date,
+        snapshot,
+        readiness: response.readiness,
+        source: 'health_daily'
+      });
+      response.analysis_job = describeAnalysisJob(job, created);
+      if (debug && job.trigger) {
+        response.analysis_job.changes = job.trigger.changes;
       }
-    } catch (error) {
-      console.error('⚠️ Error fetching measurements from Withings:', error.message);
-      console.error('Continuing with empty snapshot - Withings is data source, not blocker');
-      // Don't fail the request - continue with empty measurements
-      measureRes = { status: -1, body: { measuregrps: [] }, error: error.message };
+    } catch (jobError) {
+      console.error('Error queueing analysis job:', jobError);
+      // Don't fail the request if the queue is unavailable
+      response.analysis_job = null;
     }
     
-    // Fetch sleep data
-    let sleepRes;
-    const sleepUrl = 'https://wbsapi.withings.net/v2/sleep';
-    const sleepParams = {
-      action: 'getsummary',
-      startdateymd: dateStr,
-      enddateymd: dateStr
-    };
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Error in /health/daily:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+
+// GET endpoint at /health/range - Daily snapshots and aggregates over a date range
+// Read-only: never triggers progress analysis
+app.get('/health/range', async (req, res) => {
+  try {
+    const timezone = 'Asia/Jerusalem';
+    const MAX_RANGE_DAYS = 92;
+    
+    const from = DateTime.fromISO(req.query.from || '', { zone: timezone });
+    const to = DateTime.fromISO(req.query.to || '', { zone: timezone });
+    
+    if (!from.isValid || !to.isValid) {
+      return res.status(400).json({ error: 'Invalid date format. Use from=YYYY-MM-DD&to=YYYY-MM-DD' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: '"from" must be on or before "to"' });
+    }
+    
+    const dayCount = Math.round(to.startOf('day').diff(from.startOf('day'), 'days').days) + 1;
+    if (dayCount > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Range too large. Maximum is ${MAX_RANGE_DAYS} days` });
+    }
     
+    // Get valid access token (auto-refreshes if needed)
+    let accessToken;
     try {
-      if (debug) {
-        debugInfo.sleep.url = sleepUrl;
-        debugInfo.sleep.action = sleepParams.action;
-        debugInfo.sleep.startdateymd = sleepParams.startdateymd;
-        debugInfo.sleep.enddateymd = sleepParams.enddateymd;
-      }
-      
-      sleepRes = await withingsClient.formPost(sleepUrl, sleepParams, accessToken);
-      
-      if (debug) {
-        debugInfo.sleep.status = sleepRes.status;
-        debugInfo.sleep.raw_series_count = sleepRes.body?.series?.length || 0;
-        
-        if (sleepRes.error || sleepRes.body?.error) {
-          debugInfo.sleep.error = sleepRes.error || sleepRes.body?.error;
-        }
-        if (sleepRes.message || sleepRes.body?.message) {
-          debugInfo.sleep.message = sleepRes.message || sleepRes.body?.message;
-        }
-        
-        if (sleepRes.body?.series && sleepRes.body.series.length > 0) {
-          const firstItem = sleepRes.body.series[0];
-          debugInfo.sleep.first_item_keys = Object.keys(firstItem);
-          debugInfo.sleep.first_item_data_keys = firstItem.data ? Object.keys(firstItem.data) : [];
-          debugInfo.sleep.first_item_sample = {
-            startdate: firstItem.startdate,
-            enddate: firstItem.enddate,
-            sleep_score: firstItem.data?.sleep_score,
-            total_sleep_time: firstItem.data?.total_sleep_time,
-            total_timeinbed: firstItem.data?.total_timeinbed
-          };
-        }
-      }
-      
-      if (sleepRes.status !== 0) {
-        console.warn('Withings sleep API error:', sleepRes);
-        if (debug) {
-          debugInfo.sleep.error_detected = true;
-        }
-      } else if (sleepRes.body && sleepRes.body.series && sleepRes.body.series.length > 0) {
-        // Find best overlapping sleep session
-        let bestSleep = null;
-        let maxOverlap = 0;
-        
-        for (const session of sleepRes.body.series) {
-          const sessionStart = session.startdate;
-          const sessionEnd = session.enddate;
-          
-          // Calculate overlap with our target day
-          const overlapStart = Math.max(sessionStart, startTs);
-          const overlapEnd = Math.min(sessionEnd, endTs);
-          const overlap = Math.max(0, overlapEnd - overlapStart);
-          
-          if (overlap > maxOverlap) {
-            maxOverlap = overlap;
-            bestSleep = session;
-          }
-        }
-        
-        if (bestSleep) {
-          // Extract sleep score
-          if (bestSleep.data && bestSleep.data.sleep_score !== undefined) {
-            snapshot.sleep_score = bestSleep.data.sleep_score;
-            dataPoints.push({
-              key: 'sleep_score',
-              value: bestSleep.data.sleep_score,
-              unit: 'score',
-              ts: bestSleep.startdate,
-              source: 'withings',
-              raw: { session: bestSleep }
-            });
-          }
-          
-          // Extract sleep duration
-          const durationSeconds = bestSleep.data?.total_sleep_time || bestSleep.data?.total_timeinbed;
-          if (durationSeconds) {
-            const durationMinutes = Math.round(durationSeconds / 60);
-            snapshot.sleep_duration_minutes = durationMinutes;
-            dataPoints.push({
-              key: 'sleep_duration_minutes',
-              value: durationMinutes,
-              unit: 'minutes',
-              ts: bestSleep.startdate,
-              source: 'withings',
-              raw: { duration_seconds: durationSeconds }
-            });
-          }
-        }
-      }
+      accessToken = await tokenStore.getValidAccessToken();
     } catch (error) {
-      console.error('⚠️ Error fetching sleep from Withings:', error.message);
-      console.error('Continuing with empty sleep data - Withings is data source, not blocker');
-      // Don't fail the entire request for sleep data
+      return res.status(401).json({ error: 'withings_not_connected', message: error.message });
     }
     
-    // Return structured response
-    const response = {
-      date: dateStr,
-      window: {
-        start_ts: startTs,
-        end_ts: endTs,
-        timezone,
-        measure_window: {
-          start_ts: measureStartTs,
-          end_ts: measureEndTs,
-          days_back: 3
-        }
-      },
-      data_points: dataPoints,
-      snapshot
-    };
+    const result = await healthRange.fetchDailySnapshots({ accessToken, from, to });
     
-    if (debug) {
-      response.debug = debugInfo;
+    if (!result.ok) {
+      return res.status(502).json({ error: result.error, details: result.details });
     }
     
-    // ===== TRIGGER PROGRESS AGENT ON SIGNIFICANT CHANGE =====
-    // Check if there's a significant change compared to recent measurements
-    try {
-      const { data: recentMeasurements } = await supabase
-        .from('lifemaster_progress')
-        .select('metrics')
-        .eq('source', 'withings')
-        .eq('entry_type', 'measurement')
-        .order('entry_ts', { ascending: false })
-        .limit(1);
-
-      let shouldTriggerAgent = false;
-      
-      if (!recentMeasurements || recentMeasurements.length === 0) {
-        // No previous measurement, this is the first one
-        shouldTriggerAgent = true;
-      } else {
-        const lastMetrics = recentMeasurements[0].metrics;
-        
-        // Check for significant changes
-        const changes = {
-          weight: snapshot.weight_kg && lastMetrics.weight_kg 
-            ? Math.abs(snapshot.weight_kg - lastMetrics.weight_kg) 
-            : 0,
-          rhr: snapshot.heart_pulse_bpm && lastMetrics.heart_pulse_bpm
-            ? Math.abs(snapshot.heart_pulse_bpm - lastMetrics.heart_pulse_bpm)
-            : 0,
-          hrv: snapshot.hrv && lastMetrics.hrv
-            ? Math.abs((snapshot.hrv - lastMetrics.hrv) / lastMetrics.hrv * 100)
-            : 0,
-          sleep: snapshot.sleep_duration_minutes && lastMetrics.sleep_duration_minutes
-            ? Math.abs(snapshot.sleep_duration_minutes - lastMetrics.sleep_duration_minutes)
-            : 0
-        };
-
-        // Thresholds: weight ≥0.5kg, RHR ≥5bpm, HRV ≥10%, sleep ≥60min
-        shouldTriggerAgent = 
-          changes.weight >= 0.5 ||
-          changes.rhr >= 5 ||
-          changes.hrv >= 10 ||
-          changes.sleep >= 60;
-
-        if (debug && shouldTriggerAgent) {
-          response.agent_trigger = { reason: 'significant_change', changes };
-        }
-      }
+    const days = result.days;
+    
+    res.json({
+      from: from.toISODate(),
+      to: to.toISODate(),
+      timezone,
+      days,
+      aggregates: healthRange.aggregateSnapshots(days)
+    });
+    
+  } catch (error) {
+    console.error('Error in /health/range:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
 
-      // Trigger agent analysis if significant change detected
-      if (shouldTriggerAgent) {
-        const agentResult = await analyze_and_persist_progress({
-          snapshot,
-          source: 'withings',
-          entry_type: 'measurement'
-        });
-        
-        if (debug && agentResult.success) {
-          response.agent_analysis = agentResult.analysis;
-        }
-      }
-    } catch (agentError) {
-      console.error('Error in agent trigger logic:', agentError);
-      // Don't fail the request if agent fails
+// GET endpoint at /health/readiness - Daily readiness score time series (?days=N ending today, default 14)
+// Read-only: never triggers progress analysis
+app.get('/health/readiness', async (req, res) => {
+  try {
+    const timezone = 'Asia/Jerusalem';
+    const MAX_READINESS_DAYS = 60;
+    const days = req.query.days ? Number(req.query.days) : 14;
+    
+    if (!Number.isInteger(days) || days < 1 || days > MAX_READINESS_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_READINESS_DAYS}` });
     }
     
-    res.json(response);
+    const to = DateTime.now().setZone(timezone).startOf('day');
+    const from = to.minus({ days: days - 1 });
+    
+    // Get valid access token (auto-refreshes if needed)
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return res.status(401).json({ error: 'withings_not_connected', message: error.message });
+    }
+    
+    const result = await readiness.getReadinessSeries({ accessToken, from, to });
+    
+    if (!result.ok) {
+      return res.status(502).json({ error: result.error, details: result.details });
+    }
+    
+    res.json({
+      from: from.toISODate(),
+      to: to.toISODate(),
+      timezone,
+      days: result.days.map(day => ({
+        date: day.date,
+        score: day.readiness?.score ?? null,
+        level: day.readiness?.level ?? null,
+        readiness: day.readiness
+      }))
+    });
     
   } catch (error) {
-    console.error('Error in /health/daily:', error);
+    console.error('Error in /health/readiness:', error);
     res.status(500).json({ error: 'internal_error', message: error.message });
   }
 });
 
 
 
+// GET endpoint at /health/sleep/:date/timeline - Intra-night hypnogram for the day's sleep session
+app.get('/health/sleep/:date/timeline', async (req, res) => {
+  try {
+    const timezone = 'Asia/Jerusalem';
+    const targetDate = DateTime.fromISO(req.params.date, { zone: timezone });
+    
+    if (!targetDate.isValid) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    
+    const dateStr = targetDate.toISODate();
+    const startTs = Math.floor(targetDate.startOf('day').toSeconds());
+    const endTs = Math.floor(targetDate.startOf('day').plus({ days: 1 }).toSeconds());
+    
+    // Get valid access token (auto-refreshes if needed)
+    let accessToken;
+    try {
+      accessToken = await tokenStore.getValidAccessToken();
+    } catch (error) {
+      return res.status(401).json({ error: 'withings_not_connected', message: error.message });
+    }
+    
+    // Pick the same session /health/daily uses (best overlap with the day)
+    const sleepRes = await withingsSync.readSleepSummaries({
+      accessToken,
+      startYmd: dateStr,
+      endYmd: dateStr,
+      startTs
+    });
+    
+    if (sleepRes.status !== 0) {
+      console.error('Withings sleep API error:', sleepRes);
+      return res.status(502).json({ error: 'withings_api_error', details: sleepRes });
+    }
+    
+    const session = withingsMetrics.selectBestSleepSession(sleepRes.body.series || [], startTs, endTs);
+    if (!session) {
+      return res.status(404).json({ error: 'no_sleep_session', date: dateStr });
+    }
+    
+    const seriesRes = await sleepTimeline.fetchSleepSeries(accessToken, session);
+    if (seriesRes.status !== 0) {
+      console.error('Withings sleep series API error:', seriesRes);
+      return res.status(502).json({ error: 'withings_api_error', details: seriesRes });
+    }
+    
+    const timeline = sleepTimeline.buildTimeline(seriesRes.body?.series || [], session, timezone);
+    
+    res.json({
+      date: dateStr,
+      timezone,
+      session: {
+        id: session.id,
+        startdate: session.startdate,
+        enddate: session.enddate,
+        sleep_score: session.data?.sleep_score ?? null
+      },
+      ...timeline
+    });
+    
+  } catch (error) {
+    console.error('Error in /health/sleep/:date/timeline:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
 
 app.get('/openapi.yaml', (req, res) => {
   res.type('text/yaml').send(`
@@ -607,158 +595,2161 @@ paths:
                       sleep_duration_minutes:
                         type: number
                         nullable: true
+                      fat_free_mass_kg:
+                        type: number
+                        nullable: true
+                      fat_ratio_pct:
+                        type: number
+                        nullable: true
+                      fat_mass_kg:
+                        type: number
+                        nullable: true
+                      muscle_mass_kg:
+                        type: number
+                        nullable: true
+                      hydration_kg:
+                        type: number
+                        nullable: true
+                      bone_mass_kg:
+                        type: number
+                        nullable: true
+                      deep_sleep_minutes:
+                        type: number
+                        nullable: true
+                      light_sleep_minutes:
+                        type: number
+                        nullable: true
+                      rem_sleep_minutes:
+                        type: number
+                        nullable: true
+                      wakeup_count:
+                        type: number
+                        nullable: true
+                      wakeup_duration_minutes:
+                        type: number
+                        nullable: true
+                      sleep_latency_minutes:
+                        type: number
+                        nullable: true
+                      sleep_hr_average_bpm:
+                        type: number
+                        nullable: true
+                      sleep_hr_min_bpm:
+                        type: number
+                        nullable: true
+                      sleep_rr_average:
+                        type: number
+                        nullable: true
+                      snoring_minutes:
+                        type: number
+                        nullable: true
+                      snoring_episode_count:
+                        type: number
+                        nullable: true
+                      breathing_disturbances_intensity:
+                        type: number
+                        nullable: true
+                      steps:
+                        type: number
+                        nullable: true
+                      distance_m:
+                        type: number
+                        nullable: true
+                      soft_activity_minutes:
+                        type: number
+                        nullable: true
+                      moderate_activity_minutes:
+                        type: number
+                        nullable: true
+                      intense_activity_minutes:
+                        type: number
+                        nullable: true
+                      active_calories_kcal:
+                        type: number
+                        nullable: true
+                      hr_zone_0_minutes:
+                        type: number
+                        nullable: true
+                      hr_zone_1_minutes:
+                        type: number
+                        nullable: true
+                      hr_zone_2_minutes:
+                        type: number
+                        nullable: true
+                      hr_zone_3_minutes:
+                        type: number
+                        nullable: true
+                  sedentary:
+                    type: object
+                    nullable: true
+                    description: Sedentary streaks (60+ minutes without movement) during work hours
+                    properties:
+                      work_hours:
+                        type: string
+                      streaks:
+                        type: array
+                        items:
+                          type: object
+                          properties:
+                            start_local:
+                              type: string
+                            end_local:
+                              type: string
+                            duration_minutes:
+                              type: integer
+                      longest_streak_minutes:
+                        type: integer
+                      total_sedentary_minutes:
+                        type: integer
+                  readiness:
+                    $ref: "#/components/schemas/Readiness"
+                  analysis_job:
+                    type: object
+                    nullable: true
+                    description: Progress analysis queued for this snapshot (one job per date and snapshot hash; never run inline)
+                    properties:
+                      job_id:
+                        type: integer
+                      status:
+                        type: string
+                        enum: [pending, running, done, skipped, failed]
+                      created:
+                        type: boolean
+                        description: False when the same snapshot was already queued
+                      snapshot_hash:
+                        type: string
+                      entry_id:
+                        type: integer
+                        nullable: true
+                        description: lifemaster_progress entry written by the analysis (status done)
+                      trigger:
+                        type: object
+                        nullable: true
+                        properties:
+                          reason:
+                            type: string
+                            nullable: true
+                          rule_ids:
+                            type: array
+                            items:
+                              type: string
         "401":
           description: Withings not connected or token expired
         "502":
           description: Withings API error
-`);
-});
-
-app.get("/auth/withings/callback", async (req, res) => {
-  console.log("CALLBACK - Reached token exchange");
-  console.log("CALLBACK - CLIENT_ID present:", !!process.env.WITHINGS_CLIENT_ID);
-  console.log("CALLBACK - CLIENT_SECRET present:", !!process.env.WITHINGS_CLIENT_SECRET);
-  
-  const code = req.query.code;
-
-  if (!code) {
+  /health/range:
+    get:
+      operationId: getHealthRange
+      summary: Get one snapshot per day plus per-metric aggregates for a date range (read-only)
+      parameters:
+        - name: from
+          in: query
+          required: true
+          schema:
+            type: string
+            format: date
+          description: First day in YYYY-MM-DD format
+        - name: to
+          in: query
+          required: true
+          schema:
+            type: string
+            format: date
+          description: Last day in YYYY-MM-DD format (max 92 days after from)
+      responses:
+        "200":
+          description: Daily snapshots with min/max/mean and 7-day rolling average per metric
+          content:
+            application/json:
+              schema:
+                type: object
+                required:
+                  - from
+                  - to
+                  - days
+                  - aggregates
+                properties:
+                  from:
+                    type: string
+                    format: date
+                  to:
+                    type: string
+                    format: date
+                  timezone:
+                    type: string
+                  days:
+                    type: array
+                    items:
+                      type: object
+                      properties:
+                        date:
+                          type: string
+                          format: date
+                        snapshot:
+                          type: object
+                  aggregates:
+                    type: object
+                    additionalProperties:
+                      type: object
+                      properties:
+                        count:
+                          type: integer
+                        min:
+                          type: number
+                          nullable: true
+                        max:
+                          type: number
+                          nullable: true
+                        mean:
+                          type: number
+                          nullable: true
+                        rolling_7d_avg:
+                          type: array
+                          items:
+                            type: object
+                            properties:
+                              date:
+                                type: string
+                                format: date
+                              value:
+                                type: number
+                                nullable: true
+        "400":
+          description: Invalid or too large date range
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /health/readiness:
+    get:
+      operationId: getHealthReadiness
+      summary: Get the daily readiness score (0-100) for the last N days, each day scored against its own rolling baselines (read-only)
+      parameters:
+        - name: days
+          in: query
+          required: false
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 60
+            default: 14
+          description: Number of days ending today
+      responses:
+        "200":
+          description: Readiness per day
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  from:
+                    type: string
+                    format: date
+                  to:
+                    type: string
+                    format: date
+                  timezone:
+                    type: string
+                  days:
+                    type: array
+                    items:
+                      type: object
+                      properties:
+                        date:
+                          type: string
+                          format: date
+                        score:
+                          type: integer
+                          nullable: true
+                        level:
+                          type: string
+                          nullable: true
+                        readiness:
+                          $ref: "#/components/schemas/Readiness"
+        "400":
+          description: Invalid days
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /health/sleep/{date}/timeline:
+    get:
+      operationId: getSleepTimeline
+      summary: Get the intra-night sleep timeline (stages, heart rate, breathing, snoring) for the session that best overlaps the day
+      parameters:
+        - name: date
+          in: path
+          required: true
+          schema:
+            type: string
+            format: date
+      responses:
+        "200":
+          description: Session and per-interval timeline with a per-night summary
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  date:
+                    type: string
+                    format: date
+                  timezone:
+                    type: string
+                  session:
+                    type: object
+                    properties:
+                      id:
+                        type: integer
+                      startdate:
+                        type: integer
+                      enddate:
+                        type: integer
+                      sleep_score:
+                        type: number
+                        nullable: true
+        "400":
+          description: Invalid date
+        "401":
+          description: Withings not connected or token expired
+        "404":
+          description: No sleep session for the date
+        "502":
+          description: Withings API error
+  /withings/sync:
+    get:
+      operationId: getWithingsSyncState
+      summary: Get the local Withings cache coverage (measure and sleep)
+      responses:
+        "200":
+          description: Sync state per data type
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  measure:
+                    type: object
+                    nullable: true
+                  sleep:
+                    type: object
+                    nullable: true
+    post:
+      operationId: syncWithings
+      summary: Pull everything changed since the last sync into the local cache
+      responses:
+        "200":
+          description: Sync result
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /withings/backfill:
+    get:
+      operationId: getWithingsBackfill
+      summary: Get historical backfill progress
+      responses:
+        "200":
+          description: Backfill state (status not_started before the first run)
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  status:
+                    type: string
+                    enum: [not_started, running, completed, failed]
+                  since_date:
+                    type: string
+                    format: date
+                  cursor_date:
+                    type: string
+                    format: date
+                  chunk_days:
+                    type: integer
+                  windows_done:
+                    type: integer
+                  windows_total:
+                    type: integer
+                  progress_pct:
+                    type: integer
+                  measure_groups:
+                    type: integer
+                  sleep_sessions:
+                    type: integer
+                  last_error:
+                    type: string
+                    nullable: true
+                  running:
+                    type: boolean
+    post:
+      operationId: startWithingsBackfill
+      summary: Start or resume the historical backfill in the background
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                since:
+                  type: string
+                  format: date
+                  description: Earliest date to import (default 730 days ago)
+                chunk_days:
+                  type: integer
+                  minimum: 1
+                  maximum: 90
+                  default: 30
+                restart:
+                  type: boolean
+                  description: Ignore saved progress and start over
+      responses:
+        "202":
+          description: Backfill started
+        "400":
+          description: Invalid since or chunk_days
+        "401":
+          description: Withings not connected or token expired
+        "409":
+          description: Backfill already running
+  /withings/backfill/baselines:
+    get:
+      operationId: checkWithingsBaselines
+      summary: Compare the TRUTH_STATE weight and resting HR baselines with imported history
+      responses:
+        "200":
+          description: Per-metric summary around the baseline date and for the last 30 days
+  /withings/notify:
+    head:
+      operationId: checkWithingsNotifyCallback
+      summary: Callback URL check made by Withings before subscribing
+      responses:
+        "200":
+          description: Callback is reachable
+    get:
+      operationId: getWithingsNotifyCallback
+      summary: Callback URL check made by Withings before subscribing
+      responses:
+        "200":
+          description: Callback is reachable
+    post:
+      operationId: receiveWithingsNotification
+      summary: Withings Notify receiver; imports the notified window and queues an analysis job for every day it covers
+      requestBody:
+        required: true
+        content:
+          application/x-www-form-urlencoded:
+            schema:
+              type: object
+              properties:
+                userid:
+                  type: string
+                appli:
+                  type: integer
+                  enum: [1, 4, 44]
+                startdate:
+                  type: integer
+                  description: Window start (unix seconds)
+                enddate:
+                  type: integer
+                  description: Window end (unix seconds)
+      responses:
+        "200":
+          description: Acknowledged before processing (status accepted) or ignored for other appli codes
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  status:
+                    type: string
+                    enum: [accepted, ignored]
+  /withings/notify/subscriptions:
+    get:
+      operationId: listWithingsSubscriptions
+      summary: List Withings Notify subscriptions
+      responses:
+        "200":
+          description: Subscriptions for every appli
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  callback_url:
+                    type: string
+                  count:
+                    type: integer
+                  subscriptions:
+                    type: array
+                    items:
+                      type: object
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+    post:
+      operationId: subscribeWithingsNotify
+      summary: Subscribe one appli, or all of them when appli is omitted
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                appli:
+                  type: integer
+                  enum: [1, 4, 44]
+      responses:
+        "200":
+          description: Every subscription succeeded
+        "400":
+          description: Unsupported appli
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: At least one subscription failed
+  /withings/notify/subscriptions/{appli}:
+    delete:
+      operationId: revokeWithingsNotify
+      summary: Revoke the subscription for one appli
+      parameters:
+        - name: appli
+          in: path
+          required: true
+          schema:
+            type: integer
+            enum: [1, 4, 44]
+      responses:
+        "200":
+          description: Revoked
+        "400":
+          description: Unsupported appli
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /training/workouts:
+    post:
+      operationId: addWorkout
+      summary: Record a manual workout and close any completed weeks
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [started_at, duration_minutes, workout_type]
+              properties:
+                started_at:
+                  type: string
+                  description: ISO 8601 (local time if no offset)
+                duration_minutes:
+                  type: number
+                  exclusiveMinimum: 0
+                  maximum: 600
+                workout_type:
+                  type: string
+                  description: e.g. strength, mobility, cardio
+                notes:
+                  type: string
+      responses:
+        "200":
+          description: Saved workout and the number of weeks closed
+        "400":
+          description: Invalid workout
+  /training/sync:
+    post:
+      operationId: syncWorkouts
+      summary: Import Withings workouts for the last N weeks and close any completed weeks
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                weeks:
+                  type: integer
+                  minimum: 1
+                  maximum: 52
+                  default: 4
+      responses:
+        "200":
+          description: Imported workouts and the number of weeks closed
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /training/adherence:
+    get:
+      operationId: getTrainingAdherence
+      summary: Weekly training adherence against the TRUTH_STATE training constraints
+      parameters:
+        - name: weeks
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 52
+            default: 4
+      responses:
+        "200":
+          description: Adherence per week
+        "400":
+          description: Invalid weeks
+  /training/adherence/close:
+    post:
+      operationId: closeTrainingWeeks
+      summary: Write adherence entries for every completed week not yet closed
+      responses:
+        "200":
+          description: Closed weeks
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  status:
+                    type: string
+                  count:
+                    type: integer
+                  entries:
+                    type: array
+                    items:
+                      type: object
+  /labs:
+    get:
+      operationId: listLabResults
+      summary: List lab results with reference-range flags
+      parameters:
+        - name: analyte
+          in: query
+          schema:
+            type: string
+      responses:
+        "200":
+          description: Lab results, newest first
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  count:
+                    type: integer
+                  results:
+                    type: array
+                    items:
+                      $ref: "#/components/schemas/LabResult"
+    post:
+      operationId: saveLabResults
+      summary: Save a lab panel ({ drawn_on, lab_source, results }) or a single result
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                drawn_on:
+                  type: string
+                  format: date
+                lab_source:
+                  type: string
+                results:
+                  type: array
+                  items:
+                    type: object
+                    required: [analyte, value]
+                    properties:
+                      analyte:
+                        type: string
+                      value:
+                        type: number
+                      unit:
+                        type: string
+                      drawn_on:
+                        type: string
+                        format: date
+      responses:
+        "200":
+          description: Saved results and the ones flagged outside their range
+        "400":
+          description: Missing analyte, value or drawn_on
+  /labs/latest:
+    get:
+      operationId: getLatestLabs
+      summary: Latest value per analyte
+      responses:
+        "200":
+          description: Latest panel
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  drawn_on:
+                    type: string
+                    format: date
+                    nullable: true
+                  results:
+                    type: object
+                    additionalProperties:
+                      $ref: "#/components/schemas/LabResult"
+  /labs/trend:
+    get:
+      operationId: getLabTrend
+      summary: History of one analyte with its change direction
+      parameters:
+        - name: analyte
+          in: query
+          required: true
+          schema:
+            type: string
+      responses:
+        "200":
+          description: Values over time
+        "400":
+          description: analyte missing
+  /nutrition/meals:
+    post:
+      operationId: logMeal
+      summary: Log a meal; the response flags conflicts with the food preferences
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [time, foods]
+              properties:
+                date:
+                  type: string
+                  format: date
+                  description: Defaults to today
+                time:
+                  type: string
+                  description: HH:MM local time
+                foods:
+                  type: array
+                  minItems: 1
+                  items:
+                    type: string
+                protein_g:
+                  type: number
+                  minimum: 0
+                carbs_g:
+                  type: number
+                  minimum: 0
+                fat_g:
+                  type: number
+                  minimum: 0
+                kcal:
+                  type: number
+                  minimum: 0
+                notes:
+                  type: string
+      responses:
+        "200":
+          description: Saved meal and flags
+        "400":
+          description: Invalid meal
+  /nutrition/distribution:
+    get:
+      operationId: getNutritionDistribution
+      summary: Share of intake after 20:00 and the eating window per day
+      parameters:
+        - name: days
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 90
+            default: 14
+      responses:
+        "200":
+          description: Distribution per day
+        "400":
+          description: Invalid days
+  /stimulants:
+    get:
+      operationId: listStimulants
+      summary: Logged stimulant exposures grouped by evening
+      parameters:
+        - name: days
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 90
+            default: 7
+      responses:
+        "200":
+          description: Exposures
+        "400":
+          description: Invalid days
+    post:
+      operationId: logStimulant
+      summary: Log a stimulant exposure
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [substance]
+              properties:
+                substance:
+                  type: string
+                taken_at:
+                  type: string
+                  description: Local ISO date-time (default now)
+                amount:
+                  type: number
+                  exclusiveMinimum: 0
+                unit:
+                  type: string
+                notes:
+                  type: string
+      responses:
+        "200":
+          description: Saved exposure
+        "400":
+          description: Unknown substance or invalid taken_at / amount
+  /stimulants/sleep-effects:
+    get:
+      operationId: getStimulantSleepEffects
+      summary: Per-factor effect of evening exposures on that night's sleep
+      parameters:
+        - name: days
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 90
+            default: 30
+      responses:
+        "200":
+          description: Effect per factor
+        "400":
+          description: Invalid days
+        "401":
+          description: Withings not connected or token expired
+        "502":
+          description: Withings API error
+  /state/truth:
+    get:
+      operationId: getTruthState
+      summary: Merged LifeMaster documents, derived values and validation status
+      responses:
+        "200":
+          description: Truth state
+  /state/dynamic:
+    get:
+      operationId: getDynamicState
+      summary: Current dynamic state version and a fresh derivation
+      responses:
+        "200":
+          description: Current version, derived status and whether the saved version is out of date
+    put:
+      operationId: setDynamicState
+      summary: Manually set phases (written as committed decisions)
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [status]
+              properties:
+                status:
+                  type: object
+                  description: "Phase per domain, e.g. { training: starting }"
+                  additionalProperties:
+                    type: string
+                notes:
+                  type: string
+      responses:
+        "200":
+          description: "{ changed, version }"
+        "400":
+          description: Unknown domain or phase
+  /state/dynamic/refresh:
+    post:
+      operationId: refreshDynamicState
+      summary: Re-derive the dynamic state and save a new version if a phase changed
+      responses:
+        "200":
+          description: "{ changed, version }"
+  /state/dynamic/history:
+    get:
+      operationId: getDynamicStateHistory
+      summary: Saved dynamic state versions, newest first
+      parameters:
+        - name: limit
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 200
+            default: 20
+      responses:
+        "200":
+          description: Versions
+        "400":
+          description: Invalid limit
+  /state/dynamic/render:
+    post:
+      operationId: renderDynamicState
+      summary: Write the current version to DYNAMIC_STATE.md
+      responses:
+        "200":
+          description: Rendered markdown
+        "404":
+          description: No version saved yet
+  /agent/commit:
+    post:
+      operationId: commitDecision
+      summary: Commit an approved proposal as a consented decision
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [proposal_id]
+              properties:
+                proposal_id:
+                  type: integer
+      responses:
+        "200":
+          description: Committed decision entry
+        "403":
+          description: No proposal_id, or the proposal is not approved (pending, rejected or expired)
+        "404":
+          description: Proposal not found
+        "409":
+          description: Proposal was already committed
+        "422":
+          description: Decision blocked by guardrails
+  /agent/proposals:
+    get:
+      operationId: listProposals
+      summary: List proposals, newest first (stale ones are expired first)
+      parameters:
+        - name: status
+          in: query
+          schema:
+            type: string
+            enum: [pending, approved, rejected, expired, committed]
+      responses:
+        "200":
+          description: Proposals
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  count:
+                    type: integer
+                  proposals:
+                    type: array
+                    items:
+                      $ref: "#/components/schemas/Proposal"
+    post:
+      operationId: createProposal
+      summary: Store a pending proposal
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [entry_date, scope, title]
+              properties:
+                entry_date:
+                  type: string
+                  format: date
+                scope:
+                  type: string
+                title:
+                  type: string
+                notes:
+                  type: string
+                analysis:
+                  type: object
+                metrics:
+                  type: object
+                  description: May hold status_change { domain, phase }
+      responses:
+        "200":
+          description: Pending proposal
+        "400":
+          description: Missing title, scope or entry_date
+  /agent/proposals/{id}/{decision}:
+    post:
+      operationId: decideProposal
+      summary: Approve or reject a pending proposal
+      parameters:
+        - name: id
+          in: path
+          required: true
+          schema:
+            type: integer
+        - name: decision
+          in: path
+          required: true
+          schema:
+            type: string
+            enum: [approve, reject]
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                note:
+                  type: string
+      responses:
+        "200":
+          description: Updated proposal
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  status:
+                    type: string
+                  proposal:
+                    $ref: "#/components/schemas/Proposal"
+        "404":
+          description: Proposal not found
+        "409":
+          description: Proposal is no longer pending (error holds proposal_<status>)
+  /agent/chat:
+    post:
+      operationId: agentChat
+      summary: Send a message to the agent (tools, guardrails, progress analysis)
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [message]
+              properties:
+                message:
+                  type: string
+      responses:
+        "200":
+          description: Agent reply
+          content:
+            application/json:
+              schema:
+                $ref: "#/components/schemas/AgentTurn"
+        "400":
+          description: Message is required
+        "500":
+          description: LLM provider not configured or the turn failed
+  /agent/chat/stream:
+    post:
+      operationId: agentChatStream
+      summary: Server-Sent Events variant of /agent/chat, optionally within a thread
+      description: "Events: captured, token, tool_call, tool_result, done (reply, tool_trace, proposals, guardrail), analysis, error"
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [message]
+              properties:
+                message:
+                  type: string
+                thread_id:
+                  type: integer
+      responses:
+        "200":
+          description: Event stream
+          content:
+            text/event-stream:
+              schema:
+                type: string
+        "400":
+          description: Message is required
+        "404":
+          description: Thread not found
+  /agent/threads:
+    get:
+      operationId: listThreads
+      summary: List conversation threads
+      responses:
+        "200":
+          description: Threads
+    post:
+      operationId: createThread
+      summary: Start a conversation thread
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                title:
+                  type: string
+      responses:
+        "200":
+          description: Created thread
+  /agent/threads/{id}:
+    get:
+      operationId: getThread
+      summary: Thread with its full transcript (including summarised turns)
+      parameters:
+        - name: id
+          in: path
+          required: true
+          schema:
+            type: integer
+      responses:
+        "200":
+          description: Thread and messages
+        "404":
+          description: Thread not found
+  /agent/threads/{id}/messages:
+    post:
+      operationId: sendThreadMessage
+      summary: Send a message within a thread (older turns are summarised)
+      parameters:
+        - name: id
+          in: path
+          required: true
+          schema:
+            type: integer
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [message]
+              properties:
+                message:
+                  type: string
+      responses:
+        "200":
+          description: Agent reply with thread_id and whether the history was summarised
+          content:
+            application/json:
+              schema:
+                $ref: "#/components/schemas/AgentTurn"
+        "400":
+          description: Message is required
+        "404":
+          description: Thread not found
+  /agent/analysis-jobs:
+    get:
+      operationId: listAnalysisJobs
+      summary: Queued snapshot analyses, newest first
+      parameters:
+        - name: status
+          in: query
+          schema:
+            type: string
+            enum: [pending, running, done, skipped, failed]
+        - name: limit
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 500
+            default: 50
+      responses:
+        "200":
+          description: Jobs (without the stored snapshot)
+        "400":
+          description: Invalid status or limit
+  /agent/analysis-jobs/{id}:
+    get:
+      operationId: getAnalysisJob
+      summary: One job with its snapshot, trigger evaluation and entry id
+      parameters:
+        - name: id
+          in: path
+          required: true
+          schema:
+            type: integer
+      responses:
+        "200":
+          description: Job
+        "404":
+          description: Analysis job not found
+  /agent/triggers:
+    get:
+      operationId: getTriggerRules
+      summary: Active significant-change rules for /health/daily and Withings notify
+      responses:
+        "200":
+          description: "{ version, rules }"
+    put:
+      operationId: saveTriggerRules
+      summary: Replace the rule set, saved as a new version
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [rules]
+              properties:
+                rules:
+                  type: array
+                  items:
+                    type: object
+                    description: "{ id, description, enabled, cooldown_hours, condition }"
+                notes:
+                  type: string
+      responses:
+        "200":
+          description: Saved version
+        "400":
+          description: Invalid rules
+  /agent/triggers/firings:
+    get:
+      operationId: listTriggerFirings
+      summary: Rules that triggered an analysis, newest first
+      parameters:
+        - name: limit
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 500
+            default: 50
+      responses:
+        "200":
+          description: Firings
+        "400":
+          description: Invalid limit
+  /agent/guardrails:
+    get:
+      operationId: getGuardrailRules
+      summary: Active guardrail rules
+      responses:
+        "200":
+          description: Rules
+  /agent/guardrails/audit:
+    get:
+      operationId: listGuardrailAudit
+      summary: Logged guardrail violations, newest first
+      parameters:
+        - name: limit
+          in: query
+          schema:
+            type: integer
+            minimum: 1
+            maximum: 500
+            default: 50
+      responses:
+        "200":
+          description: Audit entries
+        "400":
+          description: Invalid limit
+components:
+  schemas:
+    Readiness:
+      type: object
+      nullable: true
+      description: Readiness against rolling baselines (HRV z-score vs 30 days, resting HR vs 14 days, 7-night sleep debt, sleep score); null without any input
+      properties:
+        score:
+          type: integer
+          description: 0-100, weighted over the available components
+        level:
+          type: string
+          enum: [high, moderate, low]
+        components:
+          type: object
+          description: Per-component inputs, score (0-100) and effective weight (hrv, rhr, sleep_debt, sleep_score)
+        missing:
+          type: array
+          items:
+            type: string
+        training:
+          type: object
+          description: Training suggestion gated by the level (mobility instead of strength when low)
+          properties:
+            recommendation:
+              type: string
+              enum: [strength, strength_reduced, mobility]
+            message:
+              type: string
+    LabResult:
+      type: object
+      properties:
+        id:
+          type: integer
+        analyte:
+          type: string
+        value:
+          type: number
+        unit:
+          type: string
+        drawn_on:
+          type: string
+          format: date
+        lab_source:
+          type: string
+        flag:
+          type: string
+          nullable: true
+    Proposal:
+      type: object
+      properties:
+        id:
+          type: integer
+        status:
+          type: string
+          enum: [pending, approved, rejected, expired, committed]
+        scope:
+          type: string
+        entry_date:
+          type: string
+          format: date
+        title:
+          type: string
+        notes:
+          type: string
+          nullable: true
+        analysis:
+          type: object
+        metrics:
+          type: object
+        expires_at:
+          type: string
+          format: date-time
+        decided_at:
+          type: string
+          format: date-time
+          nullable: true
+        decision_note:
+          type: string
+          nullable: true
+        committed_entry_id:
+          type: integer
+          nullable: true
+    AgentTurn:
+      type: object
+      properties:
+        thread_id:
+          type: integer
+          description: Thread messages only
+        reply:
+          type: string
+        captured:
+          type: object
+          description: Chat message event entry and the records extracted from it
+        committed:
+          type: boolean
+        proposals:
+          type: array
+          items:
+            $ref: "#/components/schemas/Proposal"
+        tool_trace:
+          type: array
+          items:
+            type: object
+            properties:
+              function:
+                type: string
+              arguments:
+                type: object
+        guardrail:
+          type: object
+          properties:
+            blocked:
+              type: boolean
+            rewritten:
+              type: boolean
+            violations:
+              type: array
+              items:
+                type: string
+`);
+});
+
+app.get("/auth/withings/callback", async (req, res) => {
+  console.log("CALLBACK - Reached token exchange");
+  console.log("CALLBACK - CLIENT_ID present:", !!process.env.WITHINGS_CLIENT_ID);
+  console.log("CALLBACK - CLIENT_SECRET present:", !!process.env.WITHINGS_CLIENT_SECRET);
+  
+  const code = req.query.code;
+
+  if (!code) {
     return res.status(400).send("No authorization code received");
   }
 
-  const tokenUrl = "https://wbsapi.withings.net/v2/oauth2";
+  const tokenUrl = `${withingsClient.WITHINGS_API_BASE}/v2/oauth2`;
+
+  const params = new URLSearchParams({
+    action: "requesttoken",
+    grant_type: "authorization_code",
+    client_id: process.env.WITHINGS_CLIENT_ID,
+    client_secret: process.env.WITHINGS_CLIENT_SECRET,
+    code,
+    redirect_uri: "https://lifemaster-health-api.onrender.com/auth/withings/callback"
+  });
+  
+  console.log("CALLBACK - Params include client_id:", params.has('client_id'));
+  console.log("CALLBACK - Params include client_secret:", params.has('client_secret'));
+  console.log("CALLBACK - Params include code:", params.has('code'));
+  console.log("CALLBACK - Params include redirect_uri:", params.has('redirect_uri'));
+
+  const response = await fetch(tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params
+  });
+
+  const data = await response.json();
+
+  if (data.status !== 0) {
+    return res.status(500).json(data);
+  }
+
+  // Save tokens to persistent storage
+  const saveResult = await tokenStore.saveTokens(
+    data.body.access_token,
+    data.body.refresh_token,
+    data.body.expires_in
+  );
+
+  if (!saveResult.ok) {
+    return res.status(500).json({ 
+      error: "Failed to save tokens", 
+      details: saveResult 
+    });
+  }
+
+  // Register Withings Notify subscriptions (failures don't block OAuth)
+  let subscriptions;
+  try {
+    subscriptions = await withingsNotify.subscribeAll(data.body.access_token);
+  } catch (error) {
+    console.error("Error subscribing to Withings notify:", error.message);
+    subscriptions = { error: error.message };
+  }
+
+  res.json({
+    message: "OAuth success - tokens saved",
+    expires_in: data.body.expires_in,
+    subscriptions
+  });
+});
+
+app.get("/auth/withings", (req, res) => {
+  const clientId = process.env.WITHINGS_CLIENT_ID;
+
+  if (!clientId) {
+    return res.status(500).send("WITHINGS_CLIENT_ID is not set");
+  }
+
+  const redirectUri = "https://lifemaster-health-api.onrender.com/auth/withings/callback";
+
+  const authUrl =
+    "https://account.withings.com/oauth2_user/authorize2" +
+    `?response_type=code` +
+    `&client_id=${clientId}` +
+    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+    `&scope=user.info,user.metrics,user.activity` +
+    `&state=lifemaster`;
+
+  res.redirect(authUrl);
+});
+
+app.get("/withings/weight", async (req, res) => {
+  // Load access token from storage
+  const tokens = await tokenStore.getTokens();
+  
+  if (!tokens) {
+    return res.status(401).json({ error: "No tokens found. Please authenticate first." });
+  }
+
+  // Check if token is expired
+  if (await tokenStore.isTokenExpired()) {
+    return res.status(401).json({ error: "Token expired. Re-authentication required." });
+  }
+
+  // Return RAW fields for inspection
+  const toMeasurement = group => {
+    const weightMeasure = group.measures.find(m => m.type === 1);
+    
+    if (!weightMeasure) {
+      return null;
+    }
+    
+    return {
+      value: weightMeasure.value,
+      unit: weightMeasure.unit,
+      date: group.date,
+      modified: group.modified || null,
+      deviceid: group.deviceid || null,
+      source: group.source || null,
+      category: group.category
+    };
+  };
+
+  // Read from the local cache first
+  const cachedGroups = await withingsSync.readLatestWeightGroups(tokens.access_token, 10);
+  if (cachedGroups) {
+    const measurements = cachedGroups.map(toMeasurement).filter(m => m !== null);
+    return res.json({
+      count: measurements.length,
+      measurements: measurements,
+      source: "cache"
+    });
+  }
+
+  // Call Withings measure API
+  const measureUrl = `${withingsClient.WITHINGS_API_BASE}/measure?action=getmeas&meastype=1&category=1&lastupdate=0`;
+  
+  try {
+    const response = await fetch(measureUrl, {
+      method: "GET",
+      headers: {
+        "Authorization": `Bearer ${tokens.access_token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (data.status !== 0) {
+      return res.status(500).json({ error: "Withings API error", details: data });
+    }
+
+    // Extract weight measurements
+    if (!data.body || !data.body.measuregrps || data.body.measuregrps.length === 0) {
+      return res.status(404).json({ error: "No weight measurements found" });
+    }
+
+    // Get last 10 measurement groups (preserve Withings API order)
+    const measureGroups = data.body.measuregrps.slice(0, 10);
+    
+    const measurements = measureGroups.map(toMeasurement).filter(m => m !== null);
+
+    // Return all measurements with raw fields
+    res.json({
+      count: measurements.length,
+      measurements: measurements,
+      source: "live"
+    });
+
+  } catch (error) {
+    console.error("Error fetching weight:", error);
+    res.status(500).json({ error: "Failed to fetch weight data" });
+  }
+});
+
+// ===== WITHINGS SYNC ENDPOINTS =====
+
+// GET /withings/sync - Read sync state per source
+app.get("/withings/sync", async (req, res) => {
+  try {
+    const [measure, sleep] = await Promise.all([
+      withingsSync.getSyncState("measure"),
+      withingsSync.getSyncState("sleep")
+    ]);
+
+    res.json({ measure, sleep });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /withings/sync - Pull everything changed since the last sync into the cache
+app.post("/withings/sync", async (req, res) => {
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
 
-  const params = new URLSearchParams({
-    action: "requesttoken",
-    grant_type: "authorization_code",
-    client_id: process.env.WITHINGS_CLIENT_ID,
-    client_secret: process.env.WITHINGS_CLIENT_SECRET,
-    code,
-    redirect_uri: "https://lifemaster-health-api.onrender.com/auth/withings/callback"
+  try {
+    const result = await withingsSync.syncAll(accessToken);
+    res.json({ status: "synced", ...result });
+  } catch (error) {
+    console.error("Error in /withings/sync:", error);
+    res.status(502).json({ error: "withings_sync_failed", message: error.message });
+  }
+});
+
+// GET /withings/backfill - Read historical backfill progress
+app.get("/withings/backfill", async (req, res) => {
+  try {
+    const state = await withingsBackfill.getBackfillProgress();
+    res.json(state || { status: "not_started" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /withings/backfill - Start or resume the historical backfill in the background
+app.post("/withings/backfill", async (req, res) => {
+  const { since, chunk_days, restart } = req.body || {};
+
+  if (since !== undefined && !withingsBackfill.isValidSince(since)) {
+    return res.status(400).json({ error: "Invalid since date. Use YYYY-MM-DD" });
+  }
+
+  const chunkDays = chunk_days === undefined ? undefined : Number(chunk_days);
+  if (chunkDays !== undefined && (!Number.isInteger(chunkDays) || chunkDays < 1 || chunkDays > withingsBackfill.MAX_CHUNK_DAYS)) {
+    return res.status(400).json({ error: `chunk_days must be an integer between 1 and ${withingsBackfill.MAX_CHUNK_DAYS}` });
+  }
+
+  // The backfill reads its own token per window; this only checks Withings is connected
+  try {
+    await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
+
+  const started = withingsBackfill.startBackfill({
+    since,
+    chunkDays,
+    restart: restart === true
+  });
+
+  if (!started) {
+    return res.status(409).json({ error: "Backfill already running" });
+  }
+
+  res.status(202).json({ status: "started" });
+});
+
+// GET /withings/backfill/baselines - Compare TRUTH_STATE baselines with imported history
+app.get("/withings/backfill/baselines", async (req, res) => {
+  try {
+    const { baseline } = (await truthState.getTruthState()).derived;
+    const result = await withingsBackfill.checkBaselines({
+      baseline,
+      baselineDate: baseline.date
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== WITHINGS NOTIFY ENDPOINTS =====
+
+/**
+ * Handle a Withings notification: import the referenced window,
+ * rebuild the snapshot of every day it covers and queue their analysis jobs
+ * A day that fails is logged and does not stop the others
+ */
+async function processWithingsNotification({ appli, startdate, enddate }) {
+  const accessToken = await tokenStore.getValidAccessToken();
+  
+  const { imported, dates } = await withingsNotify.importNotifiedWindow({
+    accessToken,
+    appli,
+    startdate,
+    enddate
   });
+  console.log(`Withings notify appli ${appli}: imported ${imported} items for ${dates.join(', ')}`);
   
-  console.log("CALLBACK - Params include client_id:", params.has('client_id'));
-  console.log("CALLBACK - Params include client_secret:", params.has('client_secret'));
-  console.log("CALLBACK - Params include code:", params.has('code'));
-  console.log("CALLBACK - Params include redirect_uri:", params.has('redirect_uri'));
+  for (const date of dates) {
+    try {
+      const targetDate = DateTime.fromISO(date, { zone: 'Asia/Jerusalem' });
+      const daily = await dailyHealth.buildDailyHealth({ targetDate, accessToken });
+      
+      if (!daily.ok) {
+        throw new Error(`Failed to build snapshot for ${date}: ${JSON.stringify(daily.details)}`);
+      }
+      
+      const { job, created } = await analysisJobs.enqueue({
+        date,
+        snapshot: daily.response.snapshot,
+        readiness: daily.response.readiness,
+        source: 'withings_notify'
+      });
+      console.log('Withings notify analysis job:', { date, job_id: job.id, status: job.status, created });
+    } catch (error) {
+      console.error(`Withings notify analysis for ${date} failed:`, error.message);
+    }
+  }
+}
 
-  const response = await fetch(tokenUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: params
+// HEAD and GET /withings/notify - Withings checks the callback URL responds before subscribing
+app.head("/withings/notify", (req, res) => {
+  res.status(200).end();
+});
+
+app.get("/withings/notify", (req, res) => {
+  res.status(200).json({ status: "ok" });
+});
+
+// POST /withings/notify - Withings Notify receiver (form encoded)
+app.post("/withings/notify", express.urlencoded({ extended: false }), (req, res) => {
+  const appli = Number(req.body?.appli);
+  const startdate = req.body?.startdate ? Number(req.body.startdate) : null;
+  const enddate = req.body?.enddate ? Number(req.body.enddate) : null;
+
+  if (!withingsNotify.NOTIFY_APPLIS[appli]) {
+    console.warn("Ignoring Withings notification for appli:", req.body?.appli);
+    return res.status(200).json({ status: "ignored" });
+  }
+
+  // Acknowledge immediately - Withings retries slow callbacks
+  res.status(200).json({ status: "accepted" });
+
+  processWithingsNotification({ appli, startdate, enddate }).catch(error => {
+    console.error("Error processing Withings notification:", error);
   });
+});
 
-  const data = await response.json();
+// GET /withings/notify/subscriptions - List Withings Notify subscriptions
+app.get("/withings/notify/subscriptions", async (req, res) => {
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
 
-  if (data.status !== 0) {
-    return res.status(500).json(data);
+  try {
+    const profiles = await withingsNotify.listSubscriptions(accessToken);
+    res.json({ callback_url: withingsNotify.CALLBACK_URL, count: profiles.length, subscriptions: profiles });
+  } catch (error) {
+    res.status(502).json({ error: "withings_api_error", message: error.message });
   }
+});
 
-  // Save tokens to persistent storage
-  const saveResult = await tokenStore.saveTokens(
-    data.body.access_token,
-    data.body.refresh_token,
-    data.body.expires_in
-  );
+// POST /withings/notify/subscriptions - Subscribe one appli (body.appli) or all of them
+app.post("/withings/notify/subscriptions", async (req, res) => {
+  const appli = req.body?.appli !== undefined ? Number(req.body.appli) : null;
 
-  if (!saveResult.ok) {
-    return res.status(500).json({ 
-      error: "Failed to save tokens", 
-      details: saveResult 
+  if (appli !== null && !withingsNotify.NOTIFY_APPLIS[appli]) {
+    return res.status(400).json({ error: `Unsupported appli. Use one of ${Object.keys(withingsNotify.NOTIFY_APPLIS).join(", ")}` });
+  }
+
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
+
+  const results = appli !== null
+    ? [await withingsNotify.subscribe(accessToken, appli)]
+    : await withingsNotify.subscribeAll(accessToken);
+
+  res.status(results.every(r => r.ok) ? 200 : 502).json({ results });
+});
+
+// DELETE /withings/notify/subscriptions/:appli - Revoke one subscription
+app.delete("/withings/notify/subscriptions/:appli", async (req, res) => {
+  const appli = Number(req.params.appli);
+
+  if (!withingsNotify.NOTIFY_APPLIS[appli]) {
+    return res.status(400).json({ error: `Unsupported appli. Use one of ${Object.keys(withingsNotify.NOTIFY_APPLIS).join(", ")}` });
+  }
+
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
+
+  const result = await withingsNotify.revoke(accessToken, appli);
+  res.status(result.ok ? 200 : 502).json(result);
+});
+
+// ===== TRAINING ENDPOINTS =====
+
+// POST /training/workouts - Record a manual workout
+app.post("/training/workouts", async (req, res) => {
+  const { started_at, duration_minutes, workout_type, notes } = req.body || {};
+
+  if (!started_at || !DateTime.fromISO(started_at).isValid) {
+    return res.status(400).json({ error: "started_at is required (ISO 8601, local time if no offset)" });
+  }
+  if (!Number.isFinite(duration_minutes) || duration_minutes <= 0 || duration_minutes > 600) {
+    return res.status(400).json({ error: "duration_minutes must be a positive number (max 600)" });
+  }
+  if (!workout_type || typeof workout_type !== "string") {
+    return res.status(400).json({ error: "workout_type is required (e.g. strength, mobility, cardio)" });
+  }
+
+  try {
+    const workout = await trainingAdherence.addManualWorkout({ started_at, duration_minutes, workout_type, notes });
+    const closedWeeks = await trainingAdherence.closeCompletedWeeks();
+    if (closedWeeks.length > 0) await refreshDynamicState();
+
+    res.json({
+      status: "saved",
+      workout,
+      closed_weeks: closedWeeks.length
     });
+  } catch (error) {
+    console.error("Error in /training/workouts:", error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  res.json({
-    message: "OAuth success - tokens saved",
-    expires_in: data.body.expires_in
-  });
+// POST /training/sync - Import Withings workouts for the last N weeks
+app.post("/training/sync", async (req, res) => {
+  const weeks = Math.min(Math.max(Number(req.body?.weeks) || 4, 1), 52);
+
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
+
+  try {
+    const now = DateTime.now().setZone("Asia/Jerusalem");
+    const imported = await trainingAdherence.syncWithingsWorkouts(
+      accessToken,
+      now.startOf("week").minus({ weeks: weeks - 1 }).toISODate(),
+      now.toISODate()
+    );
+    const closedWeeks = await trainingAdherence.closeCompletedWeeks(weeks);
+    if (closedWeeks.length > 0) await refreshDynamicState();
+
+    res.json({
+      status: "synced",
+      imported,
+      closed_weeks: closedWeeks.length
+    });
+  } catch (error) {
+    console.error("Error in /training/sync:", error);
+    res.status(502).json({ error: error.message });
+  }
 });
 
-app.get("/auth/withings", (req, res) => {
-  const clientId = process.env.WITHINGS_CLIENT_ID;
+// GET /training/adherence - Weekly adherence against TRUTH_STATE training_constraints
+app.get("/training/adherence", async (req, res) => {
+  const weeks = req.query.weeks ? Number(req.query.weeks) : 4;
 
-  if (!clientId) {
-    return res.status(500).send("WITHINGS_CLIENT_ID is not set");
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    return res.status(400).json({ error: "weeks must be an integer between 1 and 52" });
   }
 
-  const redirectUri = "https://lifemaster-health-api.onrender.com/auth/withings/callback";
+  try {
+    res.json(await trainingAdherence.computeAdherence(weeks));
+  } catch (error) {
+    console.error("Error in /training/adherence:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  const authUrl =
-    "https://account.withings.com/oauth2_user/authorize2" +
-    `?response_type=code` +
-    `&client_id=${clientId}` +
-    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
-    `&scope=user.info,user.metrics,user.activity` +
-    `&state=lifemaster`;
+// POST /training/adherence/close - Write adherence entries for closed weeks
+app.post("/training/adherence/close", async (req, res) => {
+  try {
+    const entries = await trainingAdherence.closeCompletedWeeks();
+    if (entries.length > 0) await refreshDynamicState();
+    res.json({ status: "closed", count: entries.length, entries });
+  } catch (error) {
+    console.error("Error in /training/adherence/close:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  res.redirect(authUrl);
+// ===== LABS ENDPOINTS =====
+
+// POST /labs - Save a lab panel ({ drawn_on, lab_source, results: [...] }) or a single result
+app.post("/labs", async (req, res) => {
+  const body = req.body || {};
+  const results = (Array.isArray(body.results) ? body.results : [body]).map(result => ({
+    ...result,
+    drawn_on: result.drawn_on || body.drawn_on,
+    lab_source: result.lab_source || body.lab_source
+  }));
+
+  for (const result of results) {
+    if (!result.analyte || typeof result.analyte !== "string") {
+      return res.status(400).json({ error: "analyte is required for every result" });
+    }
+    if (!Number.isFinite(result.value)) {
+      return res.status(400).json({ error: `value must be a number (${result.analyte})` });
+    }
+    if (!result.drawn_on || !DateTime.fromISO(result.drawn_on).isValid) {
+      return res.status(400).json({ error: `drawn_on is required (YYYY-MM-DD) (${result.analyte})` });
+    }
+  }
+
+  try {
+    const saved = await labs.saveResults(results);
+    res.json({
+      status: "saved",
+      count: saved.length,
+      results: saved,
+      flagged: saved.filter(r => r.flag && r.flag !== "normal").map(r => ({ analyte: r.analyte, flag: r.flag }))
+    });
+  } catch (error) {
+    console.error("Error in POST /labs:", error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get("/withings/weight", async (req, res) => {
-  // Load access token from storage
-  const tokens = await tokenStore.getTokens();
-  
-  if (!tokens) {
-    return res.status(401).json({ error: "No tokens found. Please authenticate first." });
+// GET /labs - List lab results with flags (optional ?analyte=)
+app.get("/labs", async (req, res) => {
+  try {
+    const results = await labs.listResults(req.query.analyte);
+    res.json({ count: results.length, results });
+  } catch (error) {
+    console.error("Error in GET /labs:", error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Check if token is expired
-  if (await tokenStore.isTokenExpired()) {
-    return res.status(401).json({ error: "Token expired. Re-authentication required." });
+// GET /labs/latest - Latest value per analyte
+app.get("/labs/latest", async (req, res) => {
+  try {
+    res.json(await labs.getLatestPanel());
+  } catch (error) {
+    console.error("Error in /labs/latest:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /labs/trend?analyte= - History of one analyte with change direction
+app.get("/labs/trend", async (req, res) => {
+  if (!req.query.analyte) {
+    return res.status(400).json({ error: "analyte is required" });
+  }
+
+  try {
+    res.json(await labs.getTrend(req.query.analyte));
+  } catch (error) {
+    console.error("Error in /labs/trend:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== NUTRITION ENDPOINTS =====
+
+// POST /nutrition/meals - Log a meal ({ date?, time, foods: [...], protein_g?, carbs_g?, fat_g?, kcal?, notes? })
+app.post("/nutrition/meals", async (req, res) => {
+  const body = req.body || {};
+  const date = body.date || DateTime.now().setZone("Asia/Jerusalem").toISODate();
+
+  if (!body.time || !/^([01]\d|2[0-3]):[0-5]\d$/.test(body.time)) {
+    return res.status(400).json({ error: "time is required (HH:MM)" });
+  }
+  if (!DateTime.fromISO(date).isValid) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  if (!Array.isArray(body.foods) || body.foods.length === 0 || body.foods.some(f => typeof f !== "string" || !f.trim())) {
+    return res.status(400).json({ error: "foods must be a non-empty array of strings" });
+  }
+  for (const field of ["protein_g", "carbs_g", "fat_g", "kcal"]) {
+    if (body[field] !== undefined && (!Number.isFinite(body[field]) || body[field] < 0)) {
+      return res.status(400).json({ error: `${field} must be a non-negative number` });
+    }
+  }
+
+  try {
+    const { meal, flags } = await nutrition.saveMeal({ ...body, date, source: "manual" });
+    res.json({ status: "saved", meal, flags });
+  } catch (error) {
+    console.error("Error in POST /nutrition/meals:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /nutrition/distribution?days=N - Share of intake after 20:00 and eating window per day
+app.get("/nutrition/distribution", async (req, res) => {
+  const days = req.query.days ? Number(req.query.days) : 14;
+
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return res.status(400).json({ error: "days must be an integer between 1 and 90" });
+  }
+
+  try {
+    res.json(await nutrition.getDistribution(days));
+  } catch (error) {
+    console.error("Error in /nutrition/distribution:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== STIMULANT ENDPOINTS =====
+
+// POST /stimulants - Log an exposure ({ substance, taken_at? (local ISO, default now), amount?, unit?, notes? })
+app.post("/stimulants", async (req, res) => {
+  const body = req.body || {};
+
+  if (!stimulants.SUBSTANCES.includes(body.substance)) {
+    return res.status(400).json({ error: `substance must be one of: ${stimulants.SUBSTANCES.join(", ")}` });
+  }
+  if (body.taken_at !== undefined && !DateTime.fromISO(body.taken_at).isValid) {
+    return res.status(400).json({ error: "taken_at must be an ISO date-time" });
+  }
+  if (body.amount !== undefined && (!Number.isFinite(body.amount) || body.amount <= 0)) {
+    return res.status(400).json({ error: "amount must be a positive number" });
+  }
+
+  try {
+    const exposure = await stimulants.logExposure({
+      ...body,
+      taken_at: body.taken_at || DateTime.now().setZone("Asia/Jerusalem").toISO(),
+      source: "manual"
+    });
+    res.json({ status: "saved", exposure });
+  } catch (error) {
+    console.error("Error in POST /stimulants:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /stimulants?days=N - Logged exposures grouped by evening (default 7 days)
+app.get("/stimulants", async (req, res) => {
+  const days = req.query.days ? Number(req.query.days) : 7;
+
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return res.status(400).json({ error: "days must be an integer between 1 and 90" });
+  }
+
+  try {
+    const to = DateTime.now().setZone("Asia/Jerusalem").startOf("day");
+    const exposures = await stimulants.listExposures(to.minus({ days: days - 1 }), to);
+    res.json({ count: exposures.length, exposures });
+  } catch (error) {
+    console.error("Error in GET /stimulants:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /stimulants/sleep-effects?days=N - Per-factor effect of evening exposures on that night's sleep (default 30 nights)
+app.get("/stimulants/sleep-effects", async (req, res) => {
+  const days = req.query.days ? Number(req.query.days) : 30;
+
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return res.status(400).json({ error: "days must be an integer between 1 and 90" });
+  }
+
+  let accessToken;
+  try {
+    accessToken = await tokenStore.getValidAccessToken();
+  } catch (error) {
+    return res.status(401).json({ error: "withings_not_connected", message: error.message });
+  }
+
+  try {
+    const { ok, ...result } = await stimulants.analyzeSleepEffects({ accessToken, days });
+    if (!ok) {
+      return res.status(502).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error in /stimulants/sleep-effects:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== STATE ENDPOINTS =====
+
+// GET /state/truth - Merged LifeMaster documents, derived values and validation status
+app.get("/state/truth", async (req, res) => {
+  try {
+    const truth = await truthState.getTruthState();
+    res.json({
+      precedence: truth.precedence,
+      loaded_at: truth.loaded_at,
+      stale: truth.stale,
+      errors: truth.errors,
+      derived: truth.derived,
+      state: truth.state
+    });
+  } catch (error) {
+    console.error("Error in /state/truth:", error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Call Withings measure API
-  const measureUrl = "https://wbsapi.withings.net/measure?action=getmeas&meastype=1&category=1&lastupdate=0";
-  
+// GET /state/dynamic - Current dynamic state version and a fresh derivation
+app.get("/state/dynamic", async (req, res) => {
   try {
-    const response = await fetch(measureUrl, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${tokens.access_token}`
-      }
+    const current = await dynamicState.getCurrentVersion();
+    const derived = await dynamicState.deriveStatus();
+    const outOfDate = !current || Object.keys(dynamicState.PHASES)
+      .some(domain => current.status[domain]?.phase !== derived.status[domain].phase);
+
+    res.json({
+      phases: dynamicState.PHASES,
+      current,
+      derived,
+      out_of_date: outOfDate
     });
+  } catch (error) {
+    console.error("Error in GET /state/dynamic:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const data = await response.json();
+// PUT /state/dynamic - Manually set phases ({ status: { training: "starting" }, notes })
+app.put("/state/dynamic", async (req, res) => {
+  const { status, notes } = req.body || {};
 
-    if (data.status !== 0) {
-      return res.status(500).json({ error: "Withings API error", details: data });
+  if (!status || typeof status !== "object" || Object.keys(status).length === 0) {
+    return res.status(400).json({ error: "status is required (e.g. { \"training\": \"starting\" })" });
+  }
+  for (const [domain, phase] of Object.entries(status)) {
+    const validationError = dynamicState.validateStatusChange(domain, phase);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
+  }
 
-    // Extract weight measurements
-    if (!data.body || !data.body.measuregrps || data.body.measuregrps.length === 0) {
-      return res.status(404).json({ error: "No weight measurements found" });
-    }
+  try {
+    res.json(await dynamicState.setStatus({ status, notes }));
+  } catch (error) {
+    console.error("Error in PUT /state/dynamic:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get last 10 measurement groups (preserve Withings API order)
-    const measureGroups = data.body.measuregrps.slice(0, 10);
-    
-    const measurements = measureGroups.map(group => {
-      const weightMeasure = group.measures.find(m => m.type === 1);
-      
-      if (!weightMeasure) {
-        return null;
-      }
-      
-      // Return RAW fields for inspection
-      return {
-        value: weightMeasure.value,
-        unit: weightMeasure.unit,
-        date: group.date,
-        modified: group.modified || null,
-        deviceid: group.deviceid || null,
-        source: group.source || null,
-        category: group.category
-      };
-    }).filter(m => m !== null);
+// POST /state/dynamic/refresh - Re-derive from lifemaster_progress and save if changed
+app.post("/state/dynamic/refresh", async (req, res) => {
+  try {
+    res.json(await dynamicState.refresh());
+  } catch (error) {
+    console.error("Error in /state/dynamic/refresh:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Return all measurements with raw fields
-    res.json({
-      count: measurements.length,
-      measurements: measurements
-    });
+// GET /state/dynamic/history - Saved versions, newest first
+app.get("/state/dynamic/history", async (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : 20;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: "limit must be an integer between 1 and 200" });
+  }
 
+  try {
+    const versions = await dynamicState.listVersions(limit);
+    res.json({ count: versions.length, versions });
   } catch (error) {
-    console.error("Error fetching weight:", error);
-    res.status(500).json({ error: "Failed to fetch weight data" });
+    console.error("Error in /state/dynamic/history:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /state/dynamic/render - Write the current version to DYNAMIC_STATE.md
+app.post("/state/dynamic/render", async (req, res) => {
+  try {
+    const version = await dynamicState.renderToFile();
+    if (!version) {
+      return res.status(404).json({ error: "No dynamic state version yet. POST /state/dynamic/refresh first" });
+    }
+    res.json({ status: "rendered", version: version.version, markdown: dynamicState.renderMarkdown(version) });
+  } catch (error) {
+    console.error("Error in /state/dynamic/render:", error);
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -805,38 +2796,214 @@ app.post("/agent/event", async (req, res) => {
   });
 });
 
-// POST /agent/commit - Write agent decisions (requires consent)
+// POST /agent/commit - Commit an approved proposal as a decision ({ proposal_id })
 app.post("/agent/commit", async (req, res) => {
-  const { consent } = req.body;
+  const { proposal_id } = req.body || {};
 
-  if (!consent || consent.status !== "granted") {
+  if (!proposal_id) {
     return res.status(403).json({
-      error: "Consent not granted"
+      error: "Consent not granted",
+      details: "Decisions are committed from an approved proposal (proposal_id)"
     });
   }
 
-  const payload = {
-    ...req.body,
-    entry_ts: new Date().toISOString()
-  };
+  try {
+    const result = await agentProposals.commitProposal(proposal_id);
+
+    if (!result.ok) {
+      if (result.reason === "not_found") {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      if (result.reason === "already_committed") {
+        return res.status(409).json({ error: "Proposal was already committed", entry_id: result.proposal.committed_entry_id });
+      }
+      if (result.reason === "guardrail_blocked") {
+        return res.status(422).json({
+          error: "Decision blocked by guardrails",
+          violations: result.violations.map(violation => ({ rule_id: violation.rule_id, matched_text: violation.matched_text }))
+        });
+      }
+      return res.status(403).json({
+        error: "Consent not granted",
+        details: `Proposal is ${result.proposal.status}, not approved`
+      });
+    }
+
+    await refreshDynamicState();
+
+    res.json({
+      status: "committed",
+      proposal_id: result.proposal.id,
+      entry: result.entry
+    });
+  } catch (error) {
+    console.error("Error in /agent/commit:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /agent/proposals - List proposals (optional ?status=pending|approved|rejected|expired|committed)
+app.get("/agent/proposals", async (req, res) => {
+  try {
+    const proposals = await agentProposals.listProposals(req.query.status);
+    res.json({ count: proposals.length, proposals });
+  } catch (error) {
+    console.error("Error in /agent/proposals:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /agent/proposals - Store a pending proposal (used by the chat agent)
+app.post("/agent/proposals", async (req, res) => {
+  const { entry_date, scope, title, notes, analysis, metrics } = req.body || {};
+
+  if (!title || !scope) {
+    return res.status(400).json({ error: "title and scope are required" });
+  }
+  if (!entry_date || !DateTime.fromISO(entry_date).isValid) {
+    return res.status(400).json({ error: "entry_date is required (YYYY-MM-DD)" });
+  }
+
+  try {
+    const proposal = await agentProposals.createProposal({ entry_date, scope, title, notes, analysis, metrics });
+    res.json({ status: "pending", proposal });
+  } catch (error) {
+    console.error("Error in POST /agent/proposals:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /agent/proposals/:id/approve and /reject - Explicit user decision on a proposal
+app.post("/agent/proposals/:id/:decision", async (req, res) => {
+  const { id, decision } = req.params;
+
+  if (decision !== "approve" && decision !== "reject") {
+    return res.status(404).json({ error: "Use /approve or /reject" });
+  }
+
+  try {
+    const note = req.body?.note;
+    const result = decision === "approve"
+      ? await agentProposals.approve(id, note)
+      : await agentProposals.reject(id, note);
+
+    if (!result.ok) {
+      return res.status(result.reason === "not_found" ? 404 : 409).json({
+        error: result.reason,
+        proposal: result.proposal || null
+      });
+    }
+
+    res.json({ status: result.proposal.status, proposal: result.proposal });
+  } catch (error) {
+    console.error(`Error in /agent/proposals/${decision}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Store an incoming chat message as an event in lifemaster_progress,
+ * with the structured records extracted from it as metrics.events
+ * @returns {Promise<object>} { entry_id, events, extractor, confirmation }
+ */
+async function logChatMessage(message) {
+  const today = DateTime.now().setZone('Asia/Jerusalem').toISODate();
+  const llm = llmProvider.configError() ? null : llmProvider.getProvider();
+  const { events, extractor } = await eventExtraction.extractEvents({ message, llm });
+  const confirmation = eventExtraction.describeEvents(events);
 
   const { data, error } = await supabase
     .from("lifemaster_progress")
-    .insert(payload)
+    .insert({
+      entry_type: "event",
+      entry_date: today,
+      source: "manual",
+      title: confirmation ? confirmation.substring(0, 100) : "User message",
+      notes: message,
+      metrics: { events, extractor },
+      entry_ts: new Date().toISOString()
+    })
     .select()
     .single();
 
   if (error) {
-    return res.status(500).json({ error: error.message });
+    console.error("Failed to log chat message:", error.message);
   }
 
-  res.json({
-    status: "committed",
-    entry: data
+  // Timed meals also go to the nutrition log for the late-night distribution
+  for (const event of events.filter(e => e.type === "meal" && e.time)) {
+    try {
+      await nutrition.saveMeal({ date: today, time: event.time, foods: event.foods, ...(event.macros || {}), source: "chat" });
+    } catch (mealError) {
+      console.error("Failed to save chat meal:", mealError.message);
+    }
+  }
+
+  // Timed caffeine / nicotine go to the stimulant log for the sleep correlation
+  for (const event of events.filter(e => (e.type === "caffeine" || e.type === "nicotine") && e.time)) {
+    try {
+      await stimulants.logExposure({ substance: event.type, taken_at: `${today}T${event.time}`, amount: event.amount, source: "chat", notes: event.item });
+    } catch (exposureError) {
+      console.error("Failed to save chat exposure:", exposureError.message);
+    }
+  }
+
+  return { entry_id: data?.id || null, events, extractor, confirmation };
+}
+
+/**
+ * Run analyze_and_persist_progress for a user chat message
+ * Shared by /agent/chat and thread messages
+ */
+async function analyzeChatMessage(message, events = []) {
+  // Determine entry_type from the extracted records, then from message content
+  let chatEntryType = 'insight'; // default
+  if (events.some(event => event.type === 'meal' || event.type === 'training')) {
+    chatEntryType = 'adherence';
+  } else if (/אכלתי|אוכל|תזונה|ארוחה|סנדוויץ|פחמימות|חלבון/.test(message)) {
+    chatEntryType = 'adherence';
+  } else if (/אימון|התאמן|כוח|קרדיו|שרירים/.test(message)) {
+    chatEntryType = 'adherence';
+  } else if (/מתחיל|אתחיל|אשנה|אפסיק/.test(message)) {
+    chatEntryType = 'intervention';
+  }
+
+  console.log('=== /agent/chat PROGRESS TRIGGER ===');
+  console.log('Message:', message.substring(0, 50));
+  console.log('Detected entry_type:', chatEntryType);
+
+  // Get current snapshot from recent Withings progress data
+  // (chat event entries carry extracted records, not a snapshot)
+  const { data: recentMetrics } = await supabase
+    .from('lifemaster_progress')
+    .select('metrics')
+    .eq('source', 'withings')
+    .not('metrics', 'is', null)
+    .order('entry_ts', { ascending: false })
+    .limit(1);
+
+  const currentSnapshot = recentMetrics && recentMetrics.length > 0 
+    ? recentMetrics[0].metrics 
+    : { weight_kg: null, heart_pulse_bpm: null, hrv: null, sleep_duration_minutes: null };
+
+  console.log('Current snapshot:', currentSnapshot);
+
+  // Always call analyze_and_persist_progress for user chat
+  // NO SILENT FAILURES - throw errors up
+  const chatAnalysis = await analyze_and_persist_progress({
+    snapshot: currentSnapshot,
+    source: 'user',
+    entry_type: chatEntryType,
+    user_message: message
   });
-});
 
-// POST /agent/chat - OpenAI-powered agent with tool calling
+  console.log('✓ Chat analysis completed and persisted');
+  console.log('Entry ID:', chatAnalysis.entry?.id);
+
+  return chatAnalysis;
+}
+
+// POST /agent/chat - LLM-powered agent with tool calling (single turn, no history)
 app.post("/agent/chat", async (req, res) => {
   try {
     const { message } = req.body;
@@ -845,294 +3012,203 @@ app.post("/agent/chat", async (req, res) => {
       return res.status(400).json({ error: "Message is required" });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: "OPENAI_API_KEY not configured" });
+    if (llmProvider.configError()) {
+      return res.status(500).json({ error: llmProvider.configError() });
     }
 
-    // Check for explicit consent words in Hebrew
-    const hasConsent = /מאשר|תעדכן|בצע/.test(message);
+    const captured = await logChatMessage(message);
 
-    // Store incoming message as event
-    const today = DateTime.now().setZone('Asia/Jerusalem').toISODate();
-    await supabase.from("lifemaster_progress").insert({
-      entry_type: "event",
-      entry_date: today,
-      source: "manual",
-      title: "User message",
-      notes: message,
-      entry_ts: new Date().toISOString()
+    const turn = await agentChat.runTurn({ llm: llmProvider.getProvider(), message, captured: captured.events });
+
+    // ===== ALWAYS TRIGGER PROGRESS ANALYSIS ON USER CHAT =====
+    await analyzeChatMessage(message, captured.events);
+
+    res.json({
+      reply: turn.reply,
+      captured,
+      committed: turn.committed,
+      proposals: turn.proposals,
+      tool_trace: turn.tool_trace,
+      guardrail: turn.guardrail
     });
 
-    // Define tools for OpenAI function calling
-    const tools = [
-      {
-        type: "function",
-        function: {
-          name: "get_agent_state",
-          description: "Retrieve recent progress entries from the lifemaster_progress table. Returns up to 100 recent entries ordered by timestamp descending.",
-          parameters: {
-            type: "object",
-            properties: {},
-            required: []
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "create_agent_event",
-          description: "Record a manual event (nutrition, sleep, training observation, or user note) to the progress log.",
-          parameters: {
-            type: "object",
-            properties: {
-              entry_date: {
-                type: "string",
-                description: "Date in YYYY-MM-DD format"
-              },
-              title: {
-                type: "string",
-                description: "Brief title of the event"
-              },
-              notes: {
-                type: "string",
-                description: "Detailed notes or observations"
-              },
-              metrics: {
-                type: "object",
-                description: "Optional structured metrics (e.g., sleep_hours, calories, etc.)"
-              }
-            },
-            required: ["entry_date", "title"]
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: "commit_agent_decision",
-          description: "Commit an agent decision or intervention. ONLY call this if explicit consent was granted by the user (words like 'מאשר', 'תעדכן', 'בצע').",
-          parameters: {
-            type: "object",
-            properties: {
-              entry_date: {
-                type: "string",
-                description: "Date in YYYY-MM-DD format"
-              },
-              title: {
-                type: "string",
-                description: "Decision title"
-              },
-              analysis: {
-                type: "object",
-                description: "Analysis object with worked, didnt_work, and next fields"
-              },
-              consent: {
-                type: "object",
-                description: "Consent object with status='granted', granted_at timestamp, and scope",
-                properties: {
-                  status: { type: "string" },
-                  granted_at: { type: "string" },
-                  scope: { type: "string" }
-                },
-                required: ["status", "granted_at", "scope"]
-              }
-            },
-            required: ["entry_date", "title", "consent"]
-          }
-        }
+  } catch (error) {
+    console.error("Error in /agent/chat:", error);
+    res.status(500).json({
+      error: "Agent chat failed",
+      details: error.message
+    });
+  }
+});
+
+// POST /agent/chat/stream - Server-Sent Events variant of /agent/chat (optional thread_id)
+// Events: captured, token, tool_call, tool_result, done (reply + tool_trace), analysis, error
+app.post("/agent/chat/stream", async (req, res) => {
+  const { message, thread_id } = req.body || {};
+
+  if (!message) {
+    return res.status(400).json({ error: "Message is required" });
+  }
+  if (llmProvider.configError()) {
+    return res.status(500).json({ error: llmProvider.configError() });
+  }
+
+  let thread = null;
+  try {
+    if (thread_id) {
+      thread = await agentThreads.getThread(thread_id);
+      if (!thread) {
+        return res.status(404).json({ error: "Thread not found" });
       }
-    ];
-
-    // System prompt for the agent
-    const systemPrompt = `You are a professional health and fitness coach assistant for the LifeMaster system.
-
-Your role:
-- Analyze user health data (sleep, weight, HRV, training adherence)
-- Provide evidence-based guidance focused on sustainability
-- Prioritize sleep, recovery, and adherence over aggressive optimization
-- Never suggest extreme interventions
-
-CRITICAL RULES:
-1. Read TRUTH_STATE.md principles: no extreme diets, prioritize adherence and recovery
-2. NEVER call commit_agent_decision unless the user explicitly gave consent with words: "מאשר", "תעדכן", or "בצע"
-3. If proposing changes without consent, explain the plan and ASK for explicit approval
-4. Always call get_agent_state first to understand current context
-5. Log observations using create_agent_event when appropriate
-
-Current consent status: ${hasConsent ? "GRANTED - you may commit decisions" : "NOT GRANTED - only propose, do not commit"}
-
-Respond in Hebrew (עברית) with professional, clear language.`;
-
-    const toolTrace = [];
-    let assistantReply = "";
-    let committed = false;
-
-    // Initial OpenAI call
-    const messages = [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message }
-    ];
-
-    let response = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: messages,
-      tools: tools,
-      tool_choice: "auto"
+    }
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+
+  let clientGone = false;
+  res.on("close", () => { clientGone = true; });
+
+  const send = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const captured = await logChatMessage(message);
+    send("captured", captured);
+
+    const context = thread
+      ? await agentChat.loadThreadContext({ llm: llmProvider.getProvider(), thread })
+      : { history: [], summary: null };
+
+    const turn = await agentChat.runTurn({
+      llm: llmProvider.getProvider(),
+      message,
+      history: context.history,
+      summary: context.summary,
+      threadId: thread ? thread.id : null,
+      captured: captured.events,
+      onEvent: send
     });
 
-    let responseMessage = response.choices[0].message;
-    messages.push(responseMessage);
+    if (thread) {
+      await agentThreads.appendMessages(thread.id, turn.messages);
+    }
 
-    // Handle tool calls (max 5 iterations to prevent infinite loops)
-    let iteration = 0;
-    const MAX_ITERATIONS = 5;
+    send("done", {
+      thread_id: thread ? thread.id : null,
+      reply: turn.reply,
+      committed: turn.committed,
+      proposals: turn.proposals,
+      tool_trace: turn.tool_trace,
+      guardrail: turn.guardrail
+    });
 
-    while (responseMessage.tool_calls && iteration < MAX_ITERATIONS) {
-      iteration++;
+    // Progress analysis runs after the reply was delivered
+    const chatAnalysis = await analyzeChatMessage(message, captured.events);
+    send("analysis", {
+      entry_id: chatAnalysis.entry?.id || null,
+      summary: chatAnalysis.analysis?.summary || null
+    });
+  } catch (error) {
+    console.error("Error in /agent/chat/stream:", error);
+    send("error", { error: "Agent chat failed", details: error.message });
+  }
 
-      for (const toolCall of responseMessage.tool_calls) {
-        const functionName = toolCall.function.name;
-        const functionArgs = JSON.parse(toolCall.function.arguments);
+  res.end();
+});
 
-        toolTrace.push({
-          function: functionName,
-          arguments: functionArgs
-        });
+// ===== AGENT THREAD ENDPOINTS =====
 
-        let functionResult;
-
-        try {
-          if (functionName === "get_agent_state") {
-            // Call GET /agent/state
-            const stateResponse = await fetch(`${AGENT_API_BASE}/agent/state`);
-            functionResult = await stateResponse.json();
-
-          } else if (functionName === "create_agent_event") {
-            // Call POST /agent/event
-            const eventPayload = {
-              entry_type: "event",
-              entry_date: functionArgs.entry_date,
-              source: "agent",
-              title: functionArgs.title,
-              notes: functionArgs.notes,
-              metrics: functionArgs.metrics || {}
-            };
-
-            const eventResponse = await fetch(`${AGENT_API_BASE}/agent/event`, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify(eventPayload)
-            });
-            functionResult = await eventResponse.json();
-
-          } else if (functionName === "commit_agent_decision") {
-            // Only allow if consent was granted
-            if (!hasConsent) {
-              functionResult = {
-                error: "Consent not granted. User must explicitly approve with 'מאשר', 'תעדכן', or 'בצע'."
-              };
-            } else {
-              // Call POST /agent/commit
-              const commitPayload = {
-                entry_type: "decision",
-                entry_date: functionArgs.entry_date,
-                source: "agent",
-                title: functionArgs.title,
-                analysis: functionArgs.analysis,
-                consent: {
-                  status: "granted",
-                  granted_at: new Date().toISOString(),
-                  scope: functionArgs.consent.scope
-                }
-              };
-
-              const commitResponse = await fetch(`${AGENT_API_BASE}/agent/commit`, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(commitPayload)
-              });
-              functionResult = await commitResponse.json();
-              
-              if (functionResult.status === "committed") {
-                committed = true;
-              }
-            }
-          }
-        } catch (error) {
-          functionResult = { error: error.message };
-        }
-
-        // Add tool result to messages
-        messages.push({
-          role: "tool",
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(functionResult)
-        });
-      }
+// POST /agent/threads - Start a conversation thread
+app.post("/agent/threads", async (req, res) => {
+  try {
+    const thread = await agentThreads.createThread(req.body?.title);
+    res.json({ status: "created", thread });
+  } catch (error) {
+    console.error("Error in POST /agent/threads:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Get next response from OpenAI
-      response = await openai.chat.completions.create({
-        model: OPENAI_MODEL,
-        messages: messages,
-        tools: tools,
-        tool_choice: "auto"
-      });
+// GET /agent/threads - List threads
+app.get("/agent/threads", async (req, res) => {
+  try {
+    const threads = await agentThreads.listThreads();
+    res.json({ count: threads.length, threads });
+  } catch (error) {
+    console.error("Error in GET /agent/threads:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      responseMessage = response.choices[0].message;
-      messages.push(responseMessage);
+// GET /agent/threads/:id - Thread with its full transcript (including summarised turns)
+app.get("/agent/threads/:id", async (req, res) => {
+  try {
+    const thread = await agentThreads.getThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
     }
 
-    assistantReply = responseMessage.content || "No response generated";
+    const messages = await agentThreads.listMessages(thread.id);
+    res.json({ thread, count: messages.length, messages });
+  } catch (error) {
+    console.error("Error in GET /agent/threads/:id:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /agent/threads/:id/messages - Send a message within a thread
+app.post("/agent/threads/:id/messages", async (req, res) => {
+  const { message } = req.body || {};
 
-    // ===== ALWAYS TRIGGER PROGRESS ANALYSIS ON USER CHAT =====
-    // Determine entry_type based on message content
-    let chatEntryType = 'insight'; // default
-    if (/אכלתי|אוכל|תזונה|ארוחה|סנדוויץ|פחמימות|חלבון/.test(message)) {
-      chatEntryType = 'adherence';
-    } else if (/אימון|התאמן|כוח|קרדיו|שרירים/.test(message)) {
-      chatEntryType = 'adherence';
-    } else if (/מתחיל|אתחיל|אשנה|אפסיק/.test(message)) {
-      chatEntryType = 'intervention';
+  if (!message) {
+    return res.status(400).json({ error: "Message is required" });
+  }
+  if (llmProvider.configError()) {
+    return res.status(500).json({ error: llmProvider.configError() });
+  }
+
+  try {
+    const thread = await agentThreads.getThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
     }
 
-    console.log('=== /agent/chat PROGRESS TRIGGER ===');
-    console.log('Message:', message.substring(0, 50));
-    console.log('Detected entry_type:', chatEntryType);
+    const captured = await logChatMessage(message);
 
-    // Get current snapshot from recent progress data
-    const { data: recentMetrics } = await supabase
-      .from('lifemaster_progress')
-      .select('metrics')
-      .not('metrics', 'is', null)
-      .order('entry_ts', { ascending: false })
-      .limit(1);
-
-    const currentSnapshot = recentMetrics && recentMetrics.length > 0 
-      ? recentMetrics[0].metrics 
-      : { weight_kg: null, heart_pulse_bpm: null, hrv: null, sleep_duration_minutes: null };
-
-    console.log('Current snapshot:', currentSnapshot);
-
-    // Always call analyze_and_persist_progress for user chat
-    // NO SILENT FAILURES - throw errors up
-    const chatAnalysis = await analyze_and_persist_progress({
-      snapshot: currentSnapshot,
-      source: 'user',
-      entry_type: chatEntryType,
-      user_message: message
+    const context = await agentChat.loadThreadContext({ llm: llmProvider.getProvider(), thread });
+    const turn = await agentChat.runTurn({
+      llm: llmProvider.getProvider(),
+      message,
+      history: context.history,
+      summary: context.summary,
+      threadId: thread.id,
+      captured: captured.events
     });
+    await agentThreads.appendMessages(thread.id, turn.messages);
 
-    console.log('✓ Chat analysis completed and persisted');
-    console.log('Entry ID:', chatAnalysis.entry?.id);
+    // ===== ALWAYS TRIGGER PROGRESS ANALYSIS ON USER CHAT =====
+    await analyzeChatMessage(message, captured.events);
 
     res.json({
-      reply: assistantReply,
-      committed: committed,
-      tool_trace: toolTrace
+      thread_id: thread.id,
+      reply: turn.reply,
+      captured,
+      committed: turn.committed,
+      proposals: turn.proposals,
+      tool_trace: turn.tool_trace,
+      guardrail: turn.guardrail,
+      summarized: context.summary !== (thread.summary || null)
     });
-
   } catch (error) {
-    console.error("Error in /agent/chat:", error);
+    console.error("Error in /agent/threads/:id/messages:", error);
     res.status(500).json({
       error: "Agent chat failed",
       details: error.message
@@ -1140,11 +3216,135 @@ Respond in Hebrew (עברית) with professional, clear language.`;
   }
 });
 
-// Start server on port from environment or default to 3000
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log("ENV CHECK - CLIENT_ID:", !!process.env.WITHINGS_CLIENT_ID);
-  console.log("ENV CHECK - CLIENT_SECRET:", !!process.env.WITHINGS_CLIENT_SECRET);
+// ===== ANALYSIS JOB ENDPOINTS =====
+
+// GET /agent/analysis-jobs - Queued snapshot analyses, newest first (optional ?status=, ?limit=)
+app.get("/agent/analysis-jobs", async (req, res) => {
+  const status = req.query.status;
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (status && !analysisJobs.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${analysisJobs.STATUSES.join(", ")}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: "limit must be an integer between 1 and 500" });
+  }
+
+  try {
+    const jobs = await analysisJobs.listJobs({ status, limit });
+    res.json({ count: jobs.length, jobs });
+  } catch (error) {
+    console.error("Error in /agent/analysis-jobs:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /agent/analysis-jobs/:id - One job with its snapshot, trigger evaluation and entry id
+app.get("/agent/analysis-jobs/:id", async (req, res) => {
+  try {
+    const job = await analysisJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Analysis job not found" });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error("Error in /agent/analysis-jobs/:id:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== TRIGGER ENDPOINTS =====
+
+// GET /agent/triggers - Active significant-change rules for /health/daily and Withings notify
+app.get("/agent/triggers", async (req, res) => {
+  try {
+    res.json(await progressTrigger.getRules());
+  } catch (error) {
+    console.error("Error in GET /agent/triggers:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /agent/triggers - Replace the rule set ({ rules: [...], notes }), saved as a new version
+app.put("/agent/triggers", async (req, res) => {
+  const { rules, notes } = req.body || {};
+
+  const validationError = progressTrigger.validateRules(rules);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    res.json(await progressTrigger.saveRules({ rules, notes }));
+  } catch (error) {
+    console.error("Error in PUT /agent/triggers:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /agent/triggers/firings - Rules that triggered an analysis, newest first
+app.get("/agent/triggers/firings", async (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: "limit must be an integer between 1 and 500" });
+  }
+
+  try {
+    const firings = await progressTrigger.listFirings(limit);
+    res.json({ count: firings.length, firings });
+  } catch (error) {
+    console.error("Error in /agent/triggers/firings:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== GUARDRAIL ENDPOINTS =====
+
+// GET /agent/guardrails - Active guardrail rules
+app.get("/agent/guardrails", async (req, res) => {
+  try {
+    const rules = await guardrails.loadRules();
+    res.json({
+      count: rules.length,
+      rules: rules.map(({ regexes, ...rule }) => rule)
+    });
+  } catch (error) {
+    console.error("Error in /agent/guardrails:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /agent/guardrails/audit - Logged violations, newest first
+app.get("/agent/guardrails/audit", async (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: "limit must be an integer between 1 and 500" });
+  }
+
+  try {
+    const entries = await guardrails.listAudit(limit);
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    console.error("Error in /agent/guardrails/audit:", error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
+module.exports = app;
+
+// Start server on port from environment or default to 3000
+// (only when run directly; tests require the app and listen themselves)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    analysisJobs.startWorker(runAnalysisJob).catch(error => {
+      console.error("Analysis job worker failed to start:", error);
+    });
+    trainingAdherence.startWeekCloser(refreshDynamicState);
+    console.log(`Server is running on port ${PORT}`);
+    console.log("ENV CHECK - CLIENT_ID:", !!process.env.WITHINGS_CLIENT_ID);
+    console.log("ENV CHECK - CLIENT_SECRET:", !!process.env.WITHINGS_CLIENT_SECRET);
+  });
+}
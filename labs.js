@@ -0,0 +1,221 @@
+/**
+ * Labs
+ * Lab results with built-in reference ranges, flags and trend history
+ *
+ * Table lab_results: id, analyte, value, unit, drawn_on (date), lab_source, notes, created_at
+ */
+
+const { supabase } = require('./supabaseClient');
+
+// Adult male reference ranges. `better` tells trends which direction is an improvement,
+// `target` marks program targets from TRUTH_STATE (e.g. triglyceride reduction)
+const REFERENCE_RANGES = {
+  triglycerides: { label: 'Triglycerides', unit: 'mg/dL', low: null, high: 150, better: 'lower', target: 150 },
+  total_cholesterol: { label: 'Total cholesterol', unit: 'mg/dL', low: null, high: 200, better: 'lower' },
+  hdl: { label: 'HDL cholesterol', unit: 'mg/dL', low: 40, high: null, better: 'higher' },
+  ldl: { label: 'LDL cholesterol', unit: 'mg/dL', low: null, high: 130, better: 'lower' },
+  non_hdl: { label: 'Non-HDL cholesterol', unit: 'mg/dL', low: null, high: 160, better: 'lower' },
+  hba1c: { label: 'HbA1c', unit: '%', low: 4.0, high: 5.6, better: 'lower' },
+  fasting_glucose: { label: 'Fasting glucose', unit: 'mg/dL', low: 70, high: 99, better: 'lower' },
+  tsh: { label: 'TSH', unit: 'mIU/L', low: 0.4, high: 4.0 },
+  free_t3: { label: 'Free T3', unit: 'pmol/L', low: 3.1, high: 6.8 },
+  free_t4: { label: 'Free T4', unit: 'pmol/L', low: 12, high: 22 },
+  ast: { label: 'AST', unit: 'U/L', low: null, high: 40, better: 'lower' },
+  alt: { label: 'ALT', unit: 'U/L', low: null, high: 41, better: 'lower' },
+  ggt: { label: 'GGT', unit: 'U/L', low: null, high: 60, better: 'lower' },
+  urea: { label: 'Urea', unit: 'mg/dL', low: 15, high: 45 },
+  creatinine: { label: 'Creatinine', unit: 'mg/dL', low: 0.7, high: 1.3 },
+  vitamin_d: { label: 'Vitamin D (25-OH)', unit: 'nmol/L', low: 75, high: 250, better: 'higher' },
+  vitamin_b12: { label: 'Vitamin B12', unit: 'pmol/L', low: 148, high: 590, better: 'higher' },
+  folate: { label: 'Folate', unit: 'nmol/L', low: 7, high: 45, better: 'higher' }
+};
+
+// Newest results read for the latest panel (a few full panels' worth)
+const LATEST_PANEL_ROWS = 200;
+
+// TRUTH_STATE lab keys that carry their unit in the name
+const ANALYTE_ALIASES = {
+  hba1c_percent: 'hba1c',
+  fasting_glucose_mg_dl: 'fasting_glucose',
+  vitamin_d_nmoll: 'vitamin_d',
+  vitamin_b12_pmol_l: 'vitamin_b12',
+  folate_nmoll: 'folate'
+};
+
+/**
+ * Normalize an analyte name to its reference range key
+ * @param {string} analyte - Analyte as submitted
+ * @returns {string} Lower-case key with known aliases resolved
+ */
+function normalizeAnalyte(analyte) {
+  const key = String(analyte).trim().toLowerCase();
+  return ANALYTE_ALIASES[key] || key;
+}
+
+/**
+ * Flag a value against its analyte reference range
+ * @param {string} analyte - Analyte key
+ * @param {number} value - Measured value
+ * @param {string} unit - Unit the value was reported in
+ * @returns {string|null} 'low' | 'normal' | 'high' | 'unit_mismatch' | null (no range)
+ */
+function flagValue(analyte, value, unit) {
+  const range = REFERENCE_RANGES[analyte];
+  if (!range) return null;
+
+  if (unit && unit.toLowerCase() !== range.unit.toLowerCase()) {
+    return 'unit_mismatch';
+  }
+  if (range.low !== null && value < range.low) return 'low';
+  if (range.high !== null && value > range.high) return 'high';
+  return 'normal';
+}
+
+/**
+ * Attach reference range and flag to a stored result
+ * @param {object} row - lab_results row
+ * @returns {object} Row with reference_range and flag
+ */
+function withFlag(row) {
+  const range = REFERENCE_RANGES[row.analyte] || null;
+  return {
+    ...row,
+    flag: flagValue(row.analyte, row.value, row.unit),
+    reference_range: range ? { low: range.low, high: range.high, unit: range.unit } : null,
+    target: range?.target ?? null
+  };
+}
+
+/**
+ * Save lab results from one draw
+ * @param {Array<object>} results - [{ analyte, value, unit, drawn_on, lab_source, notes }]
+ * @returns {Promise<Array<object>>} Saved rows with flags
+ */
+async function saveResults(results) {
+  const rows = results.map(result => ({
+    analyte: normalizeAnalyte(result.analyte),
+    value: result.value,
+    unit: result.unit || REFERENCE_RANGES[normalizeAnalyte(result.analyte)]?.unit || null,
+    drawn_on: result.drawn_on,
+    lab_source: result.lab_source || null,
+    notes: result.notes || null
+  }));
+
+  const { data, error } = await supabase
+    .from('lab_results')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to save lab results: ${error.message}`);
+  }
+
+  return data.map(withFlag);
+}
+
+/**
+ * List lab results, newest draw first
+ * @param {string} [analyte] - Optional analyte filter
+ * @param {number} [limit] - Optional maximum number of rows
+ * @returns {Promise<Array<object>>} Rows with flags
+ */
+async function listResults(analyte, limit) {
+  let query = supabase
+    .from('lab_results')
+    .select('*')
+    .order('drawn_on', { ascending: false });
+
+  if (analyte) {
+    query = query.eq('analyte', normalizeAnalyte(analyte));
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to read lab results: ${error.message}`);
+  }
+
+  return data.map(withFlag);
+}
+
+/**
+ * Latest value per analyte (from the newest LATEST_PANEL_ROWS results)
+ * @returns {Promise<object>} { drawn_on, results: { analyte: row } }
+ */
+async function getLatestPanel() {
+  const rows = await listResults(null, LATEST_PANEL_ROWS);
+  const results = {};
+
+  for (const row of rows) {
+    if (!results[row.analyte]) {
+      results[row.analyte] = row;
+    }
+  }
+
+  const dates = Object.values(results).map(row => row.drawn_on).sort();
+  return {
+    drawn_on: dates.length > 0 ? dates[dates.length - 1] : null,
+    results
+  };
+}
+
+/**
+ * Trend history for one analyte with change and direction
+ * @param {string} analyte - Analyte key
+ * @returns {Promise<object>} { analyte, points, change }
+ */
+async function getTrend(analyte) {
+  const key = normalizeAnalyte(analyte);
+  const rows = (await listResults(key)).reverse();
+  const range = REFERENCE_RANGES[key] || null;
+
+  const points = rows.map((row, index) => ({
+    drawn_on: row.drawn_on,
+    value: row.value,
+    unit: row.unit,
+    flag: row.flag,
+    lab_source: row.lab_source,
+    delta_from_previous: index > 0 ? Math.round((row.value - rows[index - 1].value) * 100) / 100 : null
+  }));
+
+  let change = null;
+  if (rows.length >= 2) {
+    const first = rows[0].value;
+    const last = rows[rows.length - 1].value;
+    const delta = last - first;
+    let direction = 'stable';
+    if (range?.better && delta !== 0) {
+      direction = (delta < 0) === (range.better === 'lower') ? 'improving' : 'worsening';
+    }
+
+    change = {
+      from: rows[0].drawn_on,
+      to: rows[rows.length - 1].drawn_on,
+      delta: Math.round(delta * 100) / 100,
+      pct: first !== 0 ? Math.round((delta / first) * 1000) / 10 : null,
+      direction
+    };
+  }
+
+  return {
+    analyte: key,
+    label: range?.label || key,
+    reference_range: range ? { low: range.low, high: range.high, unit: range.unit } : null,
+    target: range?.target ?? null,
+    points,
+    change
+  };
+}
+
+module.exports = {
+  REFERENCE_RANGES,
+  normalizeAnalyte,
+  flagValue,
+  saveResults,
+  listResults,
+  getLatestPanel,
+  getTrend
+};
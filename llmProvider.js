@@ -0,0 +1,264 @@
+/**
+ * LLM Provider
+ * One chat-completion interface (tools, JSON mode, token streaming) with adapters
+ * selected by LLM_PROVIDER:
+ * - openai (default): OpenAI API (OPENAI_API_KEY, OPENAI_MODEL)
+ * - openai_compatible: any OpenAI-compatible endpoint such as Ollama or a
+ *   llama.cpp server (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+ * - stub: replays scripted responses from LLM_STUB_FILE, fully offline
+ *
+ * provider.complete({ messages, tools, json, onToken }) resolves to the assistant
+ * message { role: 'assistant', content, tool_calls? }
+ *
+ * Stub script (JSON lines), first matching entry wins:
+ *   { "match": { "role": "user", "pattern": "sleep", "json": false },
+ *     "message": { "content": null, "tool_calls": [{ "name": "get_labs", "arguments": {} }] } }
+ * arguments may also be a raw string (sent unparsed, e.g. to script malformed JSON).
+ * match.role / match.pattern (regex) / match.content (exact) are tested against the
+ * last request message; JSON-mode requests only match entries with match.json: true
+ * (and the others only entries without it). Setting LLM_RECORD_FILE on a
+ * real provider appends each exchange in this format, so recorded sessions replay as-is.
+ * Sample script: test/fixtures/agentChat.stub.jsonl (exercised by npm test)
+ */
+
+const fs = require('fs');
+const OpenAI = require('openai');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o';
+// Characters per streamed token chunk emitted by the stub
+const STUB_TOKEN_CHARS = 8;
+
+/**
+ * Tool call arguments as an object, or the raw string when they are not valid JSON
+ */
+function parseArguments(raw) {
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Append one exchange to LLM_RECORD_FILE in stub script format
+ */
+function recordExchange({ messages, json }, message) {
+  const last = messages[messages.length - 1] || {};
+  const entry = {
+    match: { role: last.role, content: last.content ?? null, json: Boolean(json) },
+    message: {
+      content: message.content ?? null,
+      tool_calls: message.tool_calls
+        ? message.tool_calls.map(call => ({ name: call.function.name, arguments: parseArguments(call.function.arguments) }))
+        : undefined
+    }
+  };
+
+  fs.appendFileSync(process.env.LLM_RECORD_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+}
+
+/**
+ * Adapter for the OpenAI API and OpenAI-compatible servers
+ * @param {object} options - { name, model, apiKey, baseURL }
+ * @returns {object} Provider
+ */
+function createOpenAIProvider({ name, model, apiKey, baseURL }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  async function complete({ messages, tools, json = false, onToken = null }) {
+    const params = { model, messages };
+    if (tools && tools.length > 0) {
+      params.tools = tools;
+      params.tool_choice = 'auto';
+    }
+    if (json) {
+      params.response_format = { type: 'json_object' };
+    }
+
+    let message;
+
+    if (!onToken) {
+      const response = await client.chat.completions.create(params);
+      message = response.choices[0].message;
+    } else {
+      const stream = await client.chat.completions.create({ ...params, stream: true });
+      let content = '';
+      const toolCalls = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          content += delta.content;
+          onToken(delta.content);
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = {
+            id: '',
+            type: 'function',
+            function: { name: '', arguments: '' }
+          });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+
+      message = { role: 'assistant', content: content || null };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls;
+    }
+
+    if (process.env.LLM_RECORD_FILE) {
+      recordExchange({ messages, json }, message);
+    }
+
+    return message;
+  }
+
+  return { name, model, complete };
+}
+
+/**
+ * Read and parse a stub script (JSON lines; blank lines and // comments ignored)
+ */
+function loadStubScript(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid stub script entry on line ${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Check a script entry against the last request message and JSON mode
+ */
+function stubMatches(match = {}, last, json) {
+  const content = typeof last.content === 'string' ? last.content : JSON.stringify(last.content ?? null);
+
+  if (match.role !== undefined && match.role !== last.role) return false;
+  if (Boolean(match.json) !== json) return false;
+  if (match.content !== undefined && match.content !== last.content) return false;
+  if (match.pattern !== undefined && !new RegExp(match.pattern, 'i').test(content)) return false;
+  return true;
+}
+
+/**
+ * Scripted provider: deterministic replies without network access
+ * Unmatched requests get a fixed fallback ({"summary": ...} in JSON mode)
+ * @param {object} options - { file } stub script path (optional)
+ * @returns {object} Provider
+ */
+function createStubProvider({ file }) {
+  // Script is re-read on every call so it can be edited while the server runs
+  const script = () => (file ? loadStubScript(file) : []);
+
+  async function complete({ messages, json = false, onToken = null }) {
+    const last = messages[messages.length - 1] || {};
+    const entry = script().find(candidate => stubMatches(candidate.match, last, json));
+
+    let message;
+    if (entry) {
+      message = { role: 'assistant', content: entry.message.content ?? null };
+      if (entry.message.tool_calls && entry.message.tool_calls.length > 0) {
+        message.tool_calls = entry.message.tool_calls.map((call, index) => ({
+          id: `call_stub_${messages.length}_${index}`,
+          type: 'function',
+          function: {
+            name: call.name,
+            // A string is sent as-is, so malformed arguments can be scripted
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+          }
+        }));
+      }
+    } else if (json) {
+      message = { role: 'assistant', content: JSON.stringify({ summary: 'Stub analysis (no scripted response matched)' }) };
+    } else {
+      message = { role: 'assistant', content: 'Stub reply (no scripted response matched)' };
+    }
+
+    if (onToken && message.content) {
+      for (let i = 0; i < message.content.length; i += STUB_TOKEN_CHARS) {
+        onToken(message.content.slice(i, i + STUB_TOKEN_CHARS));
+      }
+    }
+
+    return message;
+  }
+
+  return { name: 'stub', model: 'stub', complete };
+}
+
+/**
+ * Why the configured provider cannot be created, or null when it can
+ * @returns {string|null}
+ */
+function configError() {
+  const providerName = process.env.LLM_PROVIDER || 'openai';
+
+  if (providerName === 'openai') {
+    return process.env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY not configured';
+  }
+  if (providerName === 'openai_compatible') {
+    return process.env.LLM_BASE_URL && process.env.LLM_MODEL
+      ? null
+      : 'LLM_BASE_URL and LLM_MODEL are required for LLM_PROVIDER=openai_compatible';
+  }
+  if (providerName === 'stub') {
+    return null;
+  }
+  return `Unknown LLM_PROVIDER: ${providerName} (use openai, openai_compatible or stub)`;
+}
+
+let provider = null;
+
+/**
+ * The configured provider (created on first use)
+ * @returns {object} Provider { name, model, complete }
+ */
+function getProvider() {
+  if (provider) return provider;
+
+  const error = configError();
+  if (error) {
+    throw new Error(error);
+  }
+
+  const providerName = process.env.LLM_PROVIDER || 'openai';
+
+  if (providerName === 'openai') {
+    provider = createOpenAIProvider({
+      name: 'openai',
+      model: process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  } else if (providerName === 'openai_compatible') {
+    provider = createOpenAIProvider({
+      name: 'openai_compatible',
+      model: process.env.LLM_MODEL,
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: process.env.LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LLM_BASE_URL
+    });
+  } else {
+    provider = createStubProvider({ file: process.env.LLM_STUB_FILE });
+  }
+
+  console.log(`LLM provider: ${provider.name} (${provider.model})`);
+  return provider;
+}
+
+module.exports = {
+  configError,
+  getProvider,
+  createOpenAIProvider,
+  createStubProvider
+};
@@ -0,0 +1,271 @@
+/**
+ * Nutrition
+ * Structured meal log, food preference checks against TRUTH_STATE
+ * nutrition_preferences (likes / excluded) and the late-night calorie
+ * distribution report (core issue: poor_calorie_distribution_to_night)
+ *
+ * Table nutrition_meals: id, meal_date (date), meal_time (HH:MM, local), foods jsonb
+ * ([{ name, preference: 'liked' | 'excluded' | 'neutral', category }]), protein_g,
+ * carbs_g, fat_g, kcal, source ('manual' | 'chat'), notes, created_at
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const truthState = require('./truthState');
+
+const TIMEZONE = 'Asia/Jerusalem';
+// Meals from this hour on count as late-night intake
+const LATE_HOUR = 20;
+// Meals before this hour belong to the previous evening (after-midnight snacks)
+const DAY_START_HOUR = 4;
+
+// Hebrew / English names for TRUTH_STATE food keys
+const FOOD_SYNONYMS = {
+  beef: ['beef', 'steak', 'בקר', 'סטייק', 'המבורגר'],
+  chicken: ['chicken', 'עוף', 'שניצל'],
+  fish: ['fish', 'salmon', 'tuna', 'דג', 'סלמון', 'טונה'],
+  eggs: ['egg', 'omelet', 'ביצה', 'ביצים', 'חביתה'],
+  milk: ['milk', 'חלב'],
+  cottage_cheese: ['cottage', 'קוטג'],
+  feta: ['feta', 'פטה', 'בולגרית'],
+  yellow_cheese: ['yellow cheese', 'גבינה צהובה'],
+  rice: ['rice', 'אורז'],
+  pasta: ['pasta', 'spaghetti', 'פסטה', 'ספגטי'],
+  mashed_potatoes: ['mashed potato', 'פירה'],
+  mayonnaise: ['mayo', 'mayonnaise', 'מיונז'],
+  yogurt: ['yogurt', 'yoghurt', 'יוגורט'],
+  white_cheese: ['white cheese', 'cream cheese', 'גבינה לבנה'],
+  dairy_desserts: ['dairy dessert', 'pudding', 'מעדן', 'פודינג', 'מילקי']
+};
+
+/**
+ * Terms for a TRUTH_STATE food key
+ */
+function termsFor(key) {
+  return FOOD_SYNONYMS[key] || [String(key).replace(/_/g, ' ')];
+}
+
+/**
+ * Liked and excluded food keys from the truth state
+ * @returns {Promise<object>} { liked: [{ key, category }], excluded: [key] }
+ */
+async function loadPreferences() {
+  const truth = await truthState.getTruthState();
+  const preferences = truth.state?.nutrition_preferences || {};
+
+  const liked = [];
+  for (const [category, value] of Object.entries(preferences.likes || {})) {
+    if (Array.isArray(value)) {
+      liked.push(...value.map(key => ({ key, category })));
+    }
+  }
+
+  return { liked, excluded: preferences.excluded || [] };
+}
+
+/**
+ * Classify one food against the preferences (excluded wins over liked)
+ * @param {string} food - Food as entered
+ * @param {object} preferences - loadPreferences() output
+ * @returns {object} { name, preference, matched }
+ */
+function classifyFood(food, preferences) {
+  const text = String(food).trim().toLowerCase();
+  // English terms match whole words, plural allowed ("eggs" but not "eggplant")
+  const matches = key => termsFor(key).some(term => (/^[a-z]/.test(term)
+    ? new RegExp(`\\b${term}(s|es)?\\b`).test(text)
+    : text.includes(term)));
+
+  const excluded = preferences.excluded.find(matches);
+  if (excluded) {
+    return { name: String(food).trim(), preference: 'excluded', matched: excluded };
+  }
+
+  const liked = preferences.liked.find(({ key }) => matches(key));
+  if (liked) {
+    return { name: String(food).trim(), preference: 'liked', matched: liked.key, category: liked.category };
+  }
+
+  return { name: String(food).trim(), preference: 'neutral', matched: null };
+}
+
+/**
+ * Check a list of foods against the preferences
+ * @param {Array<string>} foods - Foods as entered
+ * @returns {Promise<Array<object>>} classifyFood() results
+ */
+async function checkFoods(foods) {
+  const preferences = await loadPreferences();
+  return foods.map(food => classifyFood(food, preferences));
+}
+
+/**
+ * Save a meal
+ * kcal defaults to 4/4/9 kcal per gram of protein/carbs/fat when all three are given
+ * @param {object} meal - { date, time, foods, protein_g, carbs_g, fat_g, kcal, source, notes }
+ * @returns {Promise<object>} { meal, flags } flags lists excluded foods
+ */
+async function saveMeal({ date, time, foods, protein_g, carbs_g, fat_g, kcal, source, notes }) {
+  const checked = await checkFoods(foods);
+  const macros = [protein_g, carbs_g, fat_g];
+  const estimatedKcal = macros.every(Number.isFinite)
+    ? Math.round(protein_g * 4 + carbs_g * 4 + fat_g * 9)
+    : null;
+
+  const { data, error } = await supabase
+    .from('nutrition_meals')
+    .insert({
+      meal_date: date,
+      meal_time: time,
+      foods: checked,
+      protein_g: Number.isFinite(protein_g) ? protein_g : null,
+      carbs_g: Number.isFinite(carbs_g) ? carbs_g : null,
+      fat_g: Number.isFinite(fat_g) ? fat_g : null,
+      kcal: Number.isFinite(kcal) ? kcal : estimatedKcal,
+      source: source || 'manual',
+      notes: notes || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save meal: ${error.message}`);
+  }
+
+  const flags = checked
+    .filter(food => food.preference === 'excluded')
+    .map(food => ({ food: food.name, matched: food.matched, reason: 'excluded_in_truth_state' }));
+
+  return { meal: data, flags };
+}
+
+/**
+ * Minutes after the eating day started (times before DAY_START_HOUR belong to the previous evening)
+ */
+function dayMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const shifted = hours < DAY_START_HOUR ? hours + 24 : hours;
+  return shifted * 60 + minutes;
+}
+
+function formatDayMinutes(total) {
+  const hours = Math.floor(total / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+    : null;
+}
+
+/**
+ * Late-night intake share and eating window per day for the last N days
+ * A meal eaten before DAY_START_HOUR counts toward the previous day
+ * The late share uses kcal when every meal of the day has it, else the meal count
+ * @param {number} days - Number of days including today
+ * @returns {Promise<object>} { from, to, late_hour, days: [...], summary }
+ */
+async function getDistribution(days) {
+  const today = DateTime.now().setZone(TIMEZONE).startOf('day');
+  const from = today.minus({ days: days - 1 });
+
+  // One extra day so after-midnight meals can be moved back onto the first day
+  const { data, error } = await supabase
+    .from('nutrition_meals')
+    .select('*')
+    .gte('meal_date', from.toISODate())
+    .lte('meal_date', today.plus({ days: 1 }).toISODate())
+    .order('meal_date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read meals: ${error.message}`);
+  }
+
+  const byDay = new Map();
+  for (const meal of data) {
+    if (!meal.meal_time) continue;
+    const date = Number(meal.meal_time.split(':')[0]) < DAY_START_HOUR
+      ? DateTime.fromISO(meal.meal_date, { zone: TIMEZONE }).minus({ days: 1 }).toISODate()
+      : meal.meal_date;
+    if (!byDay.has(date)) byDay.set(date, []);
+    byDay.get(date).push(meal);
+  }
+
+  const series = [];
+  for (let day = from; day <= today; day = day.plus({ days: 1 })) {
+    const date = day.toISODate();
+    const meals = (byDay.get(date) || []).sort((a, b) => dayMinutes(a.meal_time) - dayMinutes(b.meal_time));
+
+    if (meals.length === 0) {
+      series.push({ date, meals: 0, kcal: null, late_kcal: null, late_share_pct: null, basis: null, first_meal: null, last_meal: null, eating_window_minutes: null });
+      continue;
+    }
+
+    const isLate = meal => dayMinutes(meal.meal_time) >= LATE_HOUR * 60;
+    const hasKcal = meals.every(meal => Number.isFinite(meal.kcal));
+    const kcal = hasKcal ? meals.reduce((sum, meal) => sum + meal.kcal, 0) : null;
+    const lateKcal = hasKcal ? meals.filter(isLate).reduce((sum, meal) => sum + meal.kcal, 0) : null;
+    const lateShare = hasKcal
+      ? (kcal > 0 ? lateKcal / kcal : 0)
+      : meals.filter(isLate).length / meals.length;
+    const first = dayMinutes(meals[0].meal_time);
+    const last = dayMinutes(meals[meals.length - 1].meal_time);
+
+    series.push({
+      date,
+      meals: meals.length,
+      kcal,
+      late_kcal: lateKcal,
+      late_share_pct: Math.round(lateShare * 1000) / 10,
+      basis: hasKcal ? 'kcal' : 'meal_count',
+      first_meal: formatDayMinutes(first),
+      last_meal: formatDayMinutes(last),
+      eating_window_minutes: last - first
+    });
+  }
+
+  // Trend: first half of the logged days vs the second half
+  const logged = series.filter(day => day.meals > 0);
+  const half = Math.floor(logged.length / 2);
+  let trend = null;
+  if (half > 0) {
+    const earlier = logged.slice(0, half);
+    const later = logged.slice(logged.length - half);
+    const earlierWindow = average(earlier.map(day => day.eating_window_minutes));
+    const laterWindow = average(later.map(day => day.eating_window_minutes));
+    const earlierLate = average(earlier.map(day => day.late_share_pct));
+    const laterLate = average(later.map(day => day.late_share_pct));
+    trend = {
+      earlier_window_minutes: earlierWindow,
+      later_window_minutes: laterWindow,
+      window_change_minutes: Math.round((laterWindow - earlierWindow) * 10) / 10,
+      earlier_late_share_pct: earlierLate,
+      later_late_share_pct: laterLate,
+      late_share_change_pct: Math.round((laterLate - earlierLate) * 10) / 10
+    };
+  }
+
+  return {
+    from: from.toISODate(),
+    to: today.toISODate(),
+    late_hour: `${String(LATE_HOUR).padStart(2, '0')}:00`,
+    days: series,
+    summary: {
+      logged_days: logged.length,
+      avg_late_share_pct: average(logged.map(day => day.late_share_pct)),
+      avg_eating_window_minutes: average(logged.map(day => day.eating_window_minutes)),
+      avg_first_meal: logged.length > 0 ? formatDayMinutes(Math.round(average(logged.map(day => dayMinutes(day.first_meal))))) : null,
+      avg_last_meal: logged.length > 0 ? formatDayMinutes(Math.round(average(logged.map(day => dayMinutes(day.last_meal))))) : null,
+      trend
+    }
+  };
+}
+
+module.exports = {
+  LATE_HOUR,
+  checkFoods,
+  saveMeal,
+  getDistribution
+};
@@ -0,0 +1,430 @@
+/**
+ * Progress Trigger
+ * Rule engine that decides whether a new Withings snapshot is a significant change
+ * worth analyzing. Rules compare a snapshot metric with recent Withings entries in
+ * lifemaster_progress (absolute, percent or z-score), combine conditions with
+ * all / any and can be silenced for a cooldown after firing. Cooldowns run on the
+ * snapshot timeline (from the start of the day that fired), so backfilled and
+ * re-analysed days are judged against firings up to their own date
+ *
+ * Table trigger_rule_versions: id, version (int, unique), rules jsonb, notes, created_at
+ * (latest version is active; DEFAULT_RULES until one is saved)
+ * Table trigger_firings: id, rule_id, entry_id, snapshot_date (date), fired_at
+ *
+ * Rule: { id, description, enabled, cooldown_hours, condition }
+ * Condition: { metric, compare: 'absolute' | 'percent' | 'zscore', window: 'last_entry' | 'mean_<N>d',
+ *   threshold, direction: 'any' | 'up' | 'down' } or { all: [conditions] } or { any: [conditions] }
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const withingsMetrics = require('./withingsMetrics');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const COMPARISONS = ['absolute', 'percent', 'zscore'];
+const DIRECTIONS = ['any', 'up', 'down'];
+const WINDOW_PATTERN = /^mean_(\d+)d$/;
+const MAX_WINDOW_DAYS = 90;
+// A z-score needs at least this many reference values
+const MIN_ZSCORE_VALUES = 3;
+
+// The former hard-coded thresholds, each against the last entry with that metric,
+// plus a compound recovery rule against rolling means
+const DEFAULT_RULES = [
+  { id: 'weight_change', description: 'Weight changed by 0.5 kg or more', metric: 'weight_kg', threshold: 0.5 },
+  { id: 'rhr_change', description: 'Resting HR changed by 5 bpm or more', metric: 'heart_pulse_bpm', threshold: 5 },
+  { id: 'hrv_change', description: 'HRV changed by 10% or more', metric: 'hrv', compare: 'percent', threshold: 10 },
+  { id: 'sleep_change', description: 'Sleep duration changed by 60 minutes or more', metric: 'sleep_duration_minutes', threshold: 60 },
+  { id: 'fat_mass_change', description: 'Fat mass changed by 0.3 kg or more', metric: 'fat_mass_kg', threshold: 0.3 },
+  { id: 'muscle_mass_change', description: 'Muscle mass changed by 0.3 kg or more', metric: 'muscle_mass_kg', threshold: 0.3 },
+  { id: 'fat_ratio_change', description: 'Fat ratio changed by 0.5 percentage points or more', metric: 'fat_ratio_pct', threshold: 0.5 }
+].map(({ id, description, metric, compare, threshold }) => ({
+  id,
+  description,
+  enabled: true,
+  cooldown_hours: 0,
+  condition: { metric, compare: compare || 'absolute', window: 'last_entry', threshold, direction: 'any' }
+})).concat([
+  {
+    id: 'recovery_strain',
+    description: 'HRV 1.5 SD below its 30-day mean while resting HR is 3 bpm above its 7-day mean',
+    enabled: true,
+    cooldown_hours: 24,
+    condition: {
+      all: [
+        { metric: 'hrv', compare: 'zscore', window: 'mean_30d', threshold: 1.5, direction: 'down' },
+        { metric: 'heart_pulse_bpm', compare: 'absolute', window: 'mean_7d', threshold: 3, direction: 'up' }
+      ]
+    }
+  }
+]);
+
+/**
+ * Check one condition (recursively for all / any)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateCondition(condition, path) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return `${path} must be an object`;
+  }
+
+  for (const key of ['all', 'any']) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        return `${path}.${key} must be a non-empty array`;
+      }
+      for (const [index, child] of condition[key].entries()) {
+        const error = validateCondition(child, `${path}.${key}[${index}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+  }
+
+  const metrics = Object.keys(withingsMetrics.createEmptySnapshot());
+  if (!metrics.includes(condition.metric)) {
+    return `${path}.metric must be a snapshot metric (e.g. weight_kg, hrv, sleep_score)`;
+  }
+  if (!COMPARISONS.includes(condition.compare)) {
+    return `${path}.compare must be one of: ${COMPARISONS.join(', ')}`;
+  }
+
+  const windowMatch = WINDOW_PATTERN.exec(condition.window || '');
+  if (condition.window !== 'last_entry' && !(windowMatch && Number(windowMatch[1]) >= 1 && Number(windowMatch[1]) <= MAX_WINDOW_DAYS)) {
+    return `${path}.window must be last_entry or mean_<N>d (N 1-${MAX_WINDOW_DAYS})`;
+  }
+  if (condition.compare === 'zscore' && condition.window === 'last_entry') {
+    return `${path}: zscore needs a mean_<N>d window`;
+  }
+  if (!Number.isFinite(condition.threshold) || condition.threshold <= 0) {
+    return `${path}.threshold must be a positive number`;
+  }
+  if (condition.direction !== undefined && !DIRECTIONS.includes(condition.direction)) {
+    return `${path}.direction must be one of: ${DIRECTIONS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check a full rule set
+ * @param {Array<object>} rules
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'rules must be an array';
+  }
+
+  const ids = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const path = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      return `${path} must be an object`;
+    }
+    if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) {
+      return `${path}.id must be snake_case`;
+    }
+    if (ids.has(rule.id)) {
+      return `${path}.id "${rule.id}" is duplicated`;
+    }
+    ids.add(rule.id);
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      return `${path}.enabled must be a boolean`;
+    }
+    if (rule.cooldown_hours !== undefined && (!Number.isFinite(rule.cooldown_hours) || rule.cooldown_hours < 0)) {
+      return `${path}.cooldown_hours must be a non-negative number`;
+    }
+    const error = validateCondition(rule.condition, `${path}.condition`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Active rule set
+ * @returns {Promise<object>} { version, source: 'saved' | 'default', rules, notes, created_at }
+ */
+async function getRules() {
+  const { data, error } = await supabase
+    .from('trigger_rule_versions')
+    .select('*')
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read trigger rules: ${error.message}`);
+  }
+
+  if (data.length === 0) {
+    return { version: 0, source: 'default', rules: DEFAULT_RULES, notes: null, created_at: null };
+  }
+
+  return { ...data[0], source: 'saved' };
+}
+
+/**
+ * Save a new rule set version (validate with validateRules first)
+ * @param {object} options - { rules, notes }
+ * @returns {Promise<object>} Saved row
+ */
+async function saveRules({ rules, notes }) {
+  const current = await getRules();
+
+  const { data, error } = await supabase
+    .from('trigger_rule_versions')
+    .insert({
+      version: current.version + 1,
+      rules: rules.map(rule => ({ enabled: true, cooldown_hours: 0, ...rule })),
+      notes: notes || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save trigger rules: ${error.message}`);
+  }
+
+  return { ...data, source: 'saved' };
+}
+
+/**
+ * Days covered by a mean_<N>d window
+ */
+function windowDays(window) {
+  return Number(WINDOW_PATTERN.exec(window)[1]);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Evaluate one leaf condition
+ * A metric missing from the snapshot or the reference is not evaluated (never a 0 change)
+ * @param {object} condition - Leaf condition
+ * @param {object} snapshot - Current snapshot
+ * @param {Array<object>} history - Withings entries, newest first
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @returns {object} { metric, evaluated, fired, value, reference, change, reason? }
+ */
+function evaluateLeaf(condition, snapshot, history, date) {
+  const { metric, compare, threshold } = condition;
+  const direction = condition.direction || 'any';
+  const value = snapshot?.[metric];
+  const base = { metric, compare, window: condition.window, threshold, direction };
+
+  if (!Number.isFinite(value)) {
+    return { ...base, evaluated: false, fired: false, reason: 'missing_current_value' };
+  }
+
+  let references;
+  if (condition.window === 'last_entry') {
+    const last = history.find(entry => Number.isFinite(entry.metrics?.[metric]));
+    references = last ? [last.metrics[metric]] : [];
+  } else {
+    // One value per day: the newest entry of each date in the window
+    const since = DateTime.fromISO(date, { zone: TIMEZONE }).minus({ days: windowDays(condition.window) }).toISODate();
+    const byDate = new Map();
+    for (const entry of history) {
+      if (entry.entry_date < since || byDate.has(entry.entry_date)) continue;
+      if (Number.isFinite(entry.metrics?.[metric])) {
+        byDate.set(entry.entry_date, entry.metrics[metric]);
+      }
+    }
+    references = [...byDate.values()];
+  }
+
+  const needed = compare === 'zscore' ? MIN_ZSCORE_VALUES : 1;
+  if (references.length < needed) {
+    return { ...base, value, evaluated: false, fired: false, reason: 'missing_reference', reference_count: references.length };
+  }
+
+  const reference = references.reduce((sum, v) => sum + v, 0) / references.length;
+  let change;
+  if (compare === 'absolute') {
+    change = value - reference;
+  } else if (compare === 'percent') {
+    if (reference === 0) {
+      return { ...base, value, evaluated: false, fired: false, reason: 'zero_reference' };
+    }
+    change = (value - reference) / Math.abs(reference) * 100;
+  } else {
+    const sd = Math.sqrt(references.reduce((sum, v) => sum + (v - reference) ** 2, 0) / references.length);
+    if (sd === 0) {
+      return { ...base, value, evaluated: false, fired: false, reason: 'zero_variance' };
+    }
+    change = (value - reference) / sd;
+  }
+
+  const fired = direction === 'up'
+    ? change >= threshold
+    : direction === 'down'
+      ? change <= -threshold
+      : Math.abs(change) >= threshold;
+
+  return {
+    ...base,
+    value,
+    reference: round2(reference),
+    reference_count: references.length,
+    change: round2(change),
+    evaluated: true,
+    fired
+  };
+}
+
+/**
+ * Evaluate a condition tree
+ * @returns {object} Leaf result, or { all | any: [results], evaluated, fired }
+ */
+function evaluateCondition(condition, snapshot, history, date) {
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    const results = condition[key].map(child => evaluateCondition(child, snapshot, history, date));
+    return {
+      [key]: results,
+      evaluated: results.some(result => result.evaluated),
+      fired: key === 'all' ? results.every(result => result.fired) : results.some(result => result.fired)
+    };
+  }
+  return evaluateLeaf(condition, snapshot, history, date);
+}
+
+/**
+ * Most recent firing per rule on or before a snapshot date
+ * @param {Array<string>} ruleIds
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @returns {Promise<Map<string, string>>} rule_id -> snapshot_date of the firing
+ */
+async function lastFirings(ruleIds, date) {
+  if (ruleIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('trigger_firings')
+    .select('rule_id, snapshot_date')
+    .in('rule_id', ruleIds)
+    .lte('snapshot_date', date)
+    .order('snapshot_date', { ascending: false })
+    .limit(500);
+
+  if (error) {
+    throw new Error(`Failed to read trigger firings: ${error.message}`);
+  }
+
+  const latest = new Map();
+  for (const row of data) {
+    if (!latest.has(row.rule_id)) latest.set(row.rule_id, row.snapshot_date);
+  }
+  return latest;
+}
+
+/**
+ * Evaluate the active rules against a snapshot
+ * Compared with Withings entries up to the snapshot date (backfilled days see their own past)
+ * @param {object} snapshot - Daily snapshot
+ * @param {string} [date] - Snapshot date (YYYY-MM-DD, default today)
+ * @returns {Promise<object>} { shouldTrigger, reason, rule_ids, changes, rules_version }
+ * changes holds the evaluation per enabled rule
+ */
+async function evaluateSignificantChange(snapshot, date) {
+  const { version, rules } = await getRules();
+  const enabled = rules.filter(rule => rule.enabled !== false);
+  const snapshotDate = date || DateTime.now().setZone(TIMEZONE).toISODate();
+
+  const { data: history, error } = await supabase
+    .from('lifemaster_progress')
+    .select('entry_date, entry_ts, metrics')
+    .eq('source', 'withings')
+    .eq('entry_type', 'measurement')
+    .gte('entry_date', DateTime.fromISO(snapshotDate, { zone: TIMEZONE }).minus({ days: MAX_WINDOW_DAYS }).toISODate())
+    .lte('entry_date', snapshotDate)
+    .order('entry_ts', { ascending: false })
+    .limit(500);
+
+  if (error) {
+    throw new Error(`Failed to read Withings history: ${error.message}`);
+  }
+
+  if (history.length === 0) {
+    // No measurement in the longest window: first one (or first after a long gap)
+    return { shouldTrigger: true, reason: 'first_measurement', rule_ids: [], changes: null, rules_version: version };
+  }
+
+  const cooldowns = await lastFirings(enabled.filter(rule => rule.cooldown_hours > 0).map(rule => rule.id), snapshotDate);
+  const snapshotStart = DateTime.fromISO(snapshotDate, { zone: TIMEZONE });
+  const changes = {};
+  const ruleIds = [];
+
+  for (const rule of enabled) {
+    const result = evaluateCondition(rule.condition, snapshot, history, snapshotDate);
+
+    if (result.fired && cooldowns.has(rule.id)) {
+      const until = DateTime.fromISO(cooldowns.get(rule.id), { zone: TIMEZONE }).plus({ hours: rule.cooldown_hours });
+      if (until > snapshotStart) {
+        result.fired = false;
+        result.cooldown_until = until.toUTC().toISO();
+      }
+    }
+
+    changes[rule.id] = result;
+    if (result.fired) ruleIds.push(rule.id);
+  }
+
+  const shouldTrigger = ruleIds.length > 0;
+  return {
+    shouldTrigger,
+    reason: shouldTrigger ? 'significant_change' : null,
+    rule_ids: ruleIds,
+    changes,
+    rules_version: version
+  };
+}
+
+/**
+ * Record the rules that triggered an analysis (starts their cooldown)
+ * @param {Array<string>} ruleIds
+ * @param {number} entryId - lifemaster_progress entry written by the analysis
+ * @param {string} date - Snapshot date the rules fired for (YYYY-MM-DD)
+ */
+async function recordFirings(ruleIds, entryId, date) {
+  if (ruleIds.length === 0) return;
+
+  const firedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('trigger_firings')
+    .insert(ruleIds.map(rule_id => ({ rule_id, entry_id: entryId, snapshot_date: date, fired_at: firedAt })));
+
+  if (error) {
+    throw new Error(`Failed to record trigger firings: ${error.message}`);
+  }
+}
+
+/**
+ * Recent firings, newest first
+ * @param {number} limit - Max rows
+ * @returns {Promise<Array<object>>}
+ */
+async function listFirings(limit) {
+  const { data, error } = await supabase
+    .from('trigger_firings')
+    .select('*')
+    .order('fired_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to read trigger firings: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  validateRules,
+  getRules,
+  saveRules,
+  evaluateSignificantChange,
+  recordFirings,
+  listFirings
+};
@@ -0,0 +1,220 @@
+/**
+ * Readiness
+ * Daily recovery/readiness score (0-100) against the user's own rolling baselines:
+ * HRV z-score (30 days), resting HR deviation (14 days), 7-night sleep debt and
+ * the Withings sleep score. The level gates the training suggestion for the day
+ */
+
+const healthRange = require('./healthRange');
+
+// Rolling baseline windows (days before the scored day)
+const HRV_BASELINE_DAYS = 30;
+const RHR_BASELINE_DAYS = 14;
+const SLEEP_DEBT_NIGHTS = 7;
+// Same nightly target the fallback analyzer uses for sleep debt
+const SLEEP_TARGET_MINUTES = 420;
+// Fewer baseline values than this leave the component out
+const MIN_BASELINE_VALUES = 5;
+// Floor for the HRV standard deviation so a flat history does not explode the z-score
+const MIN_HRV_SD = 2;
+
+// Component weights, renormalized over the components that have data
+const WEIGHTS = {
+  hrv: 0.35,
+  rhr: 0.25,
+  sleep_debt: 0.2,
+  sleep_score: 0.2
+};
+
+// Score bands and the training suggestion for each
+const LEVELS = [
+  {
+    level: 'high',
+    min: 70,
+    training: 'strength',
+    message: 'מוכנות גבוהה – אפשר אימון כוח כמתוכנן.'
+  },
+  {
+    level: 'moderate',
+    min: 45,
+    training: 'strength_reduced',
+    message: 'מוכנות בינונית – אימון כוח בנפח מופחת (פחות סטים, בלי שיאים).'
+  },
+  {
+    level: 'low',
+    min: 0,
+    training: 'mobility',
+    message: 'מוכנות נמוכה – במקום אימון כוח: מוביליטי, מתיחות או הליכה קלה.'
+  }
+];
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length);
+}
+
+/**
+ * Values of one metric over the last N history days
+ */
+function recentValues(history, metric, days) {
+  return history
+    .slice(-days)
+    .map(day => day.snapshot[metric])
+    .filter(Number.isFinite);
+}
+
+/**
+ * Score one day
+ * @param {object} options
+ * @param {object} options.snapshot - Snapshot of the scored day
+ * @param {Array<object>} options.history - [{ date, snapshot }] before the scored day, ascending
+ * @returns {object|null} { score, level, components, training } or null without any input
+ */
+function computeReadiness({ snapshot, history }) {
+  const components = {};
+
+  // HRV: z-score against the 30-day baseline, 0 = 60 points, each SD = 20 points
+  const hrvBaseline = recentValues(history, 'hrv', HRV_BASELINE_DAYS);
+  if (Number.isFinite(snapshot.hrv) && hrvBaseline.length >= MIN_BASELINE_VALUES) {
+    const baselineMean = mean(hrvBaseline);
+    const baselineSd = Math.max(standardDeviation(hrvBaseline), MIN_HRV_SD);
+    const z = (snapshot.hrv - baselineMean) / baselineSd;
+    components.hrv = {
+      value: snapshot.hrv,
+      baseline_mean: round1(baselineMean),
+      baseline_sd: round1(baselineSd),
+      z_score: round1(z),
+      score: Math.round(clamp(60 + z * 20))
+    };
+  }
+
+  // Resting HR: each bpm above the 14-day baseline costs 8 points (below it adds)
+  const rhrBaseline = recentValues(history, 'heart_pulse_bpm', RHR_BASELINE_DAYS);
+  if (Number.isFinite(snapshot.heart_pulse_bpm) && rhrBaseline.length >= MIN_BASELINE_VALUES) {
+    const baseline = mean(rhrBaseline);
+    const deviation = snapshot.heart_pulse_bpm - baseline;
+    components.rhr = {
+      value: snapshot.heart_pulse_bpm,
+      baseline: round1(baseline),
+      deviation_bpm: round1(deviation),
+      score: Math.round(clamp(75 - deviation * 8))
+    };
+  }
+
+  // Sleep debt: shortfall against the nightly target over the last 7 nights (last night included)
+  const nights = [...recentValues(history, 'sleep_duration_minutes', SLEEP_DEBT_NIGHTS - 1), snapshot.sleep_duration_minutes]
+    .filter(Number.isFinite);
+  if (Number.isFinite(snapshot.sleep_duration_minutes)) {
+    const debt = nights.reduce((sum, minutes) => sum + Math.max(0, SLEEP_TARGET_MINUTES - minutes), 0);
+    components.sleep_debt = {
+      debt_minutes: Math.round(debt),
+      nights: nights.length,
+      target_minutes: SLEEP_TARGET_MINUTES,
+      // 10 hours of debt over the week = 0
+      score: Math.round(clamp(100 - debt / 6))
+    };
+  }
+
+  if (Number.isFinite(snapshot.sleep_score)) {
+    components.sleep_score = {
+      value: snapshot.sleep_score,
+      score: Math.round(clamp(snapshot.sleep_score))
+    };
+  }
+
+  const available = Object.keys(components);
+  if (available.length === 0) {
+    return null;
+  }
+
+  const totalWeight = available.reduce((sum, key) => sum + WEIGHTS[key], 0);
+  let score = 0;
+  for (const key of available) {
+    components[key].weight = Math.round(WEIGHTS[key] / totalWeight * 100) / 100;
+    score += components[key].score * WEIGHTS[key] / totalWeight;
+  }
+  score = Math.round(score);
+
+  const { level, training, message } = LEVELS.find(band => score >= band.min);
+
+  return {
+    score,
+    level,
+    components,
+    missing: Object.keys(WEIGHTS).filter(key => !components[key]),
+    training: { recommendation: training, message }
+  };
+}
+
+/**
+ * Readiness for every day of a range, each scored against the days before it
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {DateTime} options.from - First scored day (in target timezone)
+ * @param {DateTime} options.to - Last scored day (in target timezone)
+ * @returns {Promise<object>} { ok: true, days: [{ date, readiness }] } or { ok: false, error, details }
+ */
+async function getReadinessSeries({ accessToken, from, to }) {
+  const range = await healthRange.fetchDailySnapshots({
+    accessToken,
+    from: from.minus({ days: HRV_BASELINE_DAYS }),
+    to
+  });
+
+  if (!range.ok) {
+    return range;
+  }
+
+  const firstDate = from.toISODate();
+  const days = [];
+  range.days.forEach((day, index) => {
+    if (day.date < firstDate) return;
+    days.push({
+      date: day.date,
+      readiness: computeReadiness({ snapshot: day.snapshot, history: range.days.slice(0, index) })
+    });
+  });
+
+  return { ok: true, days };
+}
+
+/**
+ * Readiness for one day whose snapshot is already built (/health/daily)
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {DateTime} options.targetDate - Scored day
+ * @param {object} options.snapshot - Snapshot of the scored day
+ * @returns {Promise<object|null>} computeReadiness() result
+ */
+async function getReadinessForSnapshot({ accessToken, targetDate, snapshot }) {
+  const day = targetDate.startOf('day');
+  const range = await healthRange.fetchDailySnapshots({
+    accessToken,
+    from: day.minus({ days: HRV_BASELINE_DAYS }),
+    to: day.minus({ days: 1 })
+  });
+
+  if (!range.ok) {
+    throw new Error(`Failed to read readiness baseline: ${range.error}`);
+  }
+
+  return computeReadiness({ snapshot, history: range.days });
+}
+
+module.exports = {
+  computeReadiness,
+  getReadinessSeries,
+  getReadinessForSnapshot
+};
@@ -0,0 +1,181 @@
+/**
+ * Sleep Timeline
+ * Intra-night hypnogram from Withings v2/sleep action=get with a derived per-night summary
+ */
+
+const { DateTime } = require('luxon');
+const withingsClient = require('./withingsClient');
+const withingsSync = require('./withingsSync');
+
+// Withings sleep states
+const SLEEP_STATES = {
+  0: 'awake',
+  1: 'light',
+  2: 'deep',
+  3: 'rem'
+};
+
+// Segments closer than this are treated as continuous
+const CONTIGUOUS_GAP_SECONDS = 60;
+// Awake HR this far above the asleep median counts as a spike
+const HR_SPIKE_BPM = 10;
+// Awakenings are reported from this local hour onwards
+const EARLY_MORNING_HOUR = 3;
+
+/**
+ * Fetch high-frequency sleep data for one session
+ * @param {string} accessToken - Withings access token
+ * @param {object} session - Sleep summary session (startdate/enddate)
+ * @returns {Promise<object>} Withings response
+ */
+async function fetchSleepSeries(accessToken, session) {
+  return withingsClient.formPost(withingsSync.SLEEP_URL, {
+    action: 'get',
+    startdate: session.startdate,
+    enddate: session.enddate,
+    data_fields: 'hr,rr,snoring'
+  }, accessToken);
+}
+
+/**
+ * Flatten a { timestamp: value } map from all segments into a sorted series
+ */
+function flattenSeries(segments, field, timezone) {
+  const points = {};
+  for (const segment of segments) {
+    for (const [ts, value] of Object.entries(segment[field] || {})) {
+      points[ts] = value;
+    }
+  }
+
+  return Object.entries(points)
+    .map(([ts, value]) => ({
+      ts: Number(ts),
+      time: DateTime.fromSeconds(Number(ts), { zone: timezone }).toFormat('HH:mm'),
+      value
+    }))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Build the stage timeline, HR/RR/snoring series and a per-night summary
+ * @param {Array<object>} segments - body.series from v2/sleep action=get
+ * @param {object} session - Sleep summary session the segments belong to
+ * @param {string} timezone - IANA timezone for local times
+ * @returns {object} { stages, heart_rate, respiration_rate, snoring, summary }
+ */
+function buildTimeline(segments, session, timezone) {
+  const toLocal = ts => DateTime.fromSeconds(ts, { zone: timezone });
+
+  const stages = [...segments]
+    .sort((a, b) => a.startdate - b.startdate)
+    .map(segment => ({
+      start: segment.startdate,
+      end: segment.enddate,
+      start_local: toLocal(segment.startdate).toFormat('HH:mm'),
+      end_local: toLocal(segment.enddate).toFormat('HH:mm'),
+      stage: SLEEP_STATES[segment.state] || 'unknown',
+      duration_minutes: Math.round((segment.enddate - segment.startdate) / 60)
+    }));
+
+  const heartRate = flattenSeries(segments, 'hr', timezone);
+  const respirationRate = flattenSeries(segments, 'rr', timezone);
+  const snoring = flattenSeries(segments, 'snoring', timezone);
+
+  // Minutes per stage
+  const stageMinutes = { awake: 0, light: 0, deep: 0, rem: 0 };
+  for (const stage of stages) {
+    if (stageMinutes[stage.stage] !== undefined) {
+      stageMinutes[stage.stage] += stage.duration_minutes;
+    }
+  }
+
+  // Longest run of contiguous non-awake segments
+  let longestBlock = null;
+  let currentBlock = null;
+  for (const stage of stages) {
+    const continues = currentBlock && stage.start - currentBlock.end <= CONTIGUOUS_GAP_SECONDS;
+
+    if (stage.stage === 'awake') {
+      currentBlock = null;
+      continue;
+    }
+
+    currentBlock = continues
+      ? { ...currentBlock, end: stage.end }
+      : { start: stage.start, end: stage.end };
+
+    if (!longestBlock || currentBlock.end - currentBlock.start > longestBlock.end - longestBlock.start) {
+      longestBlock = currentBlock;
+    }
+  }
+
+  // Awakenings between sleep segments, with HR during each one
+  const asleepHr = median(heartRate
+    .filter(point => stages.some(s => s.stage !== 'awake' && point.ts >= s.start && point.ts < s.end))
+    .map(point => point.value));
+
+  const firstSleepIndex = stages.findIndex(s => s.stage !== 'awake');
+  const lastSleepIndex = stages.length - 1 - [...stages].reverse().findIndex(s => s.stage !== 'awake');
+
+  const awakenings = stages
+    .filter((stage, index) => firstSleepIndex !== -1 && stage.stage === 'awake' && index > firstSleepIndex && index < lastSleepIndex)
+    .map(stage => {
+      const hrValues = heartRate
+        .filter(point => point.ts >= stage.start && point.ts <= stage.end)
+        .map(point => point.value);
+      const hrMax = hrValues.length > 0 ? Math.max(...hrValues) : null;
+      const hrDelta = hrMax !== null && asleepHr !== null ? hrMax - asleepHr : null;
+
+      return {
+        start: stage.start,
+        start_local: stage.start_local,
+        duration_minutes: stage.duration_minutes,
+        hr_max: hrMax,
+        hr_delta_bpm: hrDelta,
+        hr_spike: hrDelta !== null ? hrDelta >= HR_SPIKE_BPM : null
+      };
+    });
+
+  // First awakening after 03:00 on the morning the session ends
+  const earlyMorning = toLocal(session.enddate).startOf('day').plus({ hours: EARLY_MORNING_HOUR });
+  const firstEarlyAwakening = awakenings.find(a => a.start >= earlyMorning.toSeconds()) || null;
+
+  return {
+    stages,
+    heart_rate: heartRate,
+    respiration_rate: respirationRate,
+    snoring,
+    summary: {
+      stage_minutes: stageMinutes,
+      awakenings_count: awakenings.length,
+      awakenings,
+      longest_uninterrupted_block: longestBlock
+        ? {
+            start_local: toLocal(longestBlock.start).toFormat('HH:mm'),
+            end_local: toLocal(longestBlock.end).toFormat('HH:mm'),
+            duration_minutes: Math.round((longestBlock.end - longestBlock.start) / 60)
+          }
+        : null,
+      first_awakening_after_0300: firstEarlyAwakening,
+      awakenings_with_hr_spike: awakenings.filter(a => a.hr_spike).length,
+      asleep_hr_median_bpm: asleepHr
+    }
+  };
+}
+
+module.exports = {
+  SLEEP_STATES,
+  fetchSleepSeries,
+  buildTimeline
+};
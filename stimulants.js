@@ -0,0 +1,213 @@
+/**
+ * Stimulants
+ * Caffeine / nicotine / alcohol exposure log (TRUTH_STATE sleep.caffeine, nicotine,
+ * alcohol) and the per-factor effect of evening exposures on that night's sleep
+ *
+ * Table stimulant_log: id, substance ('caffeine' | 'nicotine' | 'alcohol'),
+ * taken_at (timestamptz), amount, unit, source ('manual' | 'chat'), notes, created_at
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const healthRange = require('./healthRange');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const SUBSTANCES = ['caffeine', 'nicotine', 'alcohol'];
+const DEFAULT_UNITS = { caffeine: 'cups', nicotine: 'sticks', alcohol: 'drinks' };
+// Exposures before this hour belong to the previous evening (coffee at 02:00)
+const DAY_START_HOUR = 4;
+// Fewer nights than this on either side of a factor gives no effect size
+const MIN_NIGHTS = 3;
+
+// Exposure factors compared against nights without them
+// after: local HH:MM on the exposure day (times after midnight count as later)
+const FACTORS = [
+  { id: 'caffeine_after_14', substance: 'caffeine', after: '14:00', label: 'caffeine after 14:00' },
+  { id: 'caffeine_3plus', substance: 'caffeine', minAmount: 3, label: '3+ cups of coffee' },
+  { id: 'nicotine_any', substance: 'nicotine', label: 'nicotine' },
+  { id: 'nicotine_after_21', substance: 'nicotine', after: '21:00', label: 'nicotine after 21:00' },
+  { id: 'alcohol_any', substance: 'alcohol', label: 'alcohol' }
+];
+
+// Sleep outcomes from the next day's Withings snapshot
+const OUTCOMES = [
+  { key: 'sleep_score', label: 'sleep score', unit: '' },
+  { key: 'sleep_duration_minutes', label: 'sleep', unit: ' min' },
+  { key: 'hrv', label: 'HRV', unit: ' ms' },
+  { key: 'wakeup_count', label: 'wake-ups', unit: '' }
+];
+
+/**
+ * Record one exposure
+ * @param {object} exposure - { substance, taken_at (ISO), amount, unit, source, notes }
+ * @returns {Promise<object>} Saved row
+ */
+async function logExposure({ substance, taken_at, amount, unit, source, notes }) {
+  const { data, error } = await supabase
+    .from('stimulant_log')
+    .insert({
+      substance,
+      taken_at: DateTime.fromISO(taken_at, { zone: TIMEZONE }).toUTC().toISO(),
+      amount: Number.isFinite(amount) ? amount : 1,
+      unit: unit || DEFAULT_UNITS[substance],
+      source: source || 'manual',
+      notes: notes || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save exposure: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Exposures in a local date range, oldest first
+ * @param {DateTime} from - First day (in TIMEZONE)
+ * @param {DateTime} to - Last day (in TIMEZONE)
+ * @returns {Promise<Array<object>>} Rows with evening_date and local_time added
+ */
+async function listExposures(from, to) {
+  const { data, error } = await supabase
+    .from('stimulant_log')
+    .select('*')
+    .gte('taken_at', from.startOf('day').plus({ hours: DAY_START_HOUR }).toUTC().toISO())
+    .lt('taken_at', to.startOf('day').plus({ days: 1, hours: DAY_START_HOUR }).toUTC().toISO())
+    .order('taken_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read exposures: ${error.message}`);
+  }
+
+  return data.map(row => {
+    const local = DateTime.fromISO(row.taken_at, { zone: 'utc' }).setZone(TIMEZONE);
+    return {
+      ...row,
+      evening_date: local.minus({ hours: DAY_START_HOUR }).toISODate(),
+      local_time: local.toFormat('HH:mm')
+    };
+  });
+}
+
+/**
+ * Minutes after the exposure day started (times before DAY_START_HOUR count as late night)
+ */
+function dayMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours < DAY_START_HOUR ? hours + 24 : hours) * 60 + minutes;
+}
+
+/**
+ * Whether a night's exposures match a factor
+ */
+function matchesFactor(factor, exposures) {
+  const relevant = exposures.filter(e => e.substance === factor.substance);
+
+  if (factor.after) {
+    return relevant.some(e => dayMinutes(e.local_time) >= dayMinutes(factor.after));
+  }
+  if (factor.minAmount) {
+    return relevant.reduce((sum, e) => sum + Number(e.amount || 0), 0) >= factor.minAmount;
+  }
+  return relevant.length > 0;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Effect of each exposure factor on that night's sleep
+ * Night D = exposures from D 04:00 to D+1 04:00, outcomes from the D+1 snapshot
+ * Only nights with at least one logged exposure are compared (an empty night
+ * is indistinguishable from a night that was not logged)
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {number} options.days - Number of nights ending last night
+ * @returns {Promise<object>} { ok: true, from, to, logged_nights, factors, nights } or { ok: false, error, details }
+ */
+async function analyzeSleepEffects({ accessToken, days }) {
+  const today = DateTime.now().setZone(TIMEZONE).startOf('day');
+  const lastNight = today.minus({ days: 1 });
+  const firstNight = lastNight.minus({ days: days - 1 });
+
+  const exposures = await listExposures(firstNight, lastNight);
+  const range = await healthRange.fetchDailySnapshots({ accessToken, from: firstNight.plus({ days: 1 }), to: today });
+  if (!range.ok) {
+    return { ok: false, error: range.error, details: range.details };
+  }
+
+  const snapshots = new Map(range.days.map(day => [day.date, day.snapshot]));
+  const nights = [];
+  for (let night = firstNight; night <= lastNight; night = night.plus({ days: 1 })) {
+    const date = night.toISODate();
+    const nightExposures = exposures.filter(e => e.evening_date === date);
+    if (nightExposures.length === 0) continue;
+    nights.push({
+      date,
+      exposures: nightExposures,
+      sleep: snapshots.get(night.plus({ days: 1 }).toISODate()) || {}
+    });
+  }
+
+  const factors = FACTORS.map(factor => {
+    const withFactor = nights.filter(night => matchesFactor(factor, night.exposures));
+    const withoutFactor = nights.filter(night => !matchesFactor(factor, night.exposures));
+
+    const effects = OUTCOMES.map(outcome => {
+      const valuesWith = withFactor.map(n => n.sleep[outcome.key]).filter(Number.isFinite);
+      const valuesWithout = withoutFactor.map(n => n.sleep[outcome.key]).filter(Number.isFinite);
+      const enough = valuesWith.length >= MIN_NIGHTS && valuesWithout.length >= MIN_NIGHTS;
+      const difference = enough ? round1(mean(valuesWith) - mean(valuesWithout)) : null;
+
+      return {
+        outcome: outcome.key,
+        nights_with: valuesWith.length,
+        nights_without: valuesWithout.length,
+        mean_with: round1(mean(valuesWith)),
+        mean_without: round1(mean(valuesWithout)),
+        difference,
+        statement: difference === null
+          ? null
+          : `nights with ${factor.label}: ${difference > 0 ? '+' : difference < 0 ? '−' : '±'}${Math.abs(difference)}${outcome.unit} ${outcome.label} on average`
+      };
+    });
+
+    return {
+      factor: factor.id,
+      label: factor.label,
+      nights_with: withFactor.length,
+      nights_without: withoutFactor.length,
+      sufficient_data: effects.some(effect => effect.difference !== null),
+      effects
+    };
+  });
+
+  return {
+    ok: true,
+    from: firstNight.toISODate(),
+    to: lastNight.toISODate(),
+    logged_nights: nights.length,
+    min_nights: MIN_NIGHTS,
+    factors,
+    nights: nights.map(night => ({
+      date: night.date,
+      exposures: night.exposures.map(e => ({ substance: e.substance, time: e.local_time, amount: e.amount, unit: e.unit })),
+      sleep: Object.fromEntries(OUTCOMES.map(outcome => [outcome.key, night.sleep[outcome.key] ?? null]))
+    }))
+  };
+}
+
+module.exports = {
+  SUBSTANCES,
+  logExposure,
+  listExposures,
+  analyzeSleepEffects
+};
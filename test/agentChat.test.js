@@ -0,0 +1,57 @@
+/**
+ * /agent/chat fully offline: stub LLM provider (test/fixtures/agentChat.stub.jsonl)
+ * and an in-memory Supabase
+ * Run: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fakeSupabase = require('./fakeSupabase');
+
+describe('POST /agent/chat with LLM_PROVIDER=stub', () => {
+  let db;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.LLM_PROVIDER = 'stub';
+    process.env.LLM_STUB_FILE = path.join(__dirname, 'fixtures', 'agentChat.stub.jsonl');
+    db = fakeSupabase.install();
+    db.tables.lab_results = [
+      { id: 1, analyte: 'triglycerides', value: 210, unit: 'mg/dL', drawn_on: '2026-03-01', lab_source: 'test' },
+      { id: 2, analyte: 'triglycerides', value: 180, unit: 'mg/dL', drawn_on: '2026-09-01', lab_source: 'test' }
+    ];
+
+    const app = require('../index');
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('runs a scripted tool-call round trip and answers from the tool result', async () => {
+    const response = await fetch(`${baseUrl}/agent/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'מה רמת הטריגליצרידים שלי?' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.tool_trace, [{ function: 'get_labs', arguments: { analyte: 'triglycerides' } }]);
+    // Only the entry matching the tool result (latest value 180) gives this reply
+    assert.equal(body.reply, 'הטריגליצרידים בבדיקה האחרונה: 180 mg/dL, מעל היעד של 150.');
+    assert.equal(body.guardrail.blocked, false);
+    assert.equal(body.captured.extractor, 'llm');
+
+    // The chat analysis was written through the stub's JSON-mode entry
+    const analysis = db.tables.lifemaster_progress.find(entry => entry.source === 'user' && entry.analysis?.analyzer === 'llm');
+    assert.ok(analysis, 'chat analysis entry saved');
+    assert.equal(analysis.analysis.llm_provider, 'stub');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Fake Supabase
+ * In-memory stand-in for the supabase-js query builder used by the modules
+ * (select / insert / upsert / update / delete with eq, range, order and limit filters)
+ *
+ * install() puts it in place of ./supabaseClient, so call it before requiring
+ * any module that reads or writes tables
+ */
+
+const path = require('path');
+
+/**
+ * Read a column, following JSON paths such as 'raw->date'
+ */
+function readColumn(row, column) {
+  return column.split(/->>?/).reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.operation = 'select';
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.sorts = [];
+    this.limitCount = null;
+    this.rangeBounds = null;
+    this.singleMode = null;
+  }
+
+  select() { return this; }
+  insert(payload) { this.operation = 'insert'; this.payload = payload; return this; }
+  upsert(payload, options = {}) { this.operation = 'upsert'; this.payload = payload; this.options = options; return this; }
+  update(payload) { this.operation = 'update'; this.payload = payload; return this; }
+  delete() { this.operation = 'delete'; return this; }
+
+  eq(column, value) { this.filters.push(row => readColumn(row, column) == value); return this; }
+  neq(column, value) { this.filters.push(row => readColumn(row, column) != value); return this; }
+  gt(column, value) { this.filters.push(row => readColumn(row, column) > value); return this; }
+  gte(column, value) { this.filters.push(row => readColumn(row, column) >= value); return this; }
+  lt(column, value) { this.filters.push(row => readColumn(row, column) < value); return this; }
+  lte(column, value) { this.filters.push(row => readColumn(row, column) <= value); return this; }
+  in(column, values) { this.filters.push(row => values.includes(readColumn(row, column))); return this; }
+  is(column, value) { this.filters.push(row => (readColumn(row, column) ?? null) === value); return this; }
+  not(column, operator, value) { this.filters.push(row => (readColumn(row, column) ?? null) !== value); return this; }
+
+  order(column, { ascending = true } = {}) { this.sorts.push({ column, ascending }); return this; }
+  limit(count) { this.limitCount = count; return this; }
+  range(from, to) { this.rangeBounds = [from, to]; return this; }
+  maybeSingle() { this.singleMode = 'maybe'; return this; }
+  single() { this.singleMode = 'one'; return this; }
+  then(resolve, reject) { return Promise.resolve().then(() => this.execute()).then(resolve, reject); }
+
+  execute() {
+    const rows = this.db.tables[this.table] || (this.db.tables[this.table] = []);
+    let result;
+
+    if (this.operation === 'insert' || this.operation === 'upsert') {
+      const keys = (this.options.onConflict || 'id').split(',');
+      result = [];
+      for (const payload of [].concat(this.payload)) {
+        const existing = this.operation === 'upsert'
+          && rows.find(row => keys.every(key => row[key] !== undefined && row[key] === payload[key]));
+        if (existing) {
+          if (this.options.ignoreDuplicates) continue;
+          Object.assign(existing, clone(payload));
+          result.push(existing);
+        } else {
+          const row = { id: this.db.nextId++, ...clone(payload) };
+          rows.push(row);
+          result.push(row);
+        }
+      }
+    } else {
+      result = rows.filter(row => this.filters.every(filter => filter(row)));
+      if (this.operation === 'update') {
+        result.forEach(row => Object.assign(row, clone(this.payload)));
+      }
+      if (this.operation === 'delete') {
+        this.db.tables[this.table] = rows.filter(row => !result.includes(row));
+      }
+      for (const { column, ascending } of [...this.sorts].reverse()) {
+        result = [...result].sort((a, b) => {
+          const x = readColumn(a, column);
+          const y = readColumn(b, column);
+          return (x > y ? 1 : x < y ? -1 : 0) * (ascending ? 1 : -1);
+        });
+      }
+      if (this.rangeBounds) result = result.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+      if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+    }
+
+    const data = clone(result);
+    if (this.singleMode === 'maybe') {
+      return { data: data[0] || null, error: null };
+    }
+    if (this.singleMode === 'one') {
+      return data.length > 0
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    return { data, error: null };
+  }
+}
+
+/**
+ * Create an empty fake database
+ * @returns {object} { supabase, tables, reset }
+ */
+function createFakeSupabase() {
+  const db = { tables: {}, nextId: 1 };
+
+  return {
+    supabase: {
+      from: table => new Query(db, table),
+      rpc: async () => ({ data: null, error: null })
+    },
+    tables: db.tables,
+    reset() {
+      for (const table of Object.keys(db.tables)) delete db.tables[table];
+      db.nextId = 1;
+    }
+  };
+}
+
+/**
+ * Replace ./supabaseClient with a fake database for every later require
+ * @returns {object} createFakeSupabase() result
+ */
+function install() {
+  const fake = createFakeSupabase();
+  const filename = path.join(__dirname, '..', 'supabaseClient.js');
+  require.cache[filename] = { id: filename, filename, loaded: true, exports: { supabase: fake.supabase } };
+  return fake;
+}
+
+module.exports = {
+  createFakeSupabase,
+  install
+};
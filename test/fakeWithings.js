@@ -0,0 +1,120 @@
+/**
+ * Fake Withings
+ * Local stand-in for the Withings API (notify, measure getmeas, v2/sleep getsummary)
+ * Point the service at it with WITHINGS_API_BASE=http://127.0.0.1:<port>
+ *
+ * Measure groups and sleep sessions come from the `measuregrps` / `series` arrays
+ * passed in (filtered by the requested window) and are served PAGE_SIZE at a time
+ * with more/offset pagination. Every request is recorded in `requests`; setting
+ * failures[path] to a Withings status makes that path answer with it
+ *
+ * CLI: node test/fakeWithings.js [--port N]
+ */
+
+const http = require('http');
+
+// Items per page, small so pagination is exercised
+const PAGE_SIZE = 2;
+
+/**
+ * Serve one page of a list with Withings more/offset fields
+ */
+function page(items, listKey, offset) {
+  const start = Number(offset) || 0;
+  const end = start + PAGE_SIZE;
+  return {
+    status: 0,
+    body: {
+      [listKey]: items.slice(start, end),
+      more: end < items.length,
+      offset: end < items.length ? end : 0
+    }
+  };
+}
+
+/**
+ * Start a fake Withings server
+ * @param {object} [options]
+ * @param {number} [options.port] - Port (0 = any free port)
+ * @param {Array<object>} [options.measuregrps] - Measure groups served by getmeas
+ * @param {Array<object>} [options.series] - Sleep sessions served by getsummary
+ * @returns {Promise<object>} { url, requests, subscriptions, failures, close }
+ */
+function startFakeWithings({ port = 0, measuregrps = [], series = [] } = {}) {
+  const requests = [];
+  // Notify subscriptions as { appli, callbackurl, comment }
+  const subscriptions = [];
+  const failures = {};
+
+  const handlers = {
+    '/notify': params => {
+      const appli = Number(params.appli);
+      if (params.action === 'subscribe') {
+        if (!subscriptions.some(s => s.appli === appli && s.callbackurl === params.callbackurl)) {
+          subscriptions.push({ appli, callbackurl: params.callbackurl, comment: params.comment });
+        }
+        return { status: 0, body: {} };
+      }
+      if (params.action === 'list') {
+        return { status: 0, body: { profiles: subscriptions.filter(s => s.appli === appli) } };
+      }
+      if (params.action === 'revoke') {
+        const index = subscriptions.findIndex(s => s.appli === appli && s.callbackurl === params.callbackurl);
+        if (index < 0) return { status: 294, body: {} };
+        subscriptions.splice(index, 1);
+        return { status: 0, body: {} };
+      }
+      return { status: 2555, body: {} };
+    },
+    '/measure': params => {
+      const inWindow = measuregrps.filter(grp => grp.date >= Number(params.startdate) && grp.date < Number(params.enddate));
+      return page(inWindow, 'measuregrps', params.offset);
+    },
+    '/v2/sleep': params => {
+      const inWindow = series.filter(session => session.date >= params.startdateymd && session.date <= params.enddateymd);
+      return page(inWindow, 'series', params.offset);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(raw));
+      requests.push({ path: req.url, authorization: req.headers.authorization, params });
+
+      const handler = handlers[req.url];
+      const response = failures[req.url]
+        ? { status: failures[req.url], error: 'fake failure' }
+        : handler ? handler(params) : { status: 2555, body: {} };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        subscriptions,
+        failures,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  PAGE_SIZE,
+  startFakeWithings
+};
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex >= 0 ? Number(process.argv[portIndex + 1]) : 4010;
+
+  startFakeWithings({ port }).then(({ url }) => {
+    console.log(`Fake Withings listening on ${url}`);
+  });
+}
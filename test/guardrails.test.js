@@ -0,0 +1,82 @@
+/**
+ * Guardrails default rules against replies that must pass and replies that must be caught
+ * Run: npm test
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./fakeSupabase');
+
+describe('guardrails default rules', () => {
+  let db;
+  let guardrails;
+
+  before(() => {
+    db = fakeSupabase.install();
+    guardrails = require('../guardrails');
+  });
+
+  beforeEach(() => {
+    db.reset();
+  });
+
+  const allowed = [
+    'The next blood test is on 16/8/2025, bring the fasting form.',
+    'On 18/6 we review the sleep data.',
+    'ב-18/6 נבדוק שוב את נתוני השינה.',
+    'Keep the eating window between 08:00 and 20:00 as usual.',
+    'חלון האכילה שלך נשאר כמו שהוא, בלי שינוי.',
+    'Avoid deadlifts for now.',
+    'Do a goblet squat instead of a back squat.',
+    'Replace deadlifts with hip thrusts.',
+    'No overhead press this week.',
+    'בלי דדליפט השבוע, רק גשר ישבן.',
+    'במקום הדדליפט תעשה גשר ישבן.',
+    'עדיף להימנע מדדליפט כרגע.'
+  ];
+
+  for (const text of allowed) {
+    it(`passes: ${text}`, async () => {
+      const result = await guardrails.guardReply(text);
+
+      assert.deepEqual(result.violations, []);
+      assert.equal(result.text, text);
+    });
+  }
+
+  const rewritten = [
+    ['No excuses, do heavy deadlifts today.', 'axial_heavy_loading'],
+    ["Don't worry, overhead press is fine for you.", 'neck_compression'],
+    ['Instead of running, do deadlifts.', 'axial_heavy_loading'],
+    ['Do heavy back squats on Monday.', 'axial_heavy_loading'],
+    ['ללא ספק, דדליפט הוא התרגיל הכי טוב בשבילך.', 'axial_heavy_loading'],
+    ['לא משנה מה, תעשה דדליפט כבד מחר.', 'axial_heavy_loading']
+  ];
+
+  for (const [text, ruleId] of rewritten) {
+    it(`rewrites: ${text}`, async () => {
+      const result = await guardrails.guardReply(text);
+
+      assert.deepEqual(result.violations.map(violation => violation.rule_id), [ruleId]);
+      assert.equal(result.rewritten, true);
+      assert.notEqual(result.text, text);
+      assert.equal(db.tables.guardrail_audit.length, 1);
+    });
+  }
+
+  const blocked = [
+    'Try to do 16/8 fasting on weekdays.',
+    'נסה צום 16/8 בימי חול.',
+    'A 16:8 protocol could help.'
+  ];
+
+  for (const text of blocked) {
+    it(`blocks: ${text}`, async () => {
+      const result = await guardrails.guardReply(text);
+
+      assert.equal(result.blocked, true);
+      assert.equal(result.text, guardrails.BLOCKED_REPLY);
+      assert.equal(result.violations[0].rule_id, 'fasting_protocols');
+    });
+  }
+});
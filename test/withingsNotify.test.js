@@ -0,0 +1,127 @@
+/**
+ * Withings Notify against the fake Withings server and an in-memory Supabase
+ * Run: npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const fakeSupabase = require('./fakeSupabase');
+const { startFakeWithings } = require('./fakeWithings');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const ACCESS_TOKEN = 'test-token';
+const DAY = DateTime.fromISO('2026-03-10T00:00', { zone: TIMEZONE });
+
+function measureGroup(grpid, hour, weightKg) {
+  return {
+    grpid,
+    date: Math.floor(DAY.plus({ hours: hour }).toSeconds()),
+    category: 1,
+    deviceid: 'scale',
+    measures: [{ type: 1, value: Math.round(weightKg * 1000), unit: -3 }]
+  };
+}
+
+function sleepSession(id, date) {
+  const wake = DateTime.fromISO(`${date}T07:00`, { zone: TIMEZONE });
+  return {
+    id,
+    date,
+    startdate: Math.floor(wake.minus({ hours: 7 }).toSeconds()),
+    enddate: Math.floor(wake.toSeconds()),
+    data: { total_sleep_time: 25200, sleep_score: 80 }
+  };
+}
+
+describe('withingsNotify', () => {
+  let db;
+  let withings;
+  let withingsNotify;
+
+  before(async () => {
+    withings = await startFakeWithings({
+      measuregrps: [
+        measureGroup(101, 7, 82.4),
+        measureGroup(102, 8, 82.3),
+        measureGroup(103, 21, 82.9),
+        // Outside the notified window
+        measureGroup(104, 30, 82.1)
+      ],
+      series: [
+        sleepSession(201, '2026-03-09'),
+        sleepSession(202, '2026-03-10'),
+        sleepSession(203, '2026-03-12')
+      ]
+    });
+
+    process.env.WITHINGS_API_BASE = withings.url;
+    db = fakeSupabase.install();
+    withingsNotify = require('../withingsNotify');
+  });
+
+  after(async () => {
+    await withings.close();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    withings.requests.length = 0;
+    for (const path of Object.keys(withings.failures)) delete withings.failures[path];
+  });
+
+  it('subscribeAll subscribes the callback URL to every appli', async () => {
+    const results = await withingsNotify.subscribeAll(ACCESS_TOKEN);
+
+    assert.deepEqual(results.map(r => [r.appli, r.ok]), [[1, true], [4, true], [44, true]]);
+    assert.deepEqual(withings.subscriptions.map(s => s.appli), [1, 4, 44]);
+    assert.ok(withings.subscriptions.every(s => s.callbackurl === withingsNotify.CALLBACK_URL));
+    assert.equal(withings.subscriptions.find(s => s.appli === 44).comment, 'lifemaster_sleep');
+    assert.ok(withings.requests.every(r => r.authorization === `Bearer ${ACCESS_TOKEN}`));
+
+    const profiles = await withingsNotify.listSubscriptions(ACCESS_TOKEN);
+    assert.equal(profiles.length, 3);
+
+    const revoked = await withingsNotify.revoke(ACCESS_TOKEN, 4);
+    assert.equal(revoked.ok, true);
+    assert.deepEqual(withings.subscriptions.map(s => s.appli), [1, 44]);
+  });
+
+  it('importNotifiedWindow imports every page of the notified measure window', async () => {
+    const result = await withingsNotify.importNotifiedWindow({
+      accessToken: ACCESS_TOKEN,
+      appli: 1,
+      startdate: Math.floor(DAY.plus({ hours: 6 }).toSeconds()),
+      enddate: Math.floor(DAY.plus({ hours: 21 }).toSeconds())
+    });
+
+    assert.deepEqual(result, { imported: 3, date: '2026-03-10', dates: ['2026-03-10'] });
+    assert.deepEqual(db.tables.withings_measure_groups.map(row => row.grpid), [101, 102, 103]);
+    // Three groups at two per page
+    assert.equal(withings.requests.filter(r => r.path === '/measure').length, 2);
+    assert.equal(withings.requests[0].params.action, 'getmeas');
+  });
+
+  it('importNotifiedWindow imports sleep summaries for appli 44', async () => {
+    const result = await withingsNotify.importNotifiedWindow({
+      accessToken: ACCESS_TOKEN,
+      appli: 44,
+      startdate: Math.floor(DAY.minus({ days: 1 }).toSeconds()),
+      enddate: Math.floor(DAY.plus({ hours: 8 }).toSeconds())
+    });
+
+    assert.deepEqual(result, { imported: 2, date: '2026-03-10', dates: ['2026-03-09', '2026-03-10'] });
+    assert.deepEqual(db.tables.withings_sleep_summaries.map(row => row.id), [201, 202]);
+    assert.equal(withings.requests[0].params.startdateymd, '2026-03-09');
+  });
+
+  it('importNotifiedWindow throws on a Withings error status', async () => {
+    withings.failures['/measure'] = 401;
+
+    await assert.rejects(
+      withingsNotify.importNotifiedWindow({ accessToken: ACCESS_TOKEN, appli: 1, startdate: 0, enddate: 1 }),
+      /Withings measure fetch failed/
+    );
+    assert.equal(db.tables.withings_measure_groups, undefined);
+  });
+});
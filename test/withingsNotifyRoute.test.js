@@ -0,0 +1,119 @@
+/**
+ * /withings/notify callback route against the fake Withings server and an in-memory Supabase
+ * Run: npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const fakeSupabase = require('./fakeSupabase');
+const { startFakeWithings } = require('./fakeWithings');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const DAY = DateTime.fromISO('2026-03-10T00:00', { zone: TIMEZONE });
+
+/**
+ * Wait until check() returns a truthy value (the route processes notifications after answering)
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the notification to be processed');
+}
+
+describe('/withings/notify', () => {
+  let db;
+  let withings;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    withings = await startFakeWithings({
+      measuregrps: [
+        {
+          grpid: 301,
+          date: Math.floor(DAY.minus({ hours: 16 }).toSeconds()),
+          category: 1,
+          measures: [{ type: 1, value: 82400, unit: -3 }]
+        },
+        {
+          grpid: 302,
+          date: Math.floor(DAY.plus({ hours: 7 }).toSeconds()),
+          category: 1,
+          measures: [{ type: 1, value: 82100, unit: -3 }]
+        }
+      ]
+    });
+
+    process.env.WITHINGS_API_BASE = withings.url;
+    db = fakeSupabase.install();
+
+    const app = require('../index');
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await withings.close();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.withings_tokens = [{
+      id: 'main',
+      access_token: 'test-token',
+      refresh_token: 'test-refresh',
+      expires_at: new Date(Date.now() + 3600 * 1000).toISOString()
+    }];
+    withings.requests.length = 0;
+  });
+
+  it('answers the HEAD and GET callback checks', async () => {
+    const head = await fetch(`${baseUrl}/withings/notify`, { method: 'HEAD' });
+    assert.equal(head.status, 200);
+
+    const get = await fetch(`${baseUrl}/withings/notify`);
+    assert.equal(get.status, 200);
+  });
+
+  it('imports a form-encoded notification and queues every day of its window', async () => {
+    const response = await fetch(`${baseUrl}/withings/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        userid: '12345',
+        appli: '1',
+        startdate: String(Math.floor(DAY.minus({ hours: 17 }).toSeconds())),
+        enddate: String(Math.floor(DAY.plus({ hours: 8 }).toSeconds()))
+      }).toString()
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'accepted' });
+
+    const jobs = await waitFor(() => db.tables.analysis_jobs?.length === 2 && db.tables.analysis_jobs);
+    assert.deepEqual(jobs.map(job => job.snapshot_date).sort(), ['2026-03-09', '2026-03-10']);
+    assert.ok(jobs.every(job => job.source === 'withings_notify' && job.status === 'pending'));
+    assert.deepEqual(db.tables.withings_measure_groups.map(row => row.grpid).sort(), [301, 302]);
+    assert.equal(withings.requests[0].params.action, 'getmeas');
+  });
+
+  it('ignores notifications for appli codes it does not subscribe to', async () => {
+    const response = await fetch(`${baseUrl}/withings/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'appli=16&startdate=0&enddate=1'
+    });
+
+    assert.deepEqual(await response.json(), { status: 'ignored' });
+    assert.equal(withings.requests.length, 0);
+    assert.equal(db.tables.analysis_jobs, undefined);
+  });
+});
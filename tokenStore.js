@@ -1,4 +1,5 @@
 const { supabase } = require('./supabaseClient');
+const { WITHINGS_API_BASE } = require('./withingsClient');
 
 /**
  * Save Withings tokens to Supabase
@@ -102,7 +103,7 @@ async function getValidAccessToken() {
   // Token expired, need to refresh
   console.log('Access token expired, refreshing...');
   
-  const tokenUrl = 'https://wbsapi.withings.net/v2/oauth2';
+  const tokenUrl = `${WITHINGS_API_BASE}/v2/oauth2`;
   const params = new URLSearchParams({
     action: 'requesttoken',
     grant_type: 'refresh_token',
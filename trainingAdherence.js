@@ -0,0 +1,321 @@
+/**
+ * Training Adherence
+ * Workout ingestion (Withings getworkouts + manual entries) and weekly adherence
+ * against the TRUTH_STATE training_constraints (sessions/week, duration, preferred time)
+ *
+ * Table training_workouts: id, source ('withings' | 'manual'), external_id,
+ * started_at, ended_at, duration_minutes, workout_type, notes, data jsonb, created_at
+ * Unique on (source, external_id)
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const withingsClient = require('./withingsClient');
+const truthState = require('./truthState');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const WORKOUTS_URL = `${withingsClient.WITHINGS_API_BASE}/v2/measure`;
+
+// Weeks re-checked on every close (late manual entries), and the most closed in one pass
+const DEFAULT_CLOSE_WEEKS = 4;
+const MAX_CLOSE_WEEKS = 52;
+// How often the in-process closer runs
+const CLOSE_INTERVAL_MS = Number(process.env.TRAINING_CLOSE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Local hours for each training_constraints.preferred_time value
+const PREFERRED_TIME_HOURS = {
+  morning: { start: 5, end: 12 },
+  afternoon: { start: 12, end: 17 },
+  evening: { start: 17, end: 23 }
+};
+
+/**
+ * Import Withings workouts for a date range
+ * @param {string} accessToken - Withings access token
+ * @param {string} startYmd - First date (YYYY-MM-DD)
+ * @param {string} endYmd - Last date (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of workouts written
+ */
+async function syncWithingsWorkouts(accessToken, startYmd, endYmd) {
+  const response = await withingsClient.formPostAll(WORKOUTS_URL, {
+    action: 'getworkouts',
+    startdateymd: startYmd,
+    enddateymd: endYmd,
+    data_fields: 'calories,intensity,hr_average,hr_min,hr_max,steps,distance'
+  }, accessToken, 'series');
+
+  if (response.status !== 0) {
+    throw new Error(`Withings getworkouts failed: ${JSON.stringify(response)}`);
+  }
+
+  const rows = response.body.series.map(workout => ({
+    source: 'withings',
+    external_id: String(workout.id),
+    started_at: new Date(workout.startdate * 1000).toISOString(),
+    ended_at: new Date(workout.enddate * 1000).toISOString(),
+    duration_minutes: Math.round((workout.enddate - workout.startdate) / 60),
+    workout_type: `withings_category_${workout.category}`,
+    notes: null,
+    data: workout.data || {}
+  }));
+
+  if (rows.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('training_workouts')
+    .upsert(rows, { onConflict: 'source,external_id' });
+
+  if (error) {
+    throw new Error(`Failed to save workouts: ${error.message}`);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Record a manual workout
+ * @param {object} workout - { started_at, duration_minutes, workout_type, notes }
+ * @returns {Promise<object>} Saved row
+ */
+async function addManualWorkout({ started_at, duration_minutes, workout_type, notes }) {
+  const startedAt = DateTime.fromISO(started_at, { zone: TIMEZONE });
+
+  const { data, error } = await supabase
+    .from('training_workouts')
+    .insert({
+      source: 'manual',
+      external_id: null,
+      started_at: startedAt.toUTC().toISO(),
+      ended_at: startedAt.plus({ minutes: duration_minutes }).toUTC().toISO(),
+      duration_minutes,
+      workout_type,
+      notes: notes || null,
+      data: {}
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save workout: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List workouts started on or after a timestamp
+ * @param {DateTime} since - Earliest start
+ * @returns {Promise<Array<object>>} Workouts ordered by start time
+ */
+async function listWorkouts(since) {
+  const { data, error } = await supabase
+    .from('training_workouts')
+    .select('*')
+    .gte('started_at', since.toUTC().toISO())
+    .order('started_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read workouts: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Evaluate one ISO week (Mon-Sun) against the training constraint
+ * @param {DateTime} weekStart - Monday 00:00 local
+ * @param {Array<object>} workouts - Workouts in that week
+ * @param {object} constraints - TRUTH_STATE training_constraints
+ * @returns {object} Week adherence
+ */
+function evaluateWeek(weekStart, workouts, constraints) {
+  const weekEnd = weekStart.plus({ weeks: 1 });
+  const preferredHours = PREFERRED_TIME_HOURS[constraints.preferred_time] || null;
+  const sessions = workouts.map(workout => {
+    const start = DateTime.fromISO(workout.started_at, { zone: TIMEZONE });
+    return {
+      id: workout.id,
+      source: workout.source,
+      workout_type: workout.workout_type,
+      started_at_local: start.toFormat("yyyy-MM-dd HH:mm"),
+      duration_minutes: workout.duration_minutes,
+      preferred_time: preferredHours ? start.hour >= preferredHours.start && start.hour < preferredHours.end : null,
+      full_duration: workout.duration_minutes >= constraints.session_duration_minutes
+    };
+  });
+
+  const qualifying = sessions.filter(s => s.full_duration).length;
+  const preferred = sessions.filter(s => s.preferred_time).length;
+
+  return {
+    week_start: weekStart.toISODate(),
+    week_end: weekEnd.minus({ days: 1 }).toISODate(),
+    closed: weekEnd <= DateTime.now().setZone(TIMEZONE),
+    sessions: sessions.length,
+    qualifying_sessions: qualifying,
+    total_minutes: sessions.reduce((sum, s) => sum + s.duration_minutes, 0),
+    preferred_time_sessions: preferred,
+    preferred_time_share_pct: sessions.length > 0 && preferredHours ? Math.round((preferred / sessions.length) * 100) : null,
+    target_sessions: constraints.sessions_per_week,
+    adherence_pct: Math.round(Math.min(1, qualifying / constraints.sessions_per_week) * 100),
+    met: qualifying >= constraints.sessions_per_week,
+    workouts: sessions
+  };
+}
+
+/**
+ * Compute weekly adherence for the last N ISO weeks (including the current one)
+ * @param {number} weeks - Number of weeks
+ * @returns {Promise<object>} { constraint, weeks, summary }
+ */
+async function computeAdherence(weeks) {
+  const currentWeek = DateTime.now().setZone(TIMEZONE).startOf('week');
+  const firstWeek = currentWeek.minus({ weeks: weeks - 1 });
+  const workouts = await listWorkouts(firstWeek);
+  const constraints = (await truthState.getTruthState()).derived.training_constraints;
+
+  const weekResults = [];
+  for (let i = 0; i < weeks; i++) {
+    const weekStart = firstWeek.plus({ weeks: i });
+    const weekEnd = weekStart.plus({ weeks: 1 });
+    const inWeek = workouts.filter(workout => {
+      const start = DateTime.fromISO(workout.started_at, { zone: TIMEZONE });
+      return start >= weekStart && start < weekEnd;
+    });
+    weekResults.push(evaluateWeek(weekStart, inWeek, constraints));
+  }
+
+  const closedWeeks = weekResults.filter(w => w.closed);
+  let streak = 0;
+  for (const week of [...closedWeeks].reverse()) {
+    if (!week.met) break;
+    streak++;
+  }
+
+  return {
+    constraint: constraints,
+    weeks: weekResults,
+    summary: {
+      closed_weeks: closedWeeks.length,
+      weeks_met: closedWeeks.filter(w => w.met).length,
+      average_adherence_pct: closedWeeks.length > 0
+        ? Math.round(closedWeeks.reduce((sum, w) => sum + w.adherence_pct, 0) / closedWeeks.length)
+        : null,
+      current_streak_weeks: streak
+    }
+  };
+}
+
+/**
+ * Weeks from the last week with an adherence entry through the current one
+ * @returns {Promise<number|null>} null when no week was closed yet
+ */
+async function weeksSinceLastClosed() {
+  const { data, error } = await supabase
+    .from('lifemaster_progress')
+    .select('entry_date')
+    .eq('entry_type', 'adherence')
+    .eq('source', 'training')
+    .order('entry_date', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read adherence entries: ${error.message}`);
+  }
+
+  if (data.length === 0) return null;
+
+  const lastWeek = DateTime.fromISO(data[0].entry_date, { zone: TIMEZONE }).startOf('week');
+  const currentWeek = DateTime.now().setZone(TIMEZONE).startOf('week');
+  return Math.round(currentWeek.diff(lastWeek, 'weeks').weeks) + 1;
+}
+
+/**
+ * Write one adherence entry to lifemaster_progress for every closed week
+ * Every week since the last closed one is covered (weeks without workouts too),
+ * at least the last `weeks` weeks so late manual entries refresh their week in place
+ * @param {number} [weeks] - Minimum number of recent weeks to check
+ * @returns {Promise<Array<object>>} Newly written or refreshed entries
+ */
+async function closeCompletedWeeks(weeks = DEFAULT_CLOSE_WEEKS) {
+  const sinceLast = await weeksSinceLastClosed();
+  const adherence = await computeAdherence(Math.min(Math.max(weeks, sinceLast || 0), MAX_CLOSE_WEEKS));
+  const written = [];
+
+  for (const week of adherence.weeks.filter(w => w.closed)) {
+    const { data: existing, error: readError } = await supabase
+      .from('lifemaster_progress')
+      .select('id, metrics')
+      .eq('entry_type', 'adherence')
+      .eq('source', 'training')
+      .eq('metrics->>week_start', week.week_start)
+      .limit(1);
+
+    if (readError) {
+      throw new Error(`Failed to read adherence entries: ${readError.message}`);
+    }
+    const { workouts, ...weekMetrics } = week;
+    const metrics = { ...weekMetrics, workout_ids: workouts.map(w => w.id) };
+    const fields = {
+      title: `Training week ${week.week_start}: ${week.qualifying_sessions}/${week.target_sessions} sessions`,
+      notes: week.met
+        ? 'Weekly training target met'
+        : `Weekly training target missed (${week.sessions} sessions, ${week.total_minutes} min)`,
+      metrics
+    };
+
+    let query;
+    if (existing && existing.length > 0) {
+      if (JSON.stringify(existing[0].metrics.workout_ids) === JSON.stringify(metrics.workout_ids)) continue;
+      query = supabase.from('lifemaster_progress').update(fields).eq('id', existing[0].id);
+    } else {
+      query = supabase.from('lifemaster_progress').insert({
+        entry_type: 'adherence',
+        entry_date: week.week_end,
+        source: 'training',
+        ...fields,
+        entry_ts: new Date().toISOString()
+      });
+    }
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      throw new Error(`Failed to write adherence entry: ${error.message}`);
+    }
+
+    written.push(data);
+  }
+
+  return written;
+}
+
+/**
+ * Close completed weeks on a timer, so weeks without any workout or request
+ * still get their entry
+ * @param {Function} [onClosed] - async entries => void, called when entries were written
+ */
+function startWeekCloser(onClosed) {
+  const run = async () => {
+    try {
+      const entries = await closeCompletedWeeks();
+      if (entries.length > 0) {
+        console.log(`Training adherence: closed ${entries.length} week(s)`);
+        if (onClosed) await onClosed(entries);
+      }
+    } catch (error) {
+      console.error('Training week close failed:', error.message);
+    }
+  };
+
+  setInterval(run, CLOSE_INTERVAL_MS).unref();
+  return run();
+}
+
+module.exports = {
+  syncWithingsWorkouts,
+  addManualWorkout,
+  computeAdherence,
+  closeCompletedWeeks,
+  startWeekCloser
+};
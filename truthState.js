@@ -0,0 +1,369 @@
+/**
+ * Truth State
+ * Loads the LifeMaster documents at runtime, merges them by the LIFEMASTER_INDEX
+ * authority order, validates the result and hot-reloads when a file changes
+ *
+ * YAML fenced blocks contribute their top-level keys to the merged state.
+ * Bullet lists (and header "Key: value" lines) are collected under a per-document
+ * key, e.g. system_rules.the_assistant_must or dynamic_state.current_status.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yaml');
+
+const DOCS_DIR = process.env.LIFEMASTER_DOCS_DIR || __dirname;
+const INDEX_FILE = 'LIFEMASTER_INDEX.md';
+// Used when LIFEMASTER_INDEX.md does not list any documents
+const DEFAULT_PRECEDENCE = ['SYSTEM_RULES.md', 'TRUTH_STATE.md', 'WORKING_MODE.md', 'DYNAMIC_STATE.md'];
+
+// Required paths in the merged state and their expected shape
+const SCHEMA = {
+  'truth_state.last_updated': 'date',
+  'profile.age_years': 'number',
+  'profile.height_cm': 'number',
+  'profile.weight_kg': 'number',
+  'primary_goal.type': 'string',
+  'secondary_goals': 'array',
+  'medical.limitations': 'array',
+  'labs.lipids.triglycerides': 'number',
+  'sleep_and_recovery.average_sleep_weekday': 'duration',
+  'sleep_and_recovery.sleep_quality_score_avg': 'approx_number',
+  'sleep_and_recovery.resting_heart_rate': 'approx_number',
+  'sleep_and_recovery.hrv_ms': 'approx_number',
+  'lifestyle.work.hours': 'time_range',
+  'training_constraints.sessions_per_week': 'integer',
+  'training_constraints.session_duration_minutes': 'number',
+  'training_constraints.preferred_time': 'string',
+  'guiding_principles': 'array'
+};
+
+let cached = null;
+let loading = null;
+
+/**
+ * Turn a label into a snake_case key ("Current Status" -> "current_status")
+ */
+function slugify(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Parse approximate numbers used in TRUTH_STATE ("~57" -> 57, "80-90" -> 85)
+ * @returns {number|null}
+ */
+function parseApproxNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const range = value.match(/^~?\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/);
+  if (range) return (Number(range[1]) + Number(range[2])) / 2;
+
+  const single = value.match(/^~?\s*(\d+(?:\.\d+)?)$/);
+  return single ? Number(single[1]) : null;
+}
+
+/**
+ * Parse a duration like "5h45m" into minutes
+ * @returns {number|null}
+ */
+function parseDurationMinutes(value) {
+  if (typeof value === 'number') return value;
+  const match = typeof value === 'string' && value.match(/^~?\s*(?:(\d+)h)?\s*(?:(\d+)m)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+}
+
+/**
+ * Parse "HH:mm-HH:mm" into { start, end }
+ * @returns {object|null}
+ */
+function parseTimeRange(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+  return match ? { start: match[1], end: match[2] } : null;
+}
+
+/**
+ * Read the document order from LIFEMASTER_INDEX.md ("1. SYSTEM_RULES.md" ...)
+ * @param {string} indexText - Index file content
+ * @returns {Array<string>} File names, highest authority first
+ */
+function parsePrecedence(indexText) {
+  const files = [...indexText.matchAll(/^\s*\d+\.\s+([\w.-]+\.md)\b/gm)].map(match => match[1]);
+  return files.length > 0 ? files : DEFAULT_PRECEDENCE;
+}
+
+/**
+ * Parse one markdown document
+ * @param {string} text - Document content
+ * @param {string} fileName - Used for the per-document key and error messages
+ * @returns {object} { key, yaml, sections }
+ */
+function parseDocument(text, fileName) {
+  const yamlData = {};
+  const sections = {};
+  let label = null;
+  let seenHeading = false;
+  let fence = null;
+
+  const addBullet = (item) => {
+    const key = slugify(label || 'items');
+    (sections[key] = sections[key] || []).push(item);
+  };
+
+  for (const line of text.split('\n')) {
+    if (fence !== null) {
+      if (line.trim().startsWith('```')) {
+        if (fence.lang === 'yaml') {
+          let parsed;
+          try {
+            parsed = YAML.parse(fence.lines.join('\n'));
+          } catch (error) {
+            throw new Error(`${fileName}: invalid YAML block (${error.message})`);
+          }
+          Object.assign(yamlData, parsed);
+        }
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+
+    const fenceStart = line.trim().match(/^```(\w*)/);
+    if (fenceStart) {
+      fence = { lang: fenceStart[1].toLowerCase(), lines: [] };
+      continue;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      // The document title (first heading) is not a section label
+      label = seenHeading ? heading[1] : null;
+      seenHeading = true;
+      continue;
+    }
+
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    if (bullet) {
+      addBullet(bullet[1].trim());
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (trimmed.endsWith(':')) {
+      label = trimmed.slice(0, -1);
+    } else if (!label && /^[A-Z][\w ]*:\s+\S/.test(trimmed)) {
+      // Header metadata before the first section ("Last Updated: 2025-12-23")
+      const [name, ...rest] = trimmed.split(':');
+      sections[slugify(name)] = rest.join(':').trim();
+    }
+  }
+
+  // Bullet lists made only of "Key: value" items become objects
+  for (const [key, items] of Object.entries(sections)) {
+    if (Array.isArray(items) && items.every(item => /^[^:]+:\s+\S/.test(item))) {
+      sections[key] = Object.fromEntries(items.map(item => {
+        const [name, ...rest] = item.split(':');
+        return [slugify(name), rest.join(':').trim()];
+      }));
+    }
+  }
+
+  return {
+    key: slugify(path.basename(fileName, '.md')),
+    yaml: yamlData,
+    sections
+  };
+}
+
+/**
+ * Deep merge where values from `over` win
+ */
+function deepMerge(base, over) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    const current = result[key];
+    result[key] = value && typeof value === 'object' && !Array.isArray(value)
+      && current && typeof current === 'object' && !Array.isArray(current)
+      ? deepMerge(current, value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Check the merged state against SCHEMA
+ * @param {object} state - Merged state
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validate(state) {
+  const errors = [];
+
+  for (const [pathKey, type] of Object.entries(SCHEMA)) {
+    const value = pathKey.split('.').reduce((node, part) => (node == null ? undefined : node[part]), state);
+
+    if (value === undefined || value === null) {
+      errors.push(`${pathKey} is missing`);
+      continue;
+    }
+
+    const valid = {
+      number: () => typeof value === 'number',
+      integer: () => Number.isInteger(value),
+      string: () => typeof value === 'string',
+      array: () => Array.isArray(value),
+      date: () => /^\d{4}-\d{2}-\d{2}$/.test(String(value)),
+      approx_number: () => parseApproxNumber(value) !== null,
+      duration: () => parseDurationMinutes(value) !== null,
+      time_range: () => parseTimeRange(value) !== null
+    }[type]();
+
+    if (!valid) {
+      errors.push(`${pathKey} must be ${type} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Values the services use directly (baselines, training constraint, work hours)
+ * @param {object} state - Validated merged state
+ * @returns {object} { baseline, training_constraints, work_hours }
+ */
+function deriveValues(state) {
+  const sleep = state.sleep_and_recovery;
+
+  return {
+    baseline: {
+      date: String(state.truth_state.last_updated),
+      weight_kg: state.profile.weight_kg,
+      resting_hr: parseApproxNumber(sleep.resting_heart_rate),
+      hrv_ms: parseApproxNumber(sleep.hrv_ms),
+      sleep_score: parseApproxNumber(sleep.sleep_quality_score_avg),
+      sleep_duration_minutes: parseDurationMinutes(sleep.average_sleep_weekday)
+    },
+    training_constraints: {
+      sessions_per_week: state.training_constraints.sessions_per_week,
+      session_duration_minutes: state.training_constraints.session_duration_minutes,
+      preferred_time: state.training_constraints.preferred_time
+    },
+    work_hours: parseTimeRange(state.lifestyle.work.hours)
+  };
+}
+
+/**
+ * Modification time of every document (index included)
+ */
+async function readMtimes(files) {
+  const mtimes = {};
+  for (const file of files) {
+    try {
+      mtimes[file] = (await fs.stat(path.join(DOCS_DIR, file))).mtimeMs;
+    } catch (error) {
+      mtimes[file] = null;
+    }
+  }
+  return mtimes;
+}
+
+/**
+ * Read, merge and validate all documents
+ * @returns {Promise<object>} Loaded state
+ */
+async function load() {
+  const indexText = await fs.readFile(path.join(DOCS_DIR, INDEX_FILE), 'utf8');
+  const precedence = parsePrecedence(indexText);
+  const mtimes = await readMtimes([INDEX_FILE, ...precedence]);
+
+  const documents = {};
+  let merged = {};
+
+  // Lowest authority first so higher documents override on conflict
+  for (const file of [...precedence].reverse()) {
+    if (mtimes[file] === null) {
+      throw new Error(`${file} listed in ${INDEX_FILE} but not found`);
+    }
+
+    const doc = parseDocument(await fs.readFile(path.join(DOCS_DIR, file), 'utf8'), file);
+    documents[file] = doc;
+    merged = deepMerge(merged, { ...doc.yaml, [doc.key]: doc.sections });
+  }
+
+  const errors = validate(merged);
+
+  return {
+    precedence,
+    state: merged,
+    derived: errors.length === 0 ? deriveValues(merged) : null,
+    errors,
+    mtimes,
+    loaded_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the current truth state, reloading when any document changed on disk
+ * An invalid reload keeps serving the last valid state and reports the errors
+ * @returns {Promise<object>} { precedence, state, derived, errors, loaded_at, stale }
+ */
+async function getTruthState() {
+  if (cached) {
+    const mtimes = await readMtimes(Object.keys(cached.mtimes));
+    const changed = Object.keys(mtimes).some(file => mtimes[file] !== cached.mtimes[file]);
+    if (!changed) return cached;
+  }
+
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const next = await load();
+
+        if (next.errors.length > 0) {
+          console.error('Truth state validation failed:', next.errors);
+          if (!cached) {
+            throw new Error(`Truth state invalid: ${next.errors.join('; ')}`);
+          }
+          // Remember the mtimes so a broken file is not re-parsed on every call
+          cached = { ...cached, mtimes: next.mtimes, errors: next.errors, stale: true };
+        } else {
+          cached = { ...next, stale: false };
+          console.log('Truth state loaded:', next.precedence.join(' > '));
+        }
+      } catch (error) {
+        if (!cached) throw error;
+        console.error('Truth state reload failed:', error.message);
+        cached = { ...cached, errors: [error.message], stale: true };
+      } finally {
+        loading = null;
+      }
+      return cached;
+    })();
+  }
+
+  return loading;
+}
+
+/**
+ * Render the merged state for a system prompt
+ * @param {object} truth - Output of getTruthState
+ * @returns {string} Precedence line followed by the merged documents as YAML
+ */
+function renderPromptContext(truth) {
+  return `Authoritative LifeMaster documents (precedence, highest first: ${truth.precedence.join(' > ')}).
+On conflict the higher document wins. Current merged content:
+
+${YAML.stringify(truth.state)}`;
+}
+
+module.exports = {
+  parseApproxNumber,
+  parseDurationMinutes,
+  parseDocument,
+  getTruthState,
+  renderPromptContext
+};
@@ -0,0 +1,98 @@
+/**
+ * Withings Activity
+ * Daily activity (getactivity), intraday activity (getintradayactivity) and
+ * a sedentary-streak detector for work hours
+ */
+
+const { DateTime } = require('luxon');
+const withingsClient = require('./withingsClient');
+const withingsMetrics = require('./withingsMetrics');
+
+const ACTIVITY_URL = `${withingsClient.WITHINGS_API_BASE}/v2/measure`;
+
+// A minute bucket with at least this many steps breaks a sedentary streak
+const MOVEMENT_STEPS = 15;
+// Streaks shorter than this are not reported
+const MIN_STREAK_MINUTES = 60;
+
+/**
+ * Fetch daily activity summaries for a date range
+ * @param {string} accessToken - Withings access token
+ * @param {string} startYmd - First date (YYYY-MM-DD)
+ * @param {string} endYmd - Last date (YYYY-MM-DD)
+ * @returns {Promise<object>} Withings response with body.activities holding every page
+ */
+async function fetchActivities(accessToken, startYmd, endYmd) {
+  return withingsClient.formPostAll(ACTIVITY_URL, {
+    action: 'getactivity',
+    startdateymd: startYmd,
+    enddateymd: endYmd,
+    data_fields: withingsMetrics.ACTIVITY_DATA_FIELDS
+  }, accessToken, 'activities');
+}
+
+/**
+ * Fetch intraday activity for a window (Withings allows up to 24h per call)
+ * @param {string} accessToken - Withings access token
+ * @param {number} startTs - Window start (unix seconds)
+ * @param {number} endTs - Window end (unix seconds)
+ * @returns {Promise<object>} Withings response with body.series keyed by timestamp
+ */
+async function fetchIntradayActivity(accessToken, startTs, endTs) {
+  return withingsClient.formPost(ACTIVITY_URL, {
+    action: 'getintradayactivity',
+    startdate: startTs,
+    enddate: endTs,
+    data_fields: 'steps,heart_rate'
+  }, accessToken);
+}
+
+/**
+ * Find sedentary streaks during work hours from intraday activity
+ * A streak is the time between two movement buckets (or the work-hour edges)
+ * @param {object} series - body.series from getintradayactivity ({ ts: { steps } })
+ * @param {DateTime} day - Day to inspect (in the local timezone)
+ * @param {object} workHours - { start, end } as HH:mm (TRUTH_STATE lifestyle.work.hours)
+ * @returns {object} { work_hours, streaks, longest_streak_minutes, total_sedentary_minutes }
+ */
+function detectSedentaryStreaks(series, day, workHours) {
+  const [startHour, startMinute] = workHours.start.split(':').map(Number);
+  const [endHour, endMinute] = workHours.end.split(':').map(Number);
+  const workStart = day.startOf('day').set({ hour: startHour, minute: startMinute });
+  const workEnd = day.startOf('day').set({ hour: endHour, minute: endMinute });
+  const workStartTs = Math.floor(workStart.toSeconds());
+  const workEndTs = Math.floor(workEnd.toSeconds());
+
+  const movementTs = Object.entries(series || {})
+    .filter(([, bucket]) => (bucket.steps || 0) >= MOVEMENT_STEPS)
+    .map(([ts]) => Number(ts))
+    .filter(ts => ts >= workStartTs && ts < workEndTs)
+    .sort((a, b) => a - b);
+
+  const boundaries = [workStartTs, ...movementTs, workEndTs];
+  const streaks = [];
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const minutes = Math.round((boundaries[i] - boundaries[i - 1]) / 60);
+    if (minutes >= MIN_STREAK_MINUTES) {
+      streaks.push({
+        start_local: DateTime.fromSeconds(boundaries[i - 1], { zone: day.zone }).toFormat('HH:mm'),
+        end_local: DateTime.fromSeconds(boundaries[i], { zone: day.zone }).toFormat('HH:mm'),
+        duration_minutes: minutes
+      });
+    }
+  }
+
+  return {
+    work_hours: `${workHours.start}-${workHours.end}`,
+    streaks,
+    longest_streak_minutes: streaks.length > 0 ? Math.max(...streaks.map(s => s.duration_minutes)) : 0,
+    total_sedentary_minutes: streaks.reduce((sum, s) => sum + s.duration_minutes, 0)
+  };
+}
+
+module.exports = {
+  fetchActivities,
+  fetchIntradayActivity,
+  detectSedentaryStreaks
+};
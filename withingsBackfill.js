@@ -0,0 +1,370 @@
+/**
+ * Withings Backfill
+ * Resumable import of historical measures and sleep summaries into the local cache
+ *
+ * Walks backwards from the oldest synced point in chunked windows, following
+ * more/offset pagination (with an access token fetched, and refreshed if expired,
+ * for every window), and records progress in withings_backfill_state:
+ * id ('main'), since_ts, cursor_ts, chunk_days, status, windows_done, windows_total,
+ * measure_groups, sleep_sessions, started_at, updated_at, last_error
+ *
+ * CLI: npm run backfill -- [--since YYYY-MM-DD] [--chunk-days N] [--restart]
+ */
+
+const { DateTime } = require('luxon');
+const { supabase } = require('./supabaseClient');
+const tokenStore = require('./tokenStore');
+const withingsClient = require('./withingsClient');
+const withingsMetrics = require('./withingsMetrics');
+const withingsSync = require('./withingsSync');
+
+const TIMEZONE = 'Asia/Jerusalem';
+const DEFAULT_CHUNK_DAYS = 30;
+const MAX_CHUNK_DAYS = 90;
+const DEFAULT_SINCE_DAYS = 730;
+
+let running = null;
+
+/**
+ * Check a since value is a real YYYY-MM-DD date
+ * @param {string} since
+ * @returns {boolean}
+ */
+function isValidSince(since) {
+  return typeof since === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(since)
+    && DateTime.fromISO(since, { zone: TIMEZONE }).isValid;
+}
+
+/**
+ * Read backfill state
+ * @returns {Promise<object|null>} Backfill state row or null
+ */
+async function getBackfillState() {
+  const { data, error } = await supabase
+    .from('withings_backfill_state')
+    .select('*')
+    .eq('id', 'main')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read backfill state: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Upsert backfill state
+ * @param {object} fields - Columns to update
+ */
+async function saveBackfillState(fields) {
+  const { error } = await supabase
+    .from('withings_backfill_state')
+    .upsert({ id: 'main', ...fields, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+
+  if (error) {
+    throw new Error(`Failed to save backfill state: ${error.message}`);
+  }
+}
+
+/**
+ * Add a progress percentage to a state row
+ * @param {object|null} state - Backfill state row
+ */
+function withProgress(state) {
+  if (!state) return null;
+
+  const progressPct = state.windows_total > 0
+    ? Math.round((state.windows_done / state.windows_total) * 100)
+    : 0;
+
+  return {
+    ...state,
+    cursor_date: DateTime.fromSeconds(state.cursor_ts, { zone: TIMEZONE }).toISODate(),
+    since_date: DateTime.fromSeconds(state.since_ts, { zone: TIMEZONE }).toISODate(),
+    progress_pct: state.status === 'completed' ? 100 : progressPct
+  };
+}
+
+/**
+ * Import one window of measures and sleep summaries
+ * @param {string} accessToken - Withings access token
+ * @param {number} startTs - Window start (unix seconds)
+ * @param {number} endTs - Window end (unix seconds)
+ * @returns {Promise<object>} { measure_groups, sleep_sessions }
+ */
+async function importWindow(accessToken, startTs, endTs) {
+  const measureRes = await withingsClient.formPostAll(withingsSync.MEASURE_URL, {
+    action: 'getmeas',
+    startdate: startTs,
+    enddate: endTs,
+    category: 1,
+    meastypes: withingsMetrics.MEASTYPES
+  }, accessToken, 'measuregrps');
+
+  if (measureRes.status !== 0) {
+    throw new Error(`Withings measure backfill failed: ${JSON.stringify(measureRes)}`);
+  }
+
+  const sleepRes = await withingsClient.formPostAll(withingsSync.SLEEP_URL, {
+    action: 'getsummary',
+    startdateymd: DateTime.fromSeconds(startTs, { zone: TIMEZONE }).toISODate(),
+    enddateymd: DateTime.fromSeconds(endTs, { zone: TIMEZONE }).toISODate(),
+    data_fields: withingsMetrics.SLEEP_DATA_FIELDS
+  }, accessToken, 'series');
+
+  if (sleepRes.status !== 0) {
+    throw new Error(`Withings sleep backfill failed: ${JSON.stringify(sleepRes)}`);
+  }
+
+  return {
+    measure_groups: await withingsSync.upsertMeasureGroups(measureRes.body.measuregrps),
+    sleep_sessions: await withingsSync.upsertSleepSummaries(sleepRes.body.series)
+  };
+}
+
+/**
+ * Extend the sync cache coverage back to a timestamp
+ * @param {number} coveredFrom - New earliest fully cached timestamp (unix seconds)
+ */
+async function extendCoverage(coveredFrom) {
+  for (const id of ['measure', 'sleep']) {
+    const state = await withingsSync.getSyncState(id);
+    if (state && coveredFrom < state.covered_from) {
+      await withingsSync.saveSyncState(id, { covered_from: coveredFrom });
+    }
+  }
+}
+
+/**
+ * Run (or resume) the backfill until it reaches the `since` date
+ * A valid access token is read from tokenStore for each window, so a run that
+ * outlives one token continues with the refreshed one
+ * @param {object} options
+ * @param {string} [options.since] - Earliest date to import (YYYY-MM-DD)
+ * @param {number} [options.chunkDays] - Window size in days
+ * @param {boolean} [options.restart] - Ignore saved progress and start over
+ * @param {function} [options.onProgress] - Called with the state after each window
+ * @returns {Promise<object>} Final backfill state
+ */
+async function runBackfill({ since, chunkDays, restart = false, onProgress }) {
+  let state = await getBackfillState();
+  const sameSince = !since || withProgress(state)?.since_date === since;
+  const resumable = state && state.status !== 'completed' && !restart && sameSince;
+
+  if (!resumable) {
+    // Backfill starts where the incremental sync cache ends
+    let measureState = await withingsSync.getSyncState('measure');
+    if (!measureState) {
+      await withingsSync.syncAll(await tokenStore.getValidAccessToken());
+      measureState = await withingsSync.getSyncState('measure');
+    }
+
+    const sinceTs = since
+      ? Math.floor(DateTime.fromISO(since, { zone: TIMEZONE }).startOf('day').toSeconds())
+      : Math.floor(DateTime.now().setZone(TIMEZONE).minus({ days: DEFAULT_SINCE_DAYS }).startOf('day').toSeconds());
+    const days = chunkDays || DEFAULT_CHUNK_DAYS;
+    const cursorTs = measureState.covered_from;
+
+    state = {
+      since_ts: sinceTs,
+      cursor_ts: cursorTs,
+      chunk_days: days,
+      status: 'running',
+      windows_done: 0,
+      windows_total: Math.max(0, Math.ceil((cursorTs - sinceTs) / (days * 86400))),
+      measure_groups: 0,
+      sleep_sessions: 0,
+      started_at: new Date().toISOString(),
+      last_error: null
+    };
+    await saveBackfillState(state);
+  } else {
+    state = { ...state, status: 'running', last_error: null };
+    await saveBackfillState({ status: 'running', last_error: null });
+  }
+
+  console.log('Withings backfill running:', withProgress(state));
+
+  try {
+    while (state.cursor_ts > state.since_ts) {
+      const windowEnd = state.cursor_ts;
+      const windowStart = Math.max(state.since_ts, windowEnd - state.chunk_days * 86400);
+
+      const accessToken = await tokenStore.getValidAccessToken();
+      const imported = await importWindow(accessToken, windowStart, windowEnd);
+      await extendCoverage(windowStart);
+
+      state = {
+        ...state,
+        cursor_ts: windowStart,
+        windows_done: state.windows_done + 1,
+        measure_groups: state.measure_groups + imported.measure_groups,
+        sleep_sessions: state.sleep_sessions + imported.sleep_sessions
+      };
+      await saveBackfillState(state);
+
+      if (onProgress) onProgress(withProgress(state));
+    }
+
+    state = { ...state, status: 'completed' };
+    await saveBackfillState({ status: 'completed' });
+    console.log('Withings backfill completed:', withProgress(state));
+    return withProgress(state);
+  } catch (error) {
+    console.error('Withings backfill error:', error.message);
+    await saveBackfillState({ status: 'failed', last_error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Start a backfill in the background unless one is already running in this process
+ * @param {object} options - Same as runBackfill
+ * @returns {boolean} True if a new run was started
+ */
+function startBackfill(options) {
+  if (running) return false;
+
+  running = runBackfill(options)
+    .catch(() => {})
+    .finally(() => {
+      running = null;
+    });
+
+  return true;
+}
+
+/**
+ * Summarize one meastype from cached measure groups in a window
+ * @returns {Promise<object>} { count, mean, min, max }
+ */
+async function summarizeMeastype(meastype, startTs, endTs) {
+  const { data, error } = await supabase
+    .from('withings_measure_groups')
+    .select('raw')
+    .gte('date', startTs)
+    .lt('date', endTs);
+
+  if (error) {
+    throw new Error(`Failed to read measure groups: ${error.message}`);
+  }
+
+  const values = data
+    .flatMap(row => row.raw.measures)
+    .filter(m => m.type === meastype)
+    .map(m => m.value * Math.pow(10, m.unit));
+
+  if (values.length === 0) {
+    return { count: 0, mean: null, min: null, max: null };
+  }
+
+  const round2 = value => Math.round(value * 100) / 100;
+  return {
+    count: values.length,
+    mean: round2(values.reduce((sum, value) => sum + value, 0) / values.length),
+    min: round2(Math.min(...values)),
+    max: round2(Math.max(...values))
+  };
+}
+
+/**
+ * Compare TRUTH_STATE baselines with cached history
+ * Looks at the 30 days before the baseline date and the most recent 30 days
+ * @param {object} options
+ * @param {object} options.baseline - { weight_kg, resting_hr }
+ * @param {string} options.baselineDate - Date the baseline was recorded (YYYY-MM-DD)
+ * @returns {Promise<object>} Per-metric history summary and deltas
+ */
+async function checkBaselines({ baseline, baselineDate }) {
+  const checks = [
+    { metric: 'weight_kg', meastype: 1, baseline: baseline.weight_kg, tolerance: 1.5 },
+    { metric: 'resting_hr', meastype: 11, baseline: baseline.resting_hr, tolerance: 5 }
+  ];
+
+  const baselineEnd = DateTime.fromISO(baselineDate, { zone: TIMEZONE }).plus({ days: 1 }).startOf('day');
+  const recentEnd = DateTime.now().setZone(TIMEZONE);
+  const windows = {
+    at_baseline: [baselineEnd.minus({ days: 30 }), baselineEnd],
+    recent: [recentEnd.minus({ days: 30 }), recentEnd]
+  };
+
+  const result = {};
+  for (const check of checks) {
+    const entry = { baseline: check.baseline, tolerance: check.tolerance };
+
+    for (const [name, [start, end]] of Object.entries(windows)) {
+      const summary = await summarizeMeastype(
+        check.meastype,
+        Math.floor(start.toSeconds()),
+        Math.floor(end.toSeconds())
+      );
+      const delta = summary.mean !== null ? Math.round((summary.mean - check.baseline) * 100) / 100 : null;
+
+      entry[name] = {
+        from: start.toISODate(),
+        to: end.toISODate(),
+        ...summary,
+        delta_from_baseline: delta,
+        consistent: delta !== null ? Math.abs(delta) <= check.tolerance : null
+      };
+    }
+
+    result[check.metric] = entry;
+  }
+
+  return { baseline_date: baselineDate, metrics: result };
+}
+
+/**
+ * Read backfill state with progress fields
+ * @returns {Promise<object|null>} State with cursor_date, since_date, progress_pct and running flag
+ */
+async function getBackfillProgress() {
+  const state = withProgress(await getBackfillState());
+  return state ? { ...state, running: running !== null } : null;
+}
+
+module.exports = {
+  MAX_CHUNK_DAYS,
+  isValidSince,
+  getBackfillProgress,
+  runBackfill,
+  startBackfill,
+  checkBaselines
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const chunkDays = args.includes('--chunk-days') ? Number(argValue('--chunk-days')) : undefined;
+  if (chunkDays !== undefined && !(Number.isInteger(chunkDays) && chunkDays >= 1 && chunkDays <= MAX_CHUNK_DAYS)) {
+    console.error(`--chunk-days must be an integer between 1 and ${MAX_CHUNK_DAYS}`);
+    process.exit(1);
+  }
+
+  const since = argValue('--since');
+  if (args.includes('--since') && !isValidSince(since)) {
+    console.error('--since must be a date in YYYY-MM-DD format');
+    process.exit(1);
+  }
+
+  (async () => {
+    await runBackfill({
+      since,
+      chunkDays,
+      restart: args.includes('--restart'),
+      onProgress: state => {
+        console.log(`Backfill ${state.progress_pct}% - reached ${state.cursor_date} (${state.measure_groups} measure groups, ${state.sleep_sessions} sleep sessions)`);
+      }
+    });
+  })().catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exit(1);
+  });
+}
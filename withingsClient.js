@@ -1,8 +1,11 @@
 /**
  * Withings API Client
- * Provides form POST utility for Withings API calls
+ * Provides form POST utilities for Withings API calls
  */
 
+// Base URL for Withings API calls (override to point at a local fake server, see test/fakeWithings.js)
+const WITHINGS_API_BASE = process.env.WITHINGS_API_BASE || 'https://wbsapi.withings.net';
+
 /**
  * Make a form POST request to Withings API
  * @param {string} url - The Withings API endpoint
@@ -25,7 +28,40 @@ async function formPost(url, params, accessToken) {
   return await response.json();
 }
 
+/**
+ * Make form POST requests following Withings more/offset pagination
+ * @param {string} url - The Withings API endpoint
+ * @param {object} params - Request parameters
+ * @param {string} accessToken - Bearer access token
+ * @param {string} listKey - Body key holding the paginated list (e.g. 'measuregrps', 'series')
+ * @returns {Promise<object>} Last response with body[listKey] holding every page
+ */
+async function formPostAll(url, params, accessToken, listKey) {
+  const items = [];
+  let offset = null;
+  let response;
+
+  do {
+    const pageParams = offset ? { ...params, offset } : params;
+    response = await formPost(url, pageParams, accessToken);
+
+    if (response.status !== 0) {
+      return response;
+    }
+
+    items.push(...(response.body?.[listKey] || []));
+    offset = response.body?.more ? response.body.offset : null;
+  } while (offset);
+
+  return {
+    ...response,
+    body: { ...response.body, [listKey]: items, more: false }
+  };
+}
+
 module.exports = {
-  formPost
+  WITHINGS_API_BASE,
+  formPost,
+  formPostAll
 };
 
@@ -0,0 +1,279 @@
+/**
+ * Withings Metrics
+ * Shared meastype mapping and sleep session selection for health snapshots
+ */
+
+// Map Withings meastypes to data point keys and snapshot fields
+const MEASTYPE_MAPPING = {
+  1: { key: 'weight_kg', snapshotKey: 'weight_kg', unit: 'kg' },
+  11: { key: 'heart_pulse_bpm', snapshotKey: 'heart_pulse_bpm', unit: 'bpm' },
+  54: { key: 'spo2_pct', snapshotKey: 'spo2_pct', unit: '%' },
+  62: { key: 'hrv_ms', snapshotKey: 'hrv', unit: 'ms' },
+  9: { key: 'diastolic_mmhg', snapshotKey: null, unit: 'mmHg' },
+  10: { key: 'systolic_mmhg', snapshotKey: null, unit: 'mmHg' },
+  // Body composition (scale)
+  5: { key: 'fat_free_mass_kg', snapshotKey: 'fat_free_mass_kg', unit: 'kg' },
+  6: { key: 'fat_ratio_pct', snapshotKey: 'fat_ratio_pct', unit: '%' },
+  8: { key: 'fat_mass_kg', snapshotKey: 'fat_mass_kg', unit: 'kg' },
+  76: { key: 'muscle_mass_kg', snapshotKey: 'muscle_mass_kg', unit: 'kg' },
+  77: { key: 'hydration_kg', snapshotKey: 'hydration_kg', unit: 'kg' },
+  88: { key: 'bone_mass_kg', snapshotKey: 'bone_mass_kg', unit: 'kg' }
+};
+
+// Comma separated meastypes for getmeas requests
+const MEASTYPES = '1,11,54,9,10,62,5,6,8,76,77,88';
+
+// Detailed sleep summary fields: Withings data field -> data point key / unit
+// Durations arrive in seconds and are converted to minutes
+const SLEEP_SUMMARY_FIELDS = {
+  deepsleepduration: { key: 'deep_sleep_minutes', unit: 'minutes', seconds: true },
+  lightsleepduration: { key: 'light_sleep_minutes', unit: 'minutes', seconds: true },
+  remsleepduration: { key: 'rem_sleep_minutes', unit: 'minutes', seconds: true },
+  wakeupcount: { key: 'wakeup_count', unit: 'count' },
+  wakeupduration: { key: 'wakeup_duration_minutes', unit: 'minutes', seconds: true },
+  sleep_latency: { key: 'sleep_latency_minutes', unit: 'minutes', seconds: true },
+  hr_average: { key: 'sleep_hr_average_bpm', unit: 'bpm' },
+  hr_min: { key: 'sleep_hr_min_bpm', unit: 'bpm' },
+  rr_average: { key: 'sleep_rr_average', unit: 'breaths/min' },
+  snoring: { key: 'snoring_minutes', unit: 'minutes', seconds: true },
+  snoringepisodecount: { key: 'snoring_episode_count', unit: 'count' },
+  breathing_disturbances_intensity: { key: 'breathing_disturbances_intensity', unit: 'index' }
+};
+
+// Comma separated data_fields for getsummary requests
+const SLEEP_DATA_FIELDS = ['sleep_score', 'total_sleep_time', 'total_timeinbed', ...Object.keys(SLEEP_SUMMARY_FIELDS)].join(',');
+
+// Daily activity fields from getactivity: Withings field -> data point key / unit
+// Activity durations and HR zones arrive in seconds and are converted to minutes
+const ACTIVITY_FIELDS = {
+  steps: { key: 'steps', unit: 'count' },
+  distance: { key: 'distance_m', unit: 'm' },
+  soft: { key: 'soft_activity_minutes', unit: 'minutes', seconds: true },
+  moderate: { key: 'moderate_activity_minutes', unit: 'minutes', seconds: true },
+  intense: { key: 'intense_activity_minutes', unit: 'minutes', seconds: true },
+  calories: { key: 'active_calories_kcal', unit: 'kcal' },
+  hr_zone_0: { key: 'hr_zone_0_minutes', unit: 'minutes', seconds: true },
+  hr_zone_1: { key: 'hr_zone_1_minutes', unit: 'minutes', seconds: true },
+  hr_zone_2: { key: 'hr_zone_2_minutes', unit: 'minutes', seconds: true },
+  hr_zone_3: { key: 'hr_zone_3_minutes', unit: 'minutes', seconds: true }
+};
+
+// Comma separated data_fields for getactivity requests
+const ACTIVITY_DATA_FIELDS = Object.keys(ACTIVITY_FIELDS).join(',');
+
+/**
+ * Create an empty daily snapshot
+ * @returns {object} Snapshot with every metric set to null
+ */
+function createEmptySnapshot() {
+  return {
+    weight_kg: null,
+    heart_pulse_bpm: null,
+    spo2_pct: null,
+    hrv: null,
+    sleep_score: null,
+    sleep_duration_minutes: null,
+    fat_free_mass_kg: null,
+    fat_ratio_pct: null,
+    fat_mass_kg: null,
+    muscle_mass_kg: null,
+    hydration_kg: null,
+    bone_mass_kg: null,
+    deep_sleep_minutes: null,
+    light_sleep_minutes: null,
+    rem_sleep_minutes: null,
+    wakeup_count: null,
+    wakeup_duration_minutes: null,
+    sleep_latency_minutes: null,
+    sleep_hr_average_bpm: null,
+    sleep_hr_min_bpm: null,
+    sleep_rr_average: null,
+    snoring_minutes: null,
+    snoring_episode_count: null,
+    breathing_disturbances_intensity: null,
+    steps: null,
+    distance_m: null,
+    soft_activity_minutes: null,
+    moderate_activity_minutes: null,
+    intense_activity_minutes: null,
+    active_calories_kcal: null,
+    hr_zone_0_minutes: null,
+    hr_zone_1_minutes: null,
+    hr_zone_2_minutes: null,
+    hr_zone_3_minutes: null
+  };
+}
+
+/**
+ * Keep the latest value per meastype from Withings measure groups
+ * @param {Array<object>} measuregrps - Measure groups from getmeas
+ * @returns {object} Latest { value, ts, raw } keyed by meastype
+ */
+function latestValuesByMeastype(measuregrps) {
+  const latestValues = {};
+
+  for (const grp of measuregrps) {
+    for (const measure of grp.measures) {
+      const meastype = measure.type;
+      const actualValue = measure.value * Math.pow(10, measure.unit);
+
+      if (!latestValues[meastype] || grp.date > latestValues[meastype].ts) {
+        latestValues[meastype] = {
+          value: actualValue,
+          ts: grp.date,
+          raw: {
+            meastype,
+            value: measure.value,
+            unit: measure.unit,
+            date: grp.date,
+            deviceid: grp.deviceid,
+            category: grp.category
+          }
+        };
+      }
+    }
+  }
+
+  return latestValues;
+}
+
+/**
+ * Map latest meastype values into data points and snapshot fields
+ * @param {object} latestValues - Output of latestValuesByMeastype
+ * @param {object} snapshot - Snapshot to fill (mutated)
+ * @param {Array<object>} dataPoints - Data point list to append to (mutated)
+ */
+function applyMeasureValues(latestValues, snapshot, dataPoints) {
+  for (const [meastype, data] of Object.entries(latestValues)) {
+    const mapping = MEASTYPE_MAPPING[meastype];
+    if (!mapping) continue;
+
+    dataPoints.push({
+      key: mapping.key,
+      value: data.value,
+      unit: mapping.unit,
+      ts: data.ts,
+      source: 'withings',
+      raw: data.raw
+    });
+
+    if (mapping.snapshotKey) {
+      snapshot[mapping.snapshotKey] = data.value;
+    }
+  }
+}
+
+/**
+ * Find the sleep session with the largest overlap with a time window
+ * @param {Array<object>} series - Sleep summary series from getsummary
+ * @param {number} startTs - Window start (unix seconds)
+ * @param {number} endTs - Window end (unix seconds)
+ * @returns {object|null} Best overlapping session or null
+ */
+function selectBestSleepSession(series, startTs, endTs) {
+  let bestSleep = null;
+  let maxOverlap = 0;
+
+  for (const session of series) {
+    const overlapStart = Math.max(session.startdate, startTs);
+    const overlapEnd = Math.min(session.enddate, endTs);
+    const overlap = Math.max(0, overlapEnd - overlapStart);
+
+    if (overlap > maxOverlap) {
+      maxOverlap = overlap;
+      bestSleep = session;
+    }
+  }
+
+  return bestSleep;
+}
+
+/**
+ * Map a sleep session into data points and snapshot fields
+ * @param {object} session - Sleep summary session
+ * @param {object} snapshot - Snapshot to fill (mutated)
+ * @param {Array<object>} dataPoints - Data point list to append to (mutated)
+ */
+function applySleepSession(session, snapshot, dataPoints) {
+  if (session.data && session.data.sleep_score !== undefined) {
+    snapshot.sleep_score = session.data.sleep_score;
+    dataPoints.push({
+      key: 'sleep_score',
+      value: session.data.sleep_score,
+      unit: 'score',
+      ts: session.startdate,
+      source: 'withings',
+      raw: { session }
+    });
+  }
+
+  const durationSeconds = session.data?.total_sleep_time || session.data?.total_timeinbed;
+  if (durationSeconds) {
+    const durationMinutes = Math.round(durationSeconds / 60);
+    snapshot.sleep_duration_minutes = durationMinutes;
+    dataPoints.push({
+      key: 'sleep_duration_minutes',
+      value: durationMinutes,
+      unit: 'minutes',
+      ts: session.startdate,
+      source: 'withings',
+      raw: { duration_seconds: durationSeconds }
+    });
+  }
+
+  for (const [field, mapping] of Object.entries(SLEEP_SUMMARY_FIELDS)) {
+    const rawValue = session.data?.[field];
+    if (rawValue === undefined || rawValue === null) continue;
+
+    const value = mapping.seconds ? Math.round(rawValue / 60) : rawValue;
+    snapshot[mapping.key] = value;
+    dataPoints.push({
+      key: mapping.key,
+      value,
+      unit: mapping.unit,
+      ts: session.startdate,
+      source: 'withings',
+      raw: { field, value: rawValue }
+    });
+  }
+}
+
+/**
+ * Map a getactivity day into data points and snapshot fields
+ * @param {object} activity - One entry of body.activities
+ * @param {number} dayStartTs - Start of the activity day (unix seconds), used as data point ts
+ * @param {object} snapshot - Snapshot to fill (mutated)
+ * @param {Array<object>} dataPoints - Data point list to append to (mutated)
+ */
+function applyActivityDay(activity, dayStartTs, snapshot, dataPoints) {
+  for (const [field, mapping] of Object.entries(ACTIVITY_FIELDS)) {
+    const rawValue = activity[field];
+    if (rawValue === undefined || rawValue === null) continue;
+
+    const value = mapping.seconds ? Math.round(rawValue / 60) : rawValue;
+    snapshot[mapping.key] = value;
+    dataPoints.push({
+      key: mapping.key,
+      value,
+      unit: mapping.unit,
+      ts: dayStartTs,
+      source: 'withings',
+      raw: { field, value: rawValue, date: activity.date }
+    });
+  }
+}
+
+module.exports = {
+  MEASTYPE_MAPPING,
+  MEASTYPES,
+  SLEEP_SUMMARY_FIELDS,
+  SLEEP_DATA_FIELDS,
+  ACTIVITY_FIELDS,
+  ACTIVITY_DATA_FIELDS,
+  createEmptySnapshot,
+  latestValuesByMeastype,
+  applyMeasureValues,
+  selectBestSleepSession,
+  applySleepSession,
+  applyActivityDay
+};
@@ -0,0 +1,170 @@
+/**
+ * Withings Notify
+ * Manages Withings Notify subscriptions and imports the data window a notification refers to
+ */
+
+const { DateTime } = require('luxon');
+const withingsClient = require('./withingsClient');
+const withingsMetrics = require('./withingsMetrics');
+const withingsSync = require('./withingsSync');
+
+const NOTIFY_URL = `${withingsClient.WITHINGS_API_BASE}/notify`;
+const CALLBACK_URL = process.env.WITHINGS_NOTIFY_CALLBACK_URL
+  || 'https://lifemaster-health-api.onrender.com/withings/notify';
+
+// Withings appli codes we subscribe to
+const NOTIFY_APPLIS = {
+  1: 'weight',
+  4: 'blood_pressure_spo2',
+  44: 'sleep'
+};
+
+const TIMEZONE = 'Asia/Jerusalem';
+// Most days of a notified window that are re-evaluated (the latest ones)
+const MAX_WINDOW_DAYS = 31;
+
+/**
+ * Local days from startTs to endTs, oldest first (at most MAX_WINDOW_DAYS, the latest kept)
+ */
+function windowDates(startTs, endTs) {
+  const last = DateTime.fromSeconds(endTs, { zone: TIMEZONE }).startOf('day');
+  let day = DateTime.fromSeconds(Math.min(startTs, endTs), { zone: TIMEZONE }).startOf('day');
+  const dates = [];
+
+  while (day <= last) {
+    dates.push(day.toISODate());
+    day = day.plus({ days: 1 });
+  }
+
+  return dates.slice(-MAX_WINDOW_DAYS);
+}
+
+/**
+ * Subscribe the callback URL to one appli
+ * @param {string} accessToken - Withings access token
+ * @param {number} appli - Withings appli code
+ * @returns {Promise<object>} { appli, ok, status }
+ */
+async function subscribe(accessToken, appli) {
+  const response = await withingsClient.formPost(NOTIFY_URL, {
+    action: 'subscribe',
+    callbackurl: CALLBACK_URL,
+    appli,
+    comment: `lifemaster_${NOTIFY_APPLIS[appli] || appli}`
+  }, accessToken);
+
+  const ok = response.status === 0;
+  if (!ok) {
+    console.error(`Withings notify subscribe failed for appli ${appli}:`, response);
+  }
+
+  return { appli, ok, status: response.status };
+}
+
+/**
+ * Subscribe to every appli in NOTIFY_APPLIS
+ * @param {string} accessToken - Withings access token
+ * @returns {Promise<Array<object>>} Per-appli results
+ */
+async function subscribeAll(accessToken) {
+  const results = [];
+  for (const appli of Object.keys(NOTIFY_APPLIS)) {
+    results.push(await subscribe(accessToken, Number(appli)));
+  }
+  return results;
+}
+
+/**
+ * List current subscriptions for every appli in NOTIFY_APPLIS
+ * @param {string} accessToken - Withings access token
+ * @returns {Promise<Array<object>>} Withings notify profiles
+ */
+async function listSubscriptions(accessToken) {
+  const profiles = [];
+
+  for (const appli of Object.keys(NOTIFY_APPLIS)) {
+    const response = await withingsClient.formPost(NOTIFY_URL, { action: 'list', appli }, accessToken);
+
+    if (response.status !== 0) {
+      throw new Error(`Withings notify list failed: ${JSON.stringify(response)}`);
+    }
+
+    profiles.push(...(response.body?.profiles || []));
+  }
+
+  return profiles;
+}
+
+/**
+ * Revoke the callback URL subscription for one appli
+ * @param {string} accessToken - Withings access token
+ * @param {number} appli - Withings appli code
+ * @returns {Promise<object>} { appli, ok, status }
+ */
+async function revoke(accessToken, appli) {
+  const response = await withingsClient.formPost(NOTIFY_URL, {
+    action: 'revoke',
+    callbackurl: CALLBACK_URL,
+    appli
+  }, accessToken);
+
+  return { appli, ok: response.status === 0, status: response.status };
+}
+
+/**
+ * Import the data window referenced by a notification into the local cache
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {number} options.appli - Withings appli code
+ * @param {number} options.startdate - Window start (unix seconds)
+ * @param {number} options.enddate - Window end (unix seconds)
+ * @returns {Promise<object>} { imported, date, dates } where dates are the local days the
+ *   window covers (to re-evaluate) and date is the last of them
+ */
+async function importNotifiedWindow({ accessToken, appli, startdate, enddate }) {
+  const endTs = enddate || startdate || Math.floor(Date.now() / 1000);
+  const startTs = startdate || endTs - 86400;
+  const dates = windowDates(startTs, endTs);
+  const date = dates[dates.length - 1];
+
+  if (appli === 44) {
+    const sleepRes = await withingsClient.formPostAll(withingsSync.SLEEP_URL, {
+      action: 'getsummary',
+      startdateymd: DateTime.fromSeconds(startTs, { zone: TIMEZONE }).toISODate(),
+      enddateymd: date,
+      data_fields: withingsMetrics.SLEEP_DATA_FIELDS
+    }, accessToken, 'series');
+
+    if (sleepRes.status !== 0) {
+      throw new Error(`Withings sleep fetch failed: ${JSON.stringify(sleepRes)}`);
+    }
+
+    return { imported: await withingsSync.upsertSleepSummaries(sleepRes.body.series), date, dates };
+  }
+
+  // Withings windows can be zero-length for a single measurement
+  const measureRes = await withingsClient.formPostAll(withingsSync.MEASURE_URL, {
+    action: 'getmeas',
+    startdate: startTs,
+    enddate: endTs + 1,
+    category: 1,
+    meastypes: withingsMetrics.MEASTYPES
+  }, accessToken, 'measuregrps');
+
+  if (measureRes.status !== 0) {
+    throw new Error(`Withings measure fetch failed: ${JSON.stringify(measureRes)}`);
+  }
+
+  return { imported: await withingsSync.upsertMeasureGroups(measureRes.body.measuregrps), date, dates };
+}
+
+module.exports = {
+  NOTIFY_APPLIS,
+  MAX_WINDOW_DAYS,
+  CALLBACK_URL,
+  subscribe,
+  subscribeAll,
+  listSubscriptions,
+  revoke,
+  importNotifiedWindow
+};
@@ -0,0 +1,349 @@
+/**
+ * Withings Sync
+ * Incremental sync of raw Withings measure groups and sleep summaries into Supabase
+ *
+ * Tables:
+ * - withings_measure_groups: grpid (pk), date, modified, category, deviceid, raw jsonb, synced_at
+ * - withings_sleep_summaries: id (pk), date, startdate, enddate, modified, raw jsonb, synced_at
+ * - withings_sync_state: id ('measure' | 'sleep'), lastupdate, covered_from, synced_at, last_error
+ */
+
+const { supabase } = require('./supabaseClient');
+const withingsClient = require('./withingsClient');
+const withingsMetrics = require('./withingsMetrics');
+
+const MEASURE_URL = `${withingsClient.WITHINGS_API_BASE}/measure`;
+const SLEEP_URL = `${withingsClient.WITHINGS_API_BASE}/v2/sleep`;
+
+// How long a sync stays fresh before reads trigger another incremental sync
+const SYNC_MAX_AGE_MINUTES = Number(process.env.WITHINGS_SYNC_MAX_AGE_MINUTES || 15);
+// How far back the very first incremental sync reaches (older history comes from backfill)
+const SYNC_INITIAL_DAYS = Number(process.env.WITHINGS_SYNC_INITIAL_DAYS || 30);
+
+let inFlightSync = null;
+
+/**
+ * Read sync state for a source
+ * @param {string} id - 'measure' or 'sleep'
+ * @returns {Promise<object|null>} Sync state row or null
+ */
+async function getSyncState(id) {
+  const { data, error } = await supabase
+    .from('withings_sync_state')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read sync state: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Upsert sync state for a source
+ * @param {string} id - 'measure' or 'sleep'
+ * @param {object} fields - Columns to update
+ */
+async function saveSyncState(id, fields) {
+  const { error } = await supabase
+    .from('withings_sync_state')
+    .upsert({ id, ...fields }, { onConflict: 'id' });
+
+  if (error) {
+    throw new Error(`Failed to save sync state: ${error.message}`);
+  }
+}
+
+/**
+ * Upsert raw measure groups keyed by grpid
+ * @param {Array<object>} measuregrps - Measure groups from getmeas
+ * @returns {Promise<number>} Number of rows written
+ */
+async function upsertMeasureGroups(measuregrps) {
+  if (measuregrps.length === 0) return 0;
+
+  const syncedAt = new Date().toISOString();
+  const rows = measuregrps.map(grp => ({
+    grpid: grp.grpid,
+    date: grp.date,
+    modified: grp.modified || null,
+    category: grp.category,
+    deviceid: grp.deviceid || null,
+    raw: grp,
+    synced_at: syncedAt
+  }));
+
+  const { error } = await supabase
+    .from('withings_measure_groups')
+    .upsert(rows, { onConflict: 'grpid' });
+
+  if (error) {
+    throw new Error(`Failed to save measure groups: ${error.message}`);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Upsert raw sleep summaries keyed by Withings session id
+ * @param {Array<object>} series - Sleep summary series from getsummary
+ * @returns {Promise<number>} Number of rows written
+ */
+async function upsertSleepSummaries(series) {
+  if (series.length === 0) return 0;
+
+  const syncedAt = new Date().toISOString();
+  const rows = series.map(session => ({
+    id: session.id,
+    date: session.date,
+    startdate: session.startdate,
+    enddate: session.enddate,
+    modified: session.modified || null,
+    raw: session,
+    synced_at: syncedAt
+  }));
+
+  const { error } = await supabase
+    .from('withings_sleep_summaries')
+    .upsert(rows, { onConflict: 'id' });
+
+  if (error) {
+    throw new Error(`Failed to save sleep summaries: ${error.message}`);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Pull one source changed since its last sync and store it
+ * @param {string} id - 'measure' or 'sleep'
+ * @param {string} accessToken - Withings access token
+ * @returns {Promise<object>} { id, lastupdate, fetched }
+ */
+async function syncSource(id, accessToken) {
+  const state = await getSyncState(id);
+  const startedAt = Math.floor(Date.now() / 1000);
+  const initialTs = startedAt - SYNC_INITIAL_DAYS * 86400;
+  const lastupdate = state?.lastupdate ?? initialTs;
+
+  const response = id === 'measure'
+    ? await withingsClient.formPostAll(MEASURE_URL, {
+        action: 'getmeas',
+        category: 1,
+        meastypes: withingsMetrics.MEASTYPES,
+        lastupdate
+      }, accessToken, 'measuregrps')
+    : await withingsClient.formPostAll(SLEEP_URL, {
+        action: 'getsummary',
+        data_fields: withingsMetrics.SLEEP_DATA_FIELDS,
+        lastupdate
+      }, accessToken, 'series');
+
+  if (response.status !== 0) {
+    await saveSyncState(id, { last_error: JSON.stringify(response) });
+    throw new Error(`Withings ${id} sync failed: ${JSON.stringify(response)}`);
+  }
+
+  const fetched = id === 'measure'
+    ? await upsertMeasureGroups(response.body.measuregrps)
+    : await upsertSleepSummaries(response.body.series);
+
+  await saveSyncState(id, {
+    lastupdate: startedAt,
+    covered_from: state?.covered_from ?? initialTs,
+    synced_at: new Date().toISOString(),
+    last_error: null
+  });
+
+  return { id, lastupdate, fetched };
+}
+
+/**
+ * Incrementally sync measures and sleep using Withings lastupdate
+ * Concurrent callers share the same in-flight sync
+ * @param {string} accessToken - Withings access token
+ * @returns {Promise<object>} Per-source sync results
+ */
+async function syncAll(accessToken) {
+  if (!inFlightSync) {
+    inFlightSync = (async () => {
+      try {
+        const measure = await syncSource('measure', accessToken);
+        const sleep = await syncSource('sleep', accessToken);
+        console.log('Withings sync complete:', { measure: measure.fetched, sleep: sleep.fetched });
+        return { measure, sleep };
+      } finally {
+        inFlightSync = null;
+      }
+    })();
+  }
+
+  return inFlightSync;
+}
+
+/**
+ * Check whether a source was synced within SYNC_MAX_AGE_MINUTES
+ * @param {object|null} state - Sync state row
+ */
+function isRecent(state) {
+  if (!state || !state.synced_at) return false;
+
+  const ageMinutes = (Date.now() - new Date(state.synced_at).getTime()) / 60000;
+  return ageMinutes < SYNC_MAX_AGE_MINUTES;
+}
+
+/**
+ * Check whether the cache holds complete data from a start timestamp onwards
+ * @param {object|null} state - Sync state row
+ * @param {number} startTs - Earliest timestamp the caller needs (unix seconds)
+ */
+function coversFrom(state, startTs) {
+  return state?.covered_from !== null && state?.covered_from !== undefined && startTs >= state.covered_from;
+}
+
+/**
+ * Sync incrementally if the cache is stale, then check it covers a window
+ * @param {string} id - 'measure' or 'sleep'
+ * @param {number} startTs - Earliest timestamp the caller needs (unix seconds)
+ * @param {string} accessToken - Withings access token
+ * @returns {Promise<boolean>} True if the cache covers the window
+ */
+async function ensureCacheCovers(id, startTs, accessToken) {
+  let state = await getSyncState(id);
+
+  if (!isRecent(state)) {
+    await syncAll(accessToken);
+    state = await getSyncState(id);
+  }
+
+  return coversFrom(state, startTs);
+}
+
+/**
+ * Read measure groups for a window, cache first with live fallback
+ * Returns the Withings getmeas response shape plus a `source` field
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {number} options.startTs - Window start (unix seconds)
+ * @param {number} options.endTs - Window end (unix seconds)
+ * @returns {Promise<object>} { status, source, body: { measuregrps } }
+ */
+async function readMeasureGroups({ accessToken, startTs, endTs }) {
+  try {
+    if (await ensureCacheCovers('measure', startTs, accessToken)) {
+      const { data, error } = await supabase
+        .from('withings_measure_groups')
+        .select('raw')
+        .gte('date', startTs)
+        .lt('date', endTs)
+        .order('date', { ascending: false });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return { status: 0, source: 'cache', body: { measuregrps: data.map(row => row.raw) } };
+    }
+  } catch (error) {
+    console.warn('Measure cache unavailable, falling back to live Withings:', error.message);
+  }
+
+  const live = await withingsClient.formPostAll(MEASURE_URL, {
+    action: 'getmeas',
+    startdate: startTs,
+    enddate: endTs,
+    category: 1,
+    meastypes: withingsMetrics.MEASTYPES
+  }, accessToken, 'measuregrps');
+
+  return { ...live, source: 'live' };
+}
+
+/**
+ * Read sleep summaries for a date range, cache first with live fallback
+ * Returns the Withings getsummary response shape plus a `source` field
+ * @param {object} options
+ * @param {string} options.accessToken - Withings access token
+ * @param {string} options.startYmd - First date (YYYY-MM-DD)
+ * @param {string} options.endYmd - Last date (YYYY-MM-DD)
+ * @param {number} options.startTs - Start of first date (unix seconds), used for coverage
+ * @returns {Promise<object>} { status, source, body: { series } }
+ */
+async function readSleepSummaries({ accessToken, startYmd, endYmd, startTs }) {
+  try {
+    if (await ensureCacheCovers('sleep', startTs, accessToken)) {
+      const { data, error } = await supabase
+        .from('withings_sleep_summaries')
+        .select('raw')
+        .gte('date', startYmd)
+        .lte('date', endYmd)
+        .order('startdate', { ascending: true });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return { status: 0, source: 'cache', body: { series: data.map(row => row.raw) } };
+    }
+  } catch (error) {
+    console.warn('Sleep cache unavailable, falling back to live Withings:', error.message);
+  }
+
+  const live = await withingsClient.formPostAll(SLEEP_URL, {
+    action: 'getsummary',
+    startdateymd: startYmd,
+    enddateymd: endYmd,
+    data_fields: withingsMetrics.SLEEP_DATA_FIELDS
+  }, accessToken, 'series');
+
+  return { ...live, source: 'live' };
+}
+
+/**
+ * Read the most recent cached weight measure groups
+ * @param {string} accessToken - Withings access token
+ * @param {number} limit - Maximum number of groups
+ * @returns {Promise<Array<object>|null>} Measure groups with a weight, or null if the cache is unavailable
+ */
+async function readLatestWeightGroups(accessToken, limit) {
+  try {
+    if (!isRecent(await getSyncState('measure'))) {
+      await syncAll(accessToken);
+    }
+
+    const { data, error } = await supabase
+      .from('withings_measure_groups')
+      .select('raw')
+      .order('date', { ascending: false })
+      .limit(limit * 5);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const groups = data
+      .map(row => row.raw)
+      .filter(grp => grp.measures.some(m => m.type === 1))
+      .slice(0, limit);
+
+    return groups.length > 0 ? groups : null;
+  } catch (error) {
+    console.warn('Weight cache unavailable, falling back to live Withings:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  MEASURE_URL,
+  SLEEP_URL,
+  getSyncState,
+  saveSyncState,
+  upsertMeasureGroups,
+  upsertSleepSummaries,
+  syncAll,
+  readMeasureGroups,
+  readSleepSummaries,
+  readLatestWeightGroups
+};